@@ -22,6 +22,7 @@ module.exports = [
         clearInterval: 'readonly',
         setImmediate: 'readonly',
         clearImmediate: 'readonly',
+        AbortController: 'readonly',
         require: 'readonly',
         module: 'readonly',
         exports: 'readonly',
@@ -19,6 +19,10 @@ mkdir -p ../dist
 # Build createScreenshot
 echo "Building createScreenshot..."
 cd createScreenshot
+# Shared with the worker, refresh the copies before packaging
+cp ../../src/utils/urlSafety.js ./urlSafety.js
+cp ../../src/utils/domainPolicy.js ./domainPolicy.js
+cp ../../src/config/domain-policies.json ./domain-policies.json
 npm install --omit=dev
 zip -r ../../dist/createScreenshot.zip . -x "*.git*" -x "node_modules/.cache/*" -x "package-lock.json"
 cd ..
@@ -6,11 +6,49 @@
  * Request body:
  * {
  *   "url": "https://example.com",
- *   "width": 1920,      // optional, default 1920
- *   "height": 1080,     // optional, default 1080
- *   "format": "png",    // optional, default "png", can be "jpeg"
- *   "quality": 80,      // optional, default 80 (for jpeg)
- *   "fullPage": false   // optional, default false
+ *   "width": 1920,      // optional, default 1920 (or the device viewport width)
+ *   "height": 1080,     // optional, default 1080 (or the device viewport height)
+ *   "device": "iPhone 15 Pro", // optional, device emulation preset
+ *   "deviceScaleFactor": 2,    // optional, overrides device preset, default 1
+ *   "isMobile": true,          // optional, overrides device preset
+ *   "hasTouch": true,          // optional, overrides device preset
+ *   "userAgent": "Mozilla/5.0 ...", // optional, overrides device preset
+ *   "format": "png",    // optional, default "png", can be "jpeg", "webp" or "pdf"
+ *   "quality": 80,      // optional, default 80 (for jpeg/webp)
+ *   "fullPage": false,  // optional, default false
+ *   "autoScroll": true, // optional, scroll to load lazy content before full-page captures, default true
+ *   "tiling": "stitch", // optional, capture tall full pages in tiles, "stitch" or "separate"
+ *   "persistentProfile": "acme-dashboard", // optional, reuse a named browser session across jobs
+ *   "viewports": [      // optional, capture several viewports of the same page in one request
+ *     { "name": "desktop", "width": 1920, "height": 1080 },
+ *     { "name": "mobile", "device": "iPhone 15 Pro" }
+ *   ],
+ *   "waitUntil": "networkidle0", // optional, load/domcontentloaded/networkidle0/networkidle2
+ *   "waitForSelector": ".loaded",  // optional, CSS selector to wait for before capture
+ *   "waitForFunction": "window.appReady === true", // optional, JS predicate to wait for
+ *   "delayMs": 2000,             // optional, extra delay before capture (max SCREENSHOT_TIMEOUT)
+ *   "selector": "#chart", // optional, capture only this element (image formats only)
+ *   "selectorPadding": 10, // optional, padding in pixels around the element, default 0
+ *   "clip": { "x": 0, "y": 0, "width": 800, "height": 600 }, // optional, region of the viewport
+ *   "scroll": { "x": 0, "y": 2000 }, // optional, scroll position before capture
+ *   "headers": { "X-Api-Key": "..." },                    // optional, extra HTTP headers
+ *   "cookies": [{ "name": "session", "value": "...", "domain": "example.com", "path": "/" }], // optional
+ *   "basicAuth": { "username": "user", "password": "..." }, // optional, HTTP basic auth
+ *   "blockAds": true,             // optional, drop requests to known ad/tracker hosts
+ *   "dismissCookieBanners": true, // optional, click known consent "accept" buttons
+ *   "failOnHttpError": true,      // optional, fail when the page answers with an HTTP error
+ *   "acceptedStatusCodes": [200, "300-399", 404], // optional, statuses failOnHttpError accepts, default 200-399
+ *   "injectCss": "* { animation: none !important; }", // optional, CSS injected before capture
+ *   "injectScript": "window.scrollTo(0, 0)",          // optional, JavaScript run before capture
+ *   "hideSelectors": ["#chat-widget", ".cookie-banner"], // optional, elements hidden before capture
+ *   "pdf": {            // optional, only allowed when format is "pdf"
+ *     "paperFormat": "A4",             // optional, default "A4"
+ *     "landscape": false,              // optional, default false
+ *     "printBackground": true,         // optional, default true
+ *     "margin": { "top": "10mm" },     // optional, top/right/bottom/left
+ *     "headerTemplate": "<div></div>", // optional
+ *     "footerTemplate": "<div></div>"  // optional
+ *   }
  * }
  *
  * Response:
@@ -20,12 +58,22 @@
  *   "message": "Screenshot request created",
  *   "status": "processing"
  * }
+ *
+ * Header values, cookie values and the basic auth password are only forwarded
+ * to the consumer via SQS. They are redacted in the DynamoDB record and in logs.
+ *
+ * URLs resolving to private, loopback, link-local or metadata addresses are
+ * rejected with 400 (see urlSafety.js, URL_SAFETY_ALLOWLIST to allow some).
+ * Domains denied by the domain policy file (domainPolicy.js) are rejected with 403.
  */
 
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { DynamoDBDocumentClient, PutCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createUrlPolicy, checkUrl, DEFAULT_ALLOWED_PORTS } = require('./urlSafety');
+const { loadDomainPolicies, resolveDomainPolicy } = require('./domainPolicy');
 
 // Initialize AWS clients
 const clientConfig = {
@@ -45,6 +93,24 @@ const sqsClient = new SQSClient(clientConfig);
 // Configuration
 const DYNAMODB_TABLE = process.env.DYNAMODB_TABLE_NAME || 'screenshot-results';
 const SQS_QUEUE_URL = process.env.SQS_QUEUE_URL;
+const SCREENSHOT_TIMEOUT = parseInt(process.env.SCREENSHOT_TIMEOUT || '30000', 10);
+const URL_POLICY = createUrlPolicy({
+  allowlist: (process.env.URL_SAFETY_ALLOWLIST || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean),
+  allowedPorts: (process.env.URL_SAFETY_ALLOWED_PORTS || DEFAULT_ALLOWED_PORTS.join(','))
+    .split(',')
+    .map((port) => parseInt(port, 10)),
+});
+// Profile names callers may request: a profile shares its cookies and sessions with every job naming it
+const PERSISTENT_PROFILES = (process.env.SCREENSHOT_PERSISTENT_PROFILES || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+const DOMAIN_POLICIES = loadDomainPolicies(
+  process.env.DOMAIN_POLICY_FILE || path.join(__dirname, 'domain-policies.json')
+);
 
 // Default values
 const DEFAULT_WIDTH = 1920;
@@ -53,6 +119,97 @@ const DEFAULT_FORMAT = 'png';
 const DEFAULT_QUALITY = 80;
 const DEFAULT_FULL_PAGE = false;
 
+// Supported output formats
+const SUPPORTED_FORMATS = ['png', 'jpeg', 'webp', 'pdf'];
+
+// PDF constraints
+const PDF_PAPER_FORMATS = [
+  'Letter',
+  'Legal',
+  'Tabloid',
+  'Ledger',
+  'A0',
+  'A1',
+  'A2',
+  'A3',
+  'A4',
+  'A5',
+  'A6',
+];
+const PDF_MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const PDF_MARGIN_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+const MAX_PDF_TEMPLATE_LENGTH = 10000;
+
+// Element capture constraints
+const MAX_SELECTOR_LENGTH = 1000;
+const MAX_SELECTOR_PADDING = 500;
+
+// Device emulation presets (names from Puppeteer's KnownDevices)
+const SUPPORTED_DEVICES = [
+  'iPhone SE',
+  'iPhone 12',
+  'iPhone 13',
+  'iPhone 14',
+  'iPhone 14 Pro Max',
+  'iPhone 15',
+  'iPhone 15 Pro',
+  'iPhone 15 Pro Max',
+  'iPad',
+  'iPad Mini',
+  'iPad Pro',
+  'iPad Pro 11',
+  'Pixel 4',
+  'Pixel 5',
+  'Galaxy S8',
+  'Galaxy S9+',
+  'Galaxy Tab S4',
+  'Nexus 10',
+];
+const MIN_DEVICE_SCALE_FACTOR = 0.5;
+const MAX_DEVICE_SCALE_FACTOR = 4;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Wait strategy constraints
+const WAIT_UNTIL_OPTIONS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const MAX_WAIT_FOR_FUNCTION_LENGTH = 5000;
+
+// Credential constraints
+const MAX_HEADERS = 50;
+const MAX_COOKIES = 50;
+const MAX_CREDENTIAL_VALUE_LENGTH = 4096;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const REDACTED = '[REDACTED]';
+
+// Injection constraints
+const MAX_INJECTION_LENGTH = 50000;
+const MAX_HIDE_SELECTORS = 50;
+
+// Tiled full-page capture modes
+const TILING_MODES = ['stitch', 'separate'];
+
+// HTTP status policy constraints
+const MAX_ACCEPTED_STATUS_CODES = 20;
+const STATUS_RANGE_PATTERN = /^(\d{3})(?:-(\d{3}))?$/;
+
+// Persistent browser profile names
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Multi-viewport capture constraints
+const MAX_VIEWPORTS = 10;
+const VIEWPORT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const VIEWPORT_FIELDS = [
+  'name',
+  'width',
+  'height',
+  'device',
+  'deviceScaleFactor',
+  'isMobile',
+  'hasTouch',
+];
+
+// Region capture constraints
+const MAX_SCROLL_OFFSET = 100000;
+
 /**
  * Validate URL
  */
@@ -74,13 +231,374 @@ function validateUrl(url) {
     if (!urlPattern.test(normalizedUrl)) {
       return { valid: false, error: 'Invalid URL format' };
     }
-  } catch (error) {
+  } catch {
     return { valid: false, error: 'Invalid URL format' };
   }
 
   return { valid: true };
 }
 
+/**
+ * Validate PDF options
+ */
+function validatePdfOptions(pdf) {
+  const errors = [];
+
+  if (!pdf || typeof pdf !== 'object' || Array.isArray(pdf)) {
+    return ['pdf must be an object'];
+  }
+
+  if (pdf.paperFormat !== undefined) {
+    const paperFormats = PDF_PAPER_FORMATS.map((paperFormat) => paperFormat.toLowerCase());
+    if (
+      typeof pdf.paperFormat !== 'string' ||
+      !paperFormats.includes(pdf.paperFormat.toLowerCase())
+    ) {
+      errors.push(`pdf.paperFormat must be one of: ${PDF_PAPER_FORMATS.join(', ')}`);
+    }
+  }
+
+  ['landscape', 'printBackground'].forEach((field) => {
+    if (pdf[field] !== undefined && typeof pdf[field] !== 'boolean') {
+      errors.push(`pdf.${field} must be a boolean`);
+    }
+  });
+
+  if (pdf.margin !== undefined) {
+    if (!pdf.margin || typeof pdf.margin !== 'object' || Array.isArray(pdf.margin)) {
+      errors.push('pdf.margin must be an object');
+    } else {
+      Object.keys(pdf.margin).forEach((side) => {
+        if (!PDF_MARGIN_SIDES.includes(side)) {
+          errors.push(`pdf.margin.${side} is not supported (use top, right, bottom, left)`);
+        } else if (!PDF_MARGIN_PATTERN.test(String(pdf.margin[side]))) {
+          errors.push(`pdf.margin.${side} must be a length such as "10mm", "0.5in" or 20`);
+        }
+      });
+    }
+  }
+
+  ['headerTemplate', 'footerTemplate'].forEach((field) => {
+    if (pdf[field] !== undefined) {
+      if (typeof pdf[field] !== 'string') {
+        errors.push(`pdf.${field} must be a string`);
+      } else if (pdf[field].length > MAX_PDF_TEMPLATE_LENGTH) {
+        errors.push(`pdf.${field} is too long (max ${MAX_PDF_TEMPLATE_LENGTH} characters)`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check that a value is a plain object
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a credential string (header value, cookie value, password, ...)
+ */
+function isValidCredentialString(value, { allowEmpty = false } = {}) {
+  return (
+    typeof value === 'string' &&
+    (allowEmpty || value.length > 0) &&
+    value.length <= MAX_CREDENTIAL_VALUE_LENGTH
+  );
+}
+
+/**
+ * Validate headers, cookies and basic auth credentials
+ */
+function validateCredentials(body) {
+  const errors = [];
+
+  if (body.headers !== undefined) {
+    if (!isPlainObject(body.headers)) {
+      errors.push('headers must be an object of header names to string values');
+    } else {
+      const names = Object.keys(body.headers);
+      if (names.length > MAX_HEADERS) {
+        errors.push(`headers cannot contain more than ${MAX_HEADERS} entries`);
+      }
+      names.forEach((name) => {
+        if (!HEADER_NAME_PATTERN.test(name)) {
+          errors.push(`headers contains an invalid header name: ${name}`);
+        } else if (!isValidCredentialString(body.headers[name], { allowEmpty: true })) {
+          errors.push(
+            `headers.${name} must be a string (max ${MAX_CREDENTIAL_VALUE_LENGTH} characters)`
+          );
+        }
+      });
+    }
+  }
+
+  if (body.cookies !== undefined) {
+    if (!Array.isArray(body.cookies)) {
+      errors.push('cookies must be an array');
+    } else {
+      if (body.cookies.length > MAX_COOKIES) {
+        errors.push(`cookies cannot contain more than ${MAX_COOKIES} entries`);
+      }
+      body.cookies.forEach((cookie, index) => {
+        if (!isPlainObject(cookie)) {
+          errors.push(`cookies[${index}] must be an object`);
+          return;
+        }
+        if (!isValidCredentialString(cookie.name)) {
+          errors.push(`cookies[${index}].name must be a non-empty string`);
+        }
+        if (!isValidCredentialString(cookie.value, { allowEmpty: true })) {
+          errors.push(`cookies[${index}].value must be a string`);
+        }
+        ['domain', 'path'].forEach((field) => {
+          if (cookie[field] !== undefined && !isValidCredentialString(cookie[field])) {
+            errors.push(`cookies[${index}].${field} must be a non-empty string`);
+          }
+        });
+      });
+    }
+  }
+
+  if (body.basicAuth !== undefined) {
+    if (!isPlainObject(body.basicAuth)) {
+      errors.push('basicAuth must be an object with username and password');
+    } else {
+      if (!isValidCredentialString(body.basicAuth.username)) {
+        errors.push('basicAuth.username must be a non-empty string');
+      }
+      if (!isValidCredentialString(body.basicAuth.password, { allowEmpty: true })) {
+        errors.push('basicAuth.password must be a string');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Return a copy of the request body with credential values redacted
+ * (safe to store in DynamoDB and to log)
+ */
+function redactCredentials(body) {
+  if (!isPlainObject(body)) {
+    return body;
+  }
+
+  const redacted = { ...body };
+
+  if (isPlainObject(body.headers)) {
+    redacted.headers = Object.fromEntries(
+      Object.keys(body.headers).map((name) => [name, REDACTED])
+    );
+  }
+
+  if (Array.isArray(body.cookies)) {
+    redacted.cookies = body.cookies.map((cookie) =>
+      isPlainObject(cookie) ? { ...cookie, value: REDACTED } : REDACTED
+    );
+  }
+
+  if (isPlainObject(body.basicAuth)) {
+    redacted.basicAuth = { ...body.basicAuth, password: REDACTED };
+  }
+
+  return redacted;
+}
+
+/**
+ * Return a copy of the API Gateway event that is safe to log
+ */
+function redactEvent(event) {
+  if (!event || event.body === undefined || event.body === null) {
+    return event;
+  }
+
+  try {
+    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+    return { ...event, body: redactCredentials(body) };
+  } catch {
+    // Unparseable bodies may still contain credentials
+    return { ...event, body: REDACTED };
+  }
+}
+
+/**
+ * Validate clip rectangle against the viewport dimensions
+ * (bounds are skipped for a dimension that is not known yet, e.g. from a device preset)
+ */
+function validateClip(clip, viewportWidth, viewportHeight) {
+  if (!clip || typeof clip !== 'object' || Array.isArray(clip)) {
+    return ['clip must be an object with x, y, width and height'];
+  }
+
+  const errors = [];
+
+  ['x', 'y'].forEach((field) => {
+    if (!Number.isInteger(clip[field]) || clip[field] < 0) {
+      errors.push(`clip.${field} must be a non-negative integer`);
+    }
+  });
+
+  ['width', 'height'].forEach((field) => {
+    if (!Number.isInteger(clip[field]) || clip[field] <= 0) {
+      errors.push(`clip.${field} must be a positive integer`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (viewportWidth && clip.x + clip.width > viewportWidth) {
+    errors.push(`clip exceeds viewport width (x + width must be <= ${viewportWidth})`);
+  }
+
+  if (viewportHeight && clip.y + clip.height > viewportHeight) {
+    errors.push(`clip exceeds viewport height (y + height must be <= ${viewportHeight})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate scroll position
+ */
+function validateScroll(scroll) {
+  if (!scroll || typeof scroll !== 'object' || Array.isArray(scroll)) {
+    return ['scroll must be an object with x and/or y'];
+  }
+
+  const errors = [];
+
+  ['x', 'y'].forEach((field) => {
+    if (
+      scroll[field] !== undefined &&
+      (!Number.isInteger(scroll[field]) || scroll[field] < 0 || scroll[field] > MAX_SCROLL_OFFSET)
+    ) {
+      errors.push(`scroll.${field} must be an integer between 0 and ${MAX_SCROLL_OFFSET}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the viewports list of a multi-viewport capture
+ */
+function validateViewports(viewports) {
+  if (!Array.isArray(viewports) || viewports.length === 0) {
+    return ['viewports must be a non-empty array'];
+  }
+
+  if (viewports.length > MAX_VIEWPORTS) {
+    return [`viewports cannot have more than ${MAX_VIEWPORTS} entries`];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  viewports.forEach((viewport, index) => {
+    const prefix = `viewports[${index}]`;
+
+    if (!isPlainObject(viewport)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    Object.keys(viewport)
+      .filter((field) => !VIEWPORT_FIELDS.includes(field))
+      .forEach((field) => errors.push(`${prefix}.${field} is not supported`));
+
+    if (viewport.name !== undefined) {
+      if (typeof viewport.name !== 'string' || !VIEWPORT_NAME_PATTERN.test(viewport.name)) {
+        errors.push(`${prefix}.name must be 1-50 letters, digits, "-" or "_"`);
+      } else if (names.has(viewport.name)) {
+        errors.push(`${prefix}.name must be unique`);
+      } else {
+        names.add(viewport.name);
+      }
+    }
+
+    if (viewport.device !== undefined && !SUPPORTED_DEVICES.includes(viewport.device)) {
+      errors.push(`${prefix}.device must be one of: ${SUPPORTED_DEVICES.join(', ')}`);
+    }
+
+    if (
+      viewport.device === undefined &&
+      (viewport.width === undefined || viewport.height === undefined)
+    ) {
+      errors.push(`${prefix} must have a device or both width and height`);
+    }
+
+    if (
+      viewport.width !== undefined &&
+      (!Number.isInteger(viewport.width) || viewport.width < 100 || viewport.width > 3840)
+    ) {
+      errors.push(`${prefix}.width must be between 100 and 3840 pixels`);
+    }
+
+    if (
+      viewport.height !== undefined &&
+      (!Number.isInteger(viewport.height) || viewport.height < 100 || viewport.height > 2160)
+    ) {
+      errors.push(`${prefix}.height must be between 100 and 2160 pixels`);
+    }
+
+    if (
+      viewport.deviceScaleFactor !== undefined &&
+      (typeof viewport.deviceScaleFactor !== 'number' ||
+        viewport.deviceScaleFactor < MIN_DEVICE_SCALE_FACTOR ||
+        viewport.deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR)
+    ) {
+      errors.push(
+        `${prefix}.deviceScaleFactor must be a number between ${MIN_DEVICE_SCALE_FACTOR} and ${MAX_DEVICE_SCALE_FACTOR}`
+      );
+    }
+
+    ['isMobile', 'hasTouch'].forEach((field) => {
+      if (viewport[field] !== undefined && typeof viewport[field] !== 'boolean') {
+        errors.push(`${prefix}.${field} must be a boolean`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the statuses accepted by failOnHttpError (status codes or "min-max" ranges)
+ */
+function validateAcceptedStatusCodes(acceptedStatusCodes) {
+  if (!Array.isArray(acceptedStatusCodes) || acceptedStatusCodes.length === 0) {
+    return ['acceptedStatusCodes must be a non-empty array'];
+  }
+
+  if (acceptedStatusCodes.length > MAX_ACCEPTED_STATUS_CODES) {
+    return [`acceptedStatusCodes cannot have more than ${MAX_ACCEPTED_STATUS_CODES} entries`];
+  }
+
+  const errors = [];
+
+  acceptedStatusCodes.forEach((entry, index) => {
+    const match =
+      (Number.isInteger(entry) || typeof entry === 'string') &&
+      String(entry).match(STATUS_RANGE_PATTERN);
+    const min = match ? parseInt(match[1], 10) : NaN;
+    const max = match && match[2] ? parseInt(match[2], 10) : min;
+
+    if (!match || min < 100 || max > 599 || min > max) {
+      errors.push(
+        `acceptedStatusCodes[${index}] must be a status code (100-599) or a "min-max" range`
+      );
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Validate request parameters
  */
@@ -109,9 +627,40 @@ function validateRequest(body) {
     }
   }
 
+  // Validate device emulation
+  if (body.device !== undefined && !SUPPORTED_DEVICES.includes(body.device)) {
+    errors.push(`device must be one of: ${SUPPORTED_DEVICES.join(', ')}`);
+  }
+
+  if (body.deviceScaleFactor !== undefined) {
+    if (
+      typeof body.deviceScaleFactor !== 'number' ||
+      body.deviceScaleFactor < MIN_DEVICE_SCALE_FACTOR ||
+      body.deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR
+    ) {
+      errors.push(
+        `deviceScaleFactor must be a number between ${MIN_DEVICE_SCALE_FACTOR} and ${MAX_DEVICE_SCALE_FACTOR}`
+      );
+    }
+  }
+
+  ['isMobile', 'hasTouch'].forEach((field) => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  });
+
+  if (body.userAgent !== undefined) {
+    if (typeof body.userAgent !== 'string' || body.userAgent.trim() === '') {
+      errors.push('userAgent must be a non-empty string');
+    } else if (body.userAgent.length > MAX_USER_AGENT_LENGTH) {
+      errors.push(`userAgent is too long (max ${MAX_USER_AGENT_LENGTH} characters)`);
+    }
+  }
+
   // Validate format
-  if (body.format !== undefined && !['png', 'jpeg'].includes(body.format)) {
-    errors.push('Format must be either "png" or "jpeg"');
+  if (body.format !== undefined && !SUPPORTED_FORMATS.includes(body.format)) {
+    errors.push('Format must be one of "png", "jpeg", "webp" or "pdf"');
   }
 
   // Validate quality
@@ -122,11 +671,207 @@ function validateRequest(body) {
     }
   }
 
+  // Validate wait strategy
+  if (body.waitUntil !== undefined && !WAIT_UNTIL_OPTIONS.includes(body.waitUntil)) {
+    errors.push(`waitUntil must be one of: ${WAIT_UNTIL_OPTIONS.join(', ')}`);
+  }
+
+  if (body.waitForSelector !== undefined) {
+    if (typeof body.waitForSelector !== 'string' || body.waitForSelector.trim() === '') {
+      errors.push('waitForSelector must be a non-empty string');
+    } else if (body.waitForSelector.length > MAX_SELECTOR_LENGTH) {
+      errors.push(`waitForSelector is too long (max ${MAX_SELECTOR_LENGTH} characters)`);
+    }
+  }
+
+  if (body.waitForFunction !== undefined) {
+    if (typeof body.waitForFunction !== 'string' || body.waitForFunction.trim() === '') {
+      errors.push('waitForFunction must be a non-empty string');
+    } else if (body.waitForFunction.length > MAX_WAIT_FOR_FUNCTION_LENGTH) {
+      errors.push(`waitForFunction is too long (max ${MAX_WAIT_FOR_FUNCTION_LENGTH} characters)`);
+    }
+  }
+
+  if (body.delayMs !== undefined) {
+    if (!Number.isInteger(body.delayMs) || body.delayMs < 0 || body.delayMs > SCREENSHOT_TIMEOUT) {
+      errors.push(`delayMs must be an integer between 0 and ${SCREENSHOT_TIMEOUT}`);
+    }
+  }
+
+  // Validate content blocking, auto-scroll and HTTP error toggles
+  ['blockAds', 'dismissCookieBanners', 'autoScroll', 'failOnHttpError'].forEach((field) => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  });
+
+  // Validate accepted status codes
+  if (body.acceptedStatusCodes !== undefined) {
+    errors.push(...validateAcceptedStatusCodes(body.acceptedStatusCodes));
+
+    if (body.failOnHttpError !== true) {
+      errors.push('acceptedStatusCodes requires failOnHttpError to be true');
+    }
+  }
+
   // Validate fullPage
   if (body.fullPage !== undefined && typeof body.fullPage !== 'boolean') {
     errors.push('fullPage must be a boolean');
   }
 
+  // Validate persistent profile name
+  if (body.persistentProfile !== undefined) {
+    if (
+      typeof body.persistentProfile !== 'string' ||
+      !PROFILE_NAME_PATTERN.test(body.persistentProfile)
+    ) {
+      errors.push('persistentProfile must be 1-64 letters, digits, "-" or "_"');
+    } else if (!PERSISTENT_PROFILES.includes(body.persistentProfile)) {
+      errors.push(`persistentProfile "${body.persistentProfile}" is not allowed`);
+    }
+  }
+
+  // Validate tiling (full-page image captures only)
+  if (body.tiling !== undefined) {
+    if (!TILING_MODES.includes(body.tiling)) {
+      errors.push(`tiling must be one of: ${TILING_MODES.join(', ')}`);
+    }
+
+    if (body.fullPage !== true) {
+      errors.push('tiling requires fullPage to be true');
+    }
+
+    if (body.format === 'pdf') {
+      errors.push('tiling is not supported when format is "pdf"');
+    }
+  }
+
+  // Validate selector
+  if (body.selector !== undefined) {
+    if (typeof body.selector !== 'string' || body.selector.trim() === '') {
+      errors.push('selector must be a non-empty string');
+    } else if (body.selector.length > MAX_SELECTOR_LENGTH) {
+      errors.push(`selector is too long (max ${MAX_SELECTOR_LENGTH} characters)`);
+    }
+
+    if (body.format === 'pdf') {
+      errors.push('selector is not supported when format is "pdf"');
+    }
+
+    if (body.fullPage === true) {
+      errors.push('selector and fullPage cannot be used together');
+    }
+  }
+
+  // Validate selectorPadding
+  if (body.selectorPadding !== undefined) {
+    if (body.selector === undefined) {
+      errors.push('selectorPadding requires selector');
+    }
+
+    if (
+      !Number.isInteger(body.selectorPadding) ||
+      body.selectorPadding < 0 ||
+      body.selectorPadding > MAX_SELECTOR_PADDING
+    ) {
+      errors.push(`selectorPadding must be an integer between 0 and ${MAX_SELECTOR_PADDING}`);
+    }
+  }
+
+  // Validate credentials
+  errors.push(...validateCredentials(body));
+
+  // Validate injections
+  ['injectCss', 'injectScript'].forEach((field) => {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || body[field].trim() === '') {
+        errors.push(`${field} must be a non-empty string`);
+      } else if (body[field].length > MAX_INJECTION_LENGTH) {
+        errors.push(`${field} is too long (max ${MAX_INJECTION_LENGTH} characters)`);
+      }
+    }
+  });
+
+  if (body.hideSelectors !== undefined) {
+    if (!Array.isArray(body.hideSelectors) || body.hideSelectors.length > MAX_HIDE_SELECTORS) {
+      errors.push(`hideSelectors must be an array of at most ${MAX_HIDE_SELECTORS} selectors`);
+    } else {
+      body.hideSelectors.forEach((hideSelector, index) => {
+        if (
+          typeof hideSelector !== 'string' ||
+          hideSelector.trim() === '' ||
+          hideSelector.length > MAX_SELECTOR_LENGTH
+        ) {
+          errors.push(
+            `hideSelectors[${index}] must be a non-empty string (max ${MAX_SELECTOR_LENGTH} characters)`
+          );
+        }
+      });
+    }
+  }
+
+  // Validate clip and scroll (mutually exclusive with fullPage, selector and pdf)
+  ['clip', 'scroll'].forEach((field) => {
+    if (body[field] === undefined) {
+      return;
+    }
+
+    if (body.format === 'pdf') {
+      errors.push(`${field} is not supported when format is "pdf"`);
+    }
+
+    if (body.fullPage === true) {
+      errors.push(`${field} and fullPage cannot be used together`);
+    }
+
+    if (body.selector !== undefined) {
+      errors.push(`${field} and selector cannot be used together`);
+    }
+  });
+
+  if (body.clip !== undefined) {
+    // With a device preset the viewport comes from the preset unless given explicitly
+    const viewportWidth =
+      body.width !== undefined ? parseInt(body.width) : body.device ? null : DEFAULT_WIDTH;
+    const viewportHeight =
+      body.height !== undefined ? parseInt(body.height) : body.device ? null : DEFAULT_HEIGHT;
+    errors.push(...validateClip(body.clip, viewportWidth, viewportHeight));
+  }
+
+  if (body.scroll !== undefined) {
+    errors.push(...validateScroll(body.scroll));
+  }
+
+  // Validate viewports (each entry replaces the top-level viewport and device)
+  if (body.viewports !== undefined) {
+    errors.push(...validateViewports(body.viewports));
+
+    ['width', 'height', 'device'].forEach((field) => {
+      if (body[field] !== undefined) {
+        errors.push(`${field} cannot be used with viewports (set it per viewport)`);
+      }
+    });
+
+    ['clip', 'scroll', 'tiling'].forEach((field) => {
+      if (body[field] !== undefined) {
+        errors.push(`${field} and viewports cannot be used together`);
+      }
+    });
+
+    if (body.format === 'pdf') {
+      errors.push('viewports is not supported when format is "pdf"');
+    }
+  }
+
+  // Validate PDF options
+  if (body.pdf !== undefined) {
+    if (body.format !== 'pdf') {
+      errors.push('pdf options are only allowed when format is "pdf"');
+    } else {
+      errors.push(...validatePdfOptions(body.pdf));
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -153,7 +898,7 @@ function createResponse(statusCode, body) {
  * Lambda handler
  */
 exports.handler = async (event) => {
-  console.log('Received event:', JSON.stringify(event, null, 2));
+  console.log('Received event:', JSON.stringify(redactEvent(event), null, 2));
 
   try {
     // Handle OPTIONS request for CORS
@@ -165,7 +910,7 @@ exports.handler = async (event) => {
     let body;
     try {
       body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    } catch (error) {
+    } catch {
       return createResponse(400, {
         success: false,
         error: 'Invalid JSON in request body',
@@ -187,16 +932,90 @@ exports.handler = async (event) => {
       url = `https://${url}`;
     }
 
+    // Refuse domains denied by the domain policy file
+    const domainPolicy = resolveDomainPolicy(url, DOMAIN_POLICIES);
+    if (domainPolicy.denied) {
+      return createResponse(403, {
+        success: false,
+        error: `Domain is not allowed: ${domainPolicy.reason}`,
+      });
+    }
+
+    // Refuse internal targets before anything is stored or queued
+    const urlCheck = await checkUrl(url, URL_POLICY);
+    if (!urlCheck.allowed) {
+      return createResponse(400, {
+        success: false,
+        errors: [`URL is not allowed: ${urlCheck.reason}`],
+      });
+    }
+
     // Generate request ID
     const requestId = uuidv4();
     const timestamp = new Date().toISOString();
 
     // Extract parameters with defaults
-    const width = body.width !== undefined ? parseInt(body.width) : DEFAULT_WIDTH;
-    const height = body.height !== undefined ? parseInt(body.height) : DEFAULT_HEIGHT;
+    // With a device preset, width/height are only set when given explicitly (null = preset viewport)
+    const device = body.device;
+    // Multi-viewport captures have no single viewport size
+    const viewports = body.viewports
+      ? body.viewports.map((viewport) => {
+          const entry = {};
+          VIEWPORT_FIELDS.forEach((field) => {
+            if (viewport[field] !== undefined) {
+              entry[field] = viewport[field];
+            }
+          });
+          return entry;
+        })
+      : undefined;
+    const defaultWidth = device || viewports ? null : DEFAULT_WIDTH;
+    const defaultHeight = device || viewports ? null : DEFAULT_HEIGHT;
+    const width = body.width !== undefined ? parseInt(body.width) : defaultWidth;
+    const height = body.height !== undefined ? parseInt(body.height) : defaultHeight;
+    const waitOptions = {};
+    ['waitUntil', 'waitForSelector', 'waitForFunction', 'delayMs'].forEach((field) => {
+      if (body[field] !== undefined) {
+        waitOptions[field] = body[field];
+      }
+    });
+    const captureToggles = {};
+    ['blockAds', 'dismissCookieBanners', 'autoScroll', 'failOnHttpError'].forEach((field) => {
+      if (body[field] !== undefined) {
+        captureToggles[field] = body[field];
+      }
+    });
+    const injections = {};
+    ['injectCss', 'injectScript', 'hideSelectors'].forEach((field) => {
+      if (body[field] !== undefined) {
+        injections[field] = body[field];
+      }
+    });
+    const credentials = {};
+    ['headers', 'cookies', 'basicAuth'].forEach((field) => {
+      if (body[field] !== undefined) {
+        credentials[field] = body[field];
+      }
+    });
+    const emulation = {};
+    ['device', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent'].forEach((field) => {
+      if (body[field] !== undefined) {
+        emulation[field] = body[field];
+      }
+    });
     const format = body.format || DEFAULT_FORMAT;
     const quality = body.quality !== undefined ? parseInt(body.quality) : DEFAULT_QUALITY;
     const fullPage = body.fullPage !== undefined ? body.fullPage : DEFAULT_FULL_PAGE;
+    const tiling = body.tiling;
+    const persistentProfile = body.persistentProfile;
+    const acceptedStatusCodes = body.acceptedStatusCodes;
+    const pdf = format === 'pdf' ? body.pdf || {} : undefined;
+    const selector = body.selector !== undefined ? body.selector.trim() : undefined;
+    const selectorPadding = selector ? body.selectorPadding || 0 : undefined;
+    const clip = body.clip
+      ? { x: body.clip.x, y: body.clip.y, width: body.clip.width, height: body.clip.height }
+      : undefined;
+    const scroll = body.scroll ? { x: body.scroll.x || 0, y: body.scroll.y || 0 } : undefined;
 
     // Step 1: Create DynamoDB record with 'processing' status
     console.log('Creating DynamoDB record...', { requestId, url });
@@ -207,12 +1026,25 @@ exports.handler = async (event) => {
       status: 'processing',
       width: width,
       height: height,
+      ...emulation,
       format: format,
       quality: quality,
       fullPage: fullPage,
+      ...(tiling && { tiling }),
+      ...(viewports && { viewports }),
+      ...(persistentProfile && { persistentProfile }),
+      ...waitOptions,
+      ...captureToggles,
+      ...(acceptedStatusCodes && { acceptedStatusCodes }),
+      ...(pdf && { pdf }),
+      ...(selector && { selector, selectorPadding }),
+      ...(clip && { clip }),
+      ...(scroll && { scroll }),
+      ...redactCredentials(credentials),
       s3Url: null,
       s3Key: null,
       errorMessage: null,
+      errorCode: null,
       createdAt: timestamp,
       updatedAt: timestamp,
     };
@@ -241,9 +1073,22 @@ exports.handler = async (event) => {
       url: url,
       width: width,
       height: height,
+      ...emulation,
       format: format,
       quality: quality,
       fullPage: fullPage,
+      ...(tiling && { tiling }),
+      ...(viewports && { viewports }),
+      ...(persistentProfile && { persistentProfile }),
+      ...waitOptions,
+      ...captureToggles,
+      ...(acceptedStatusCodes && { acceptedStatusCodes }),
+      ...(pdf && { pdf }),
+      ...(selector && { selector, selectorPadding }),
+      ...(clip && { clip }),
+      ...(scroll && { scroll }),
+      ...injections,
+      ...credentials,
       requestId: requestId,
     };
 
@@ -265,13 +1110,14 @@ exports.handler = async (event) => {
             TableName: DYNAMODB_TABLE,
             Key: { id: requestId },
             UpdateExpression:
-              'SET #status = :status, errorMessage = :error, updatedAt = :updatedAt',
+              'SET #status = :status, errorMessage = :error, errorCode = :errorCode, updatedAt = :updatedAt',
             ExpressionAttributeNames: {
               '#status': 'status',
             },
             ExpressionAttributeValues: {
               ':status': 'failed',
               ':error': `Failed to queue message: ${sqsError.message}`,
+              ':errorCode': 'QUEUE_ERROR',
               ':updatedAt': new Date().toISOString(),
             },
           })
@@ -0,0 +1,804 @@
+const mockDynamoSend = jest.fn();
+const mockSqsSend = jest.fn();
+
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+  DynamoDBClient: jest.fn(),
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+  DynamoDBDocumentClient: {
+    from: jest.fn(() => ({ send: mockDynamoSend })),
+  },
+  PutCommand: jest.fn((input) => ({ input })),
+  UpdateCommand: jest.fn((input) => ({ input })),
+}));
+
+jest.mock('@aws-sdk/client-sqs', () => ({
+  SQSClient: jest.fn(() => ({ send: mockSqsSend })),
+  SendMessageCommand: jest.fn((input) => ({ input })),
+}));
+
+// Shared with the worker, lambda/build.sh copies them into the package
+jest.mock('./urlSafety', () => jest.requireActual('../../src/utils/urlSafety'), { virtual: true });
+jest.mock(
+  './domainPolicy',
+  () => {
+    const actualDomainPolicy = jest.requireActual('../../src/utils/domainPolicy');
+    return {
+      ...actualDomainPolicy,
+      loadDomainPolicies: () =>
+        actualDomainPolicy.parseDomainPolicies({ deny: ['denied.example.com'] }),
+    };
+  },
+  { virtual: true }
+);
+
+process.env.SCREENSHOT_PERSISTENT_PROFILES = 'acme-dashboard, acme-admin';
+
+const dns = require('dns');
+const { handler } = require('./app');
+
+describe('Create Screenshot Lambda Function', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockDynamoSend.mockResolvedValue({});
+    mockSqsSend.mockResolvedValue({ MessageId: 'message-123' });
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    path: '/screenshots',
+    body: JSON.stringify(body),
+  });
+
+  const getSavedItem = () => mockDynamoSend.mock.calls[0][0].input.Item;
+  const getSentMessage = () => JSON.parse(mockSqsSend.mock.calls[0][0].input.MessageBody);
+
+  test('should create screenshot request with defaults', async () => {
+    const result = await handler(createEvent({ url: 'example.com' }));
+
+    expect(result.statusCode).toBe(201);
+
+    const body = JSON.parse(result.body);
+    expect(body.success).toBe(true);
+    expect(body.status).toBe('processing');
+
+    expect(getSavedItem()).toEqual(
+      expect.objectContaining({
+        url: 'https://example.com',
+        status: 'processing',
+        format: 'png',
+      })
+    );
+    expect(getSentMessage()).toEqual(
+      expect.objectContaining({
+        url: 'https://example.com',
+        format: 'png',
+        requestId: body.requestId,
+      })
+    );
+  });
+
+  test('should reject invalid JSON body', async () => {
+    const result = await handler({ httpMethod: 'POST', body: '{invalid' });
+
+    expect(result.statusCode).toBe(400);
+    expect(mockDynamoSend).not.toHaveBeenCalled();
+  });
+
+  test('should reject unsupported format', async () => {
+    const result = await handler(createEvent({ url: 'https://example.com', format: 'gif' }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).errors).toContain(
+      'Format must be one of "png", "jpeg", "webp" or "pdf"'
+    );
+  });
+
+  test('should accept webp format with quality', async () => {
+    const result = await handler(
+      createEvent({ url: 'https://example.com', format: 'webp', quality: 70 })
+    );
+
+    expect(result.statusCode).toBe(201);
+    expect(getSavedItem()).toEqual(expect.objectContaining({ format: 'webp', quality: 70 }));
+    expect(getSentMessage()).toEqual(expect.objectContaining({ format: 'webp', quality: 70 }));
+  });
+
+  describe('URL safety', () => {
+    test('should reject hostnames resolving to the metadata endpoint', async () => {
+      dns.promises.lookup.mockResolvedValueOnce([{ address: '169.254.169.254', family: 4 }]);
+
+      const result = await handler(createEvent({ url: 'https://metadata.example.com' }));
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'URL is not allowed: metadata.example.com resolves to a private or reserved address (169.254.169.254)',
+      ]);
+      expect(mockDynamoSend).not.toHaveBeenCalled();
+      expect(mockSqsSend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Domain policy', () => {
+    test('should reject denied domains and their subdomains with 403', async () => {
+      const result = await handler(createEvent({ url: 'https://www.denied.example.com/page' }));
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body)).toEqual({
+        success: false,
+        error: 'Domain is not allowed: domain denied.example.com is denied',
+      });
+      expect(mockDynamoSend).not.toHaveBeenCalled();
+      expect(mockSqsSend).not.toHaveBeenCalled();
+    });
+
+    test('should accept domains that are not denied', async () => {
+      const result = await handler(createEvent({ url: 'https://notdenied.example.com' }));
+
+      expect(result.statusCode).toBe(201);
+    });
+  });
+
+  describe('Element capture', () => {
+    test('should accept selector with padding', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', selector: ' #chart ', selectorPadding: 10 })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({ selector: '#chart', selectorPadding: 10 })
+      );
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({ selector: '#chart', selectorPadding: 10 })
+      );
+    });
+
+    test('should default selectorPadding to 0', async () => {
+      await handler(createEvent({ url: 'https://example.com', selector: '.card' }));
+
+      expect(getSentMessage().selectorPadding).toBe(0);
+    });
+
+    test('should reject invalid selector options', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          selector: '',
+          selectorPadding: -1,
+          fullPage: true,
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          'selector must be a non-empty string',
+          'selector and fullPage cannot be used together',
+          'selectorPadding must be an integer between 0 and 500',
+        ])
+      );
+    });
+
+    test('should reject selector for pdf format', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', format: 'pdf', selector: '#chart' })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toContain(
+        'selector is not supported when format is "pdf"'
+      );
+    });
+
+    test('should reject selectorPadding without selector', async () => {
+      const result = await handler(createEvent({ url: 'https://example.com', selectorPadding: 5 }));
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toContain('selectorPadding requires selector');
+    });
+  });
+
+  describe('Wait strategy', () => {
+    test('should accept wait options', async () => {
+      const waitOptions = {
+        waitUntil: 'networkidle2',
+        waitForSelector: '.loaded',
+        waitForFunction: 'window.appReady === true',
+        delayMs: 500,
+      };
+
+      const result = await handler(createEvent({ url: 'https://example.com', ...waitOptions }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining(waitOptions));
+      expect(getSentMessage()).toEqual(expect.objectContaining(waitOptions));
+    });
+
+    test('should not send wait options that were not requested', async () => {
+      await handler(createEvent({ url: 'https://example.com' }));
+
+      expect(getSentMessage()).not.toHaveProperty('waitUntil');
+      expect(getSentMessage()).not.toHaveProperty('delayMs');
+    });
+
+    test('should reject invalid wait options', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          waitUntil: 'idle',
+          waitForSelector: '',
+          waitForFunction: 'a'.repeat(5001),
+          delayMs: 60000,
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining('waitUntil must be one of'),
+          'waitForSelector must be a non-empty string',
+          'waitForFunction is too long (max 5000 characters)',
+          'delayMs must be an integer between 0 and 30000',
+        ])
+      );
+    });
+  });
+
+  describe('Content blocking', () => {
+    test('should accept content blocking toggles', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', blockAds: true, dismissCookieBanners: false })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({ blockAds: true, dismissCookieBanners: false })
+      );
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({ blockAds: true, dismissCookieBanners: false })
+      );
+    });
+
+    test('should reject non-boolean toggles', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', blockAds: 'yes', dismissCookieBanners: 1 })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'blockAds must be a boolean',
+        'dismissCookieBanners must be a boolean',
+      ]);
+    });
+  });
+
+  describe('Auto-scroll', () => {
+    test('should forward and store autoScroll', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', fullPage: true, autoScroll: false })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining({ autoScroll: false }));
+      expect(getSentMessage()).toEqual(expect.objectContaining({ autoScroll: false }));
+    });
+
+    test('should reject a non-boolean autoScroll', async () => {
+      const result = await handler(createEvent({ url: 'https://example.com', autoScroll: 'no' }));
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(['autoScroll must be a boolean']);
+    });
+  });
+
+  describe('Tiling', () => {
+    test('should forward and store the tiling mode', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', fullPage: true, tiling: 'separate' })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining({ tiling: 'separate' }));
+      expect(getSentMessage()).toEqual(expect.objectContaining({ tiling: 'separate' }));
+    });
+
+    test('should reject unknown tiling modes', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', fullPage: true, tiling: 'grid' })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(['tiling must be one of: stitch, separate']);
+    });
+
+    test('should require fullPage and an image format', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', format: 'pdf', tiling: 'stitch' })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'tiling requires fullPage to be true',
+        'tiling is not supported when format is "pdf"',
+      ]);
+    });
+  });
+
+  describe('Persistent profile', () => {
+    test('should forward and store the profile name', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', persistentProfile: 'acme-dashboard' })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({ persistentProfile: 'acme-dashboard' })
+      );
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({ persistentProfile: 'acme-dashboard' })
+      );
+    });
+
+    test('should reject invalid profile names', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', persistentProfile: '../other profile' })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'persistentProfile must be 1-64 letters, digits, "-" or "_"',
+      ]);
+    });
+
+    test('should reject profiles that are not configured', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', persistentProfile: 'other-customer' })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'persistentProfile "other-customer" is not allowed',
+      ]);
+      expect(mockSqsSend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HTTP error policy', () => {
+    test('should forward and store failOnHttpError and accepted status codes', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          failOnHttpError: true,
+          acceptedStatusCodes: [200, '300-399', 404],
+        })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({
+          failOnHttpError: true,
+          acceptedStatusCodes: [200, '300-399', 404],
+        })
+      );
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({
+          failOnHttpError: true,
+          acceptedStatusCodes: [200, '300-399', 404],
+        })
+      );
+    });
+
+    test('should reject invalid accepted status codes', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          failOnHttpError: true,
+          acceptedStatusCodes: [200, '500-400', 'ok', 99],
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'acceptedStatusCodes[1] must be a status code (100-599) or a "min-max" range',
+        'acceptedStatusCodes[2] must be a status code (100-599) or a "min-max" range',
+        'acceptedStatusCodes[3] must be a status code (100-599) or a "min-max" range',
+      ]);
+    });
+
+    test('should reject accepted status codes without failOnHttpError', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', acceptedStatusCodes: ['200-299'] })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'acceptedStatusCodes requires failOnHttpError to be true',
+      ]);
+    });
+  });
+
+  describe('Viewports', () => {
+    test('should forward and store viewports without a single viewport size', async () => {
+      const viewports = [
+        { name: 'desktop', width: 1920, height: 1080 },
+        { name: 'mobile', device: 'iPhone 15 Pro' },
+      ];
+      const result = await handler(createEvent({ url: 'https://example.com', viewports }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({ viewports, width: null, height: null })
+      );
+      expect(getSentMessage()).toEqual(expect.objectContaining({ viewports }));
+    });
+
+    test('should reject invalid viewport entries', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          viewports: [
+            { name: 'a', width: 50 },
+            { name: 'a', device: 'Nokia 3310' },
+            { width: 800, height: 600, zoom: 2 },
+          ],
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'viewports[0] must have a device or both width and height',
+        'viewports[0].width must be between 100 and 3840 pixels',
+        'viewports[1].name must be unique',
+        expect.stringContaining('viewports[1].device must be one of:'),
+        'viewports[2].zoom is not supported',
+      ]);
+    });
+
+    test('should reject viewports combined with single-viewport options', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          width: 1280,
+          viewports: [{ width: 1920, height: 1080 }],
+          clip: { x: 0, y: 0, width: 100, height: 100 },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'width cannot be used with viewports (set it per viewport)',
+        'clip and viewports cannot be used together',
+      ]);
+    });
+
+    test('should reject an empty or oversized viewports list', async () => {
+      const empty = await handler(createEvent({ url: 'https://example.com', viewports: [] }));
+      const oversized = await handler(
+        createEvent({
+          url: 'https://example.com',
+          viewports: Array.from({ length: 11 }, () => ({ width: 800, height: 600 })),
+        })
+      );
+
+      expect(JSON.parse(empty.body).errors).toEqual(['viewports must be a non-empty array']);
+      expect(JSON.parse(oversized.body).errors).toEqual([
+        'viewports cannot have more than 10 entries',
+      ]);
+    });
+  });
+
+  describe('Injections', () => {
+    test('should forward injections to SQS', async () => {
+      const injections = {
+        injectCss: '* { animation: none !important; }',
+        injectScript: 'window.appState = "ready"',
+        hideSelectors: ['#chat-widget', '.cookie-banner'],
+      };
+
+      const result = await handler(createEvent({ url: 'https://example.com', ...injections }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSentMessage()).toEqual(expect.objectContaining(injections));
+    });
+
+    test('should reject invalid injections', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          injectCss: '',
+          injectScript: 'a'.repeat(50001),
+          hideSelectors: ['#ok', 42],
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'injectCss must be a non-empty string',
+        'injectScript is too long (max 50000 characters)',
+        'hideSelectors[1] must be a non-empty string (max 1000 characters)',
+      ]);
+    });
+  });
+
+  describe('Credentials', () => {
+    const credentials = {
+      headers: { 'X-Api-Key': 'secret-key' },
+      cookies: [{ name: 'session', value: 'secret-cookie', domain: 'example.com', path: '/' }],
+      basicAuth: { username: 'user', password: 'secret-password' },
+    };
+
+    test('should forward credentials to SQS', async () => {
+      const result = await handler(createEvent({ url: 'https://example.com', ...credentials }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSentMessage()).toEqual(expect.objectContaining(credentials));
+    });
+
+    test('should redact credentials in DynamoDB record', async () => {
+      await handler(createEvent({ url: 'https://example.com', ...credentials }));
+
+      const item = getSavedItem();
+      expect(item.headers).toEqual({ 'X-Api-Key': '[REDACTED]' });
+      expect(item.cookies).toEqual([
+        { name: 'session', value: '[REDACTED]', domain: 'example.com', path: '/' },
+      ]);
+      expect(item.basicAuth).toEqual({ username: 'user', password: '[REDACTED]' });
+    });
+
+    test('should never log credential values', async () => {
+      await handler(createEvent({ url: 'https://example.com', ...credentials }));
+
+      const logged = JSON.stringify([console.log.mock.calls, console.error.mock.calls]);
+      expect(logged).not.toContain('secret-key');
+      expect(logged).not.toContain('secret-cookie');
+      expect(logged).not.toContain('secret-password');
+    });
+
+    test('should not log unparseable bodies', async () => {
+      await handler({ httpMethod: 'POST', body: '{"basicAuth": {"password": "secret-password"' });
+
+      expect(JSON.stringify(console.log.mock.calls)).not.toContain('secret-password');
+    });
+
+    test('should reject invalid credentials', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          headers: { 'Bad Header': 'x', 'X-Number': 1 },
+          cookies: [{ value: 'abc' }, 'session=abc'],
+          basicAuth: { password: 'secret' },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          'headers contains an invalid header name: Bad Header',
+          'headers.X-Number must be a string (max 4096 characters)',
+          'cookies[0].name must be a non-empty string',
+          'cookies[1] must be an object',
+          'basicAuth.username must be a non-empty string',
+        ])
+      );
+    });
+  });
+
+  describe('Device emulation', () => {
+    test('should accept device preset and leave viewport to the preset', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', device: 'iPhone 15 Pro' })
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(
+        expect.objectContaining({ device: 'iPhone 15 Pro', width: null, height: null })
+      );
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({ device: 'iPhone 15 Pro', width: null, height: null })
+      );
+    });
+
+    test('should store explicit overrides', async () => {
+      const overrides = {
+        device: 'iPad Pro',
+        width: 1366,
+        deviceScaleFactor: 2,
+        isMobile: false,
+        hasTouch: true,
+        userAgent: 'CustomAgent/1.0',
+      };
+
+      const result = await handler(createEvent({ url: 'https://example.com', ...overrides }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining({ ...overrides, height: null }));
+      expect(getSentMessage()).toEqual(expect.objectContaining(overrides));
+    });
+
+    test('should reject invalid emulation options', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          device: 'Nokia 3310',
+          deviceScaleFactor: 10,
+          isMobile: 'yes',
+          userAgent: '',
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining('device must be one of'),
+          'deviceScaleFactor must be a number between 0.5 and 4',
+          'isMobile must be a boolean',
+          'userAgent must be a non-empty string',
+        ])
+      );
+    });
+
+    test('should skip clip bounds for dimensions taken from device preset', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          device: 'iPhone 15 Pro',
+          width: 393,
+          clip: { x: 0, y: 0, width: 393, height: 3000 },
+        })
+      );
+
+      expect(result.statusCode).toBe(201);
+    });
+  });
+
+  describe('Region capture', () => {
+    test('should accept clip and scroll', async () => {
+      const clip = { x: 0, y: 100, width: 800, height: 600 };
+      const scroll = { y: 2000 };
+
+      const result = await handler(createEvent({ url: 'https://example.com', clip, scroll }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining({ clip, scroll: { x: 0, y: 2000 } }));
+      expect(getSentMessage()).toEqual(
+        expect.objectContaining({ clip, scroll: { x: 0, y: 2000 } })
+      );
+    });
+
+    test('should reject clip outside the viewport', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          width: 1280,
+          height: 720,
+          clip: { x: 1000, y: 500, width: 400, height: 300 },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual([
+        'clip exceeds viewport width (x + width must be <= 1280)',
+        'clip exceeds viewport height (y + height must be <= 720)',
+      ]);
+    });
+
+    test('should reject malformed clip and scroll', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          clip: { x: -1, y: 0, width: 0, height: 10.5 },
+          scroll: { y: 'down' },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          'clip.x must be a non-negative integer',
+          'clip.width must be a positive integer',
+          'clip.height must be a positive integer',
+          'scroll.y must be an integer between 0 and 100000',
+        ])
+      );
+    });
+
+    test('should reject clip combined with fullPage or selector', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          fullPage: true,
+          selector: '#chart',
+          clip: { x: 0, y: 0, width: 100, height: 100 },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toEqual(
+        expect.arrayContaining([
+          'clip and fullPage cannot be used together',
+          'clip and selector cannot be used together',
+        ])
+      );
+    });
+  });
+
+  describe('PDF format', () => {
+    test('should accept pdf format with options', async () => {
+      const pdf = {
+        paperFormat: 'Letter',
+        landscape: true,
+        printBackground: false,
+        margin: { top: '10mm', bottom: 20 },
+        footerTemplate: '<div class="pageNumber"></div>',
+      };
+
+      const result = await handler(createEvent({ url: 'https://example.com', format: 'pdf', pdf }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSavedItem()).toEqual(expect.objectContaining({ format: 'pdf', pdf }));
+      expect(getSentMessage()).toEqual(expect.objectContaining({ format: 'pdf', pdf }));
+    });
+
+    test('should default pdf options to an empty object', async () => {
+      const result = await handler(createEvent({ url: 'https://example.com', format: 'pdf' }));
+
+      expect(result.statusCode).toBe(201);
+      expect(getSentMessage().pdf).toEqual({});
+    });
+
+    test('should not include pdf options for image formats', async () => {
+      await handler(createEvent({ url: 'https://example.com', format: 'jpeg' }));
+
+      expect(getSavedItem()).not.toHaveProperty('pdf');
+      expect(getSentMessage()).not.toHaveProperty('pdf');
+    });
+
+    test('should reject pdf options when format is not pdf', async () => {
+      const result = await handler(
+        createEvent({ url: 'https://example.com', format: 'png', pdf: { landscape: true } })
+      );
+
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).errors).toContain(
+        'pdf options are only allowed when format is "pdf"'
+      );
+    });
+
+    test('should reject invalid pdf options', async () => {
+      const result = await handler(
+        createEvent({
+          url: 'https://example.com',
+          format: 'pdf',
+          pdf: {
+            paperFormat: 'B5',
+            landscape: 'yes',
+            margin: { top: 'ten', middle: '1mm' },
+            headerTemplate: 'a'.repeat(10001),
+          },
+        })
+      );
+
+      expect(result.statusCode).toBe(400);
+
+      const { errors } = JSON.parse(result.body);
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining('pdf.paperFormat must be one of'),
+          'pdf.landscape must be a boolean',
+          expect.stringContaining('pdf.margin.top must be a length'),
+          expect.stringContaining('pdf.margin.middle is not supported'),
+          'pdf.headerTemplate is too long (max 10000 characters)',
+        ])
+      );
+    });
+  });
+});
@@ -6,6 +6,11 @@
  * Path parameters:
  * - requestId: The UUID of the screenshot request
  *
+ * Query parameters:
+ * - include: Comma-separated history to add to the response
+ *   - attempts: every processing attempt (worker, timing per phase, outcome, error)
+ *   - statusHistory: every status change since the job was first claimed
+ *
  * Response:
  * {
  *   "success": true,
@@ -17,8 +22,27 @@
  *     "width": 1920,
  *     "height": 1080,
  *     "format": "png",
+ *     "fullPage": false,
+ *     "device": "iPhone 15 Pro",                                // only if requested
+ *     "clip": { "x": 0, "y": 0, "width": 800, "height": 600 }, // only if requested
+ *     "scroll": { "x": 0, "y": 2000 },                         // only if requested
+ *     "injections": { "hideSelectors": ["#chat-widget"] },     // only if applied
+ *     "httpStatusCode": 200,                                   // once the page was loaded
+ *     "finalUrl": "https://www.example.com/",                  // once the page was loaded
+ *     "redirectChain": [{ "url": "https://example.com", "statusCode": 301 }], // once loaded
  *     "createdAt": "2024-01-01T00:00:00.000Z",
- *     "updatedAt": "2024-01-01T00:00:10.000Z"
+ *     "updatedAt": "2024-01-01T00:00:10.000Z",
+ *     "attempts": [                                            // only with ?include=attempts
+ *       {
+ *         "attempt": 1,
+ *         "workerId": "ip-10-0-1-23-1",
+ *         "startedAt": "2024-01-01T00:00:01.000Z",
+ *         "endedAt": "2024-01-01T00:00:09.000Z",
+ *         "durationMs": 8000,
+ *         "phaseDurationsMs": { "navigate": 5000, "capture": 2500, "upload": 500 },
+ *         "outcome": "success"                                 // or failed/requeued with errorCode, errorMessage
+ *       }
+ *     ]
  *   }
  * }
  *
@@ -49,6 +73,9 @@ const dynamoDBDocClient = DynamoDBDocumentClient.from(dynamoDBClient);
 // Configuration
 const DYNAMODB_TABLE = process.env.DYNAMODB_TABLE_NAME || 'screenshot-results';
 
+// History lists that are only returned when asked for with ?include=
+const INCLUDABLE_FIELDS = ['attempts', 'statusHistory'];
+
 /**
  * Create response object
  */
@@ -103,6 +130,18 @@ exports.handler = async (event) => {
       });
     }
 
+    const include = (event.queryStringParameters?.include || '')
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean);
+    const unknownInclude = include.find((field) => !INCLUDABLE_FIELDS.includes(field));
+    if (unknownInclude) {
+      return createResponse(400, {
+        success: false,
+        error: `Invalid include value: ${unknownInclude} (must be one of ${INCLUDABLE_FIELDS.join(', ')})`,
+      });
+    }
+
     // Get screenshot record from DynamoDB
     console.log('Fetching screenshot record...', { requestId });
 
@@ -131,10 +170,46 @@ exports.handler = async (event) => {
         width: screenshot.width,
         height: screenshot.height,
         format: screenshot.format,
+        fullPage: screenshot.fullPage,
         createdAt: screenshot.createdAt,
         updatedAt: screenshot.updatedAt,
       };
 
+      // Add emulation and capture region fields so callers can see exactly what was captured
+      [
+        'device',
+        'deviceScaleFactor',
+        'isMobile',
+        'hasTouch',
+        'userAgent',
+        'waitUntil',
+        'waitForSelector',
+        'waitForFunction',
+        'delayMs',
+        'blockAds',
+        'dismissCookieBanners',
+        'autoScroll',
+        'failOnHttpError',
+        'acceptedStatusCodes',
+        'httpStatusCode',
+        'finalUrl',
+        'redirectChain',
+        'tiling',
+        'tiles',
+        'viewports',
+        'outputs',
+        'persistentProfile',
+        'selector',
+        'selectorPadding',
+        'clip',
+        'scroll',
+        'injections',
+      ].forEach((field) => {
+        if (screenshot[field] !== undefined) {
+          responseData[field] = screenshot[field];
+        }
+      });
+
       // Add status-specific fields
       if (screenshot.status === 'success') {
         responseData.s3Url = screenshot.s3Url;
@@ -143,8 +218,13 @@ exports.handler = async (event) => {
 
       if (screenshot.status === 'failed') {
         responseData.errorMessage = screenshot.errorMessage;
+        responseData.errorCode = screenshot.errorCode;
       }
 
+      include.forEach((field) => {
+        responseData[field] = screenshot[field] || [];
+      });
+
       // Add processing duration if available
       if (screenshot.createdAt && screenshot.updatedAt) {
         const startTime = new Date(screenshot.createdAt);
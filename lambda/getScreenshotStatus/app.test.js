@@ -0,0 +1,186 @@
+const mockDynamoSend = jest.fn();
+
+jest.mock('@aws-sdk/client-dynamodb', () => ({
+  DynamoDBClient: jest.fn(),
+}));
+
+jest.mock('@aws-sdk/lib-dynamodb', () => ({
+  DynamoDBDocumentClient: {
+    from: jest.fn(() => ({ send: mockDynamoSend })),
+  },
+  GetCommand: jest.fn((input) => ({ input })),
+}));
+
+const { handler } = require('./app');
+
+describe('Get Screenshot Status Lambda Function', () => {
+  const requestId = '3f1c2a4e-8b7d-4c6e-9a1f-2b3c4d5e6f70';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEvent = (id = requestId) => ({
+    httpMethod: 'GET',
+    pathParameters: { requestId: id },
+  });
+
+  test('should return screenshot status', async () => {
+    mockDynamoSend.mockResolvedValueOnce({
+      Item: {
+        id: requestId,
+        url: 'https://example.com',
+        status: 'success',
+        s3Url: 'https://bucket.s3.amazonaws.com/screenshots/test.png',
+        s3Key: 'screenshots/test.png',
+        width: 1920,
+        height: 1080,
+        format: 'png',
+        fullPage: false,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:10.000Z',
+      },
+    });
+
+    const result = await handler(createEvent());
+
+    expect(result.statusCode).toBe(200);
+
+    const { data } = JSON.parse(result.body);
+    expect(data).toEqual(
+      expect.objectContaining({
+        id: requestId,
+        status: 'success',
+        s3Key: 'screenshots/test.png',
+        processingDurationMs: 10000,
+      })
+    );
+    expect(data).not.toHaveProperty('clip');
+  });
+
+  test('should include capture region when present', async () => {
+    const clip = { x: 0, y: 100, width: 800, height: 600 };
+    const scroll = { x: 0, y: 2000 };
+
+    mockDynamoSend.mockResolvedValueOnce({
+      Item: {
+        id: requestId,
+        url: 'https://example.com',
+        status: 'processing',
+        clip,
+        scroll,
+      },
+    });
+
+    const result = await handler(createEvent());
+
+    const { data } = JSON.parse(result.body);
+    expect(data.clip).toEqual(clip);
+    expect(data.scroll).toEqual(scroll);
+  });
+
+  test('should include the HTTP response and error code of a failed capture', async () => {
+    const redirectChain = [{ url: 'http://example.com/old', statusCode: 301 }];
+
+    mockDynamoSend.mockResolvedValueOnce({
+      Item: {
+        id: requestId,
+        url: 'http://example.com/old',
+        status: 'failed',
+        failOnHttpError: true,
+        httpStatusCode: 404,
+        finalUrl: 'https://example.com/new',
+        redirectChain,
+        errorMessage: 'Page responded with HTTP 404: https://example.com/new',
+        errorCode: 'HTTP_CLIENT_ERROR',
+      },
+    });
+
+    const result = await handler(createEvent());
+
+    const { data } = JSON.parse(result.body);
+    expect(data).toEqual(
+      expect.objectContaining({
+        failOnHttpError: true,
+        httpStatusCode: 404,
+        finalUrl: 'https://example.com/new',
+        redirectChain,
+        errorCode: 'HTTP_CLIENT_ERROR',
+      })
+    );
+  });
+
+  test('should include attempt history only when asked for', async () => {
+    const attempts = [
+      {
+        attempt: 1,
+        workerId: 'worker-1',
+        startedAt: '2024-01-01T00:00:01.000Z',
+        endedAt: '2024-01-01T00:00:31.000Z',
+        durationMs: 30000,
+        phaseDurationsMs: { navigate: 30000 },
+        outcome: 'failed',
+        errorCode: 'TIMEOUT',
+        errorMessage: 'Navigation timeout of 30000 ms exceeded',
+      },
+    ];
+    const item = { id: requestId, url: 'https://example.com', status: 'failed', attempts };
+    mockDynamoSend.mockResolvedValueOnce({ Item: item }).mockResolvedValueOnce({ Item: item });
+
+    const withoutInclude = JSON.parse((await handler(createEvent())).body).data;
+    const withInclude = JSON.parse(
+      (await handler({ ...createEvent(), queryStringParameters: { include: 'attempts' } })).body
+    ).data;
+
+    expect(withoutInclude).not.toHaveProperty('attempts');
+    expect(withInclude.attempts).toEqual(attempts);
+    expect(withInclude).not.toHaveProperty('statusHistory');
+  });
+
+  test('should return an empty history for records without one', async () => {
+    mockDynamoSend.mockResolvedValueOnce({ Item: { id: requestId, status: 'processing' } });
+
+    const result = await handler({
+      ...createEvent(),
+      queryStringParameters: { include: 'attempts,statusHistory' },
+    });
+
+    const { data } = JSON.parse(result.body);
+    expect(data.attempts).toEqual([]);
+    expect(data.statusHistory).toEqual([]);
+  });
+
+  test('should reject unknown include values', async () => {
+    const result = await handler({
+      ...createEvent(),
+      queryStringParameters: { include: 'secrets' },
+    });
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).error).toBe(
+      'Invalid include value: secrets (must be one of attempts, statusHistory)'
+    );
+    expect(mockDynamoSend).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when record does not exist', async () => {
+    mockDynamoSend.mockResolvedValueOnce({});
+
+    const result = await handler(createEvent());
+
+    expect(result.statusCode).toBe(404);
+  });
+
+  test('should reject invalid requestId', async () => {
+    const result = await handler(createEvent('not-a-uuid'));
+
+    expect(result.statusCode).toBe(400);
+    expect(mockDynamoSend).not.toHaveBeenCalled();
+  });
+});
@@ -22,6 +22,11 @@ echo ""
 echo "Press Ctrl+C to stop"
 echo ""
 
+# Shared with the worker, copied like lambda/build.sh does
+cp "$PROJECT_ROOT/src/utils/urlSafety.js" "$SCRIPT_DIR/createScreenshot/urlSafety.js"
+cp "$PROJECT_ROOT/src/utils/domainPolicy.js" "$SCRIPT_DIR/createScreenshot/domainPolicy.js"
+cp "$PROJECT_ROOT/src/config/domain-policies.json" "$SCRIPT_DIR/createScreenshot/domain-policies.json"
+
 sam local start-api \
   --port "$PORT" \
   --docker-network "$NETWORK_NAME" \
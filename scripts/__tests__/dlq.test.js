@@ -0,0 +1,55 @@
+const { describe, it, expect } = require('@jest/globals');
+
+jest.mock('../../src/services/dlqService', () => ({}));
+
+const { parseArgs } = require('../dlq');
+
+describe('dlq script', () => {
+  describe('parseArgs', () => {
+    it('should read ids when --max is not passed', () => {
+      expect(parseArgs(['redrive', 'req-1', 'req-2'])).toEqual({
+        command: 'redrive',
+        ids: ['req-1', 'req-2'],
+        all: false,
+        maxMessages: 100,
+      });
+    });
+
+    it('should skip the value after --max', () => {
+      expect(parseArgs(['redrive', 'req-1', '--max', '50', 'req-2'])).toEqual({
+        command: 'redrive',
+        ids: ['req-1', 'req-2'],
+        all: false,
+        maxMessages: 50,
+      });
+    });
+
+    it.each([
+      [['list', '--max']],
+      [['list', '--max', 'abc']],
+      [['list', '--max', '0']],
+      [['list', '--max', '-5']],
+      [['list', '--max', '2.5']],
+    ])('should reject an invalid --max in %j', (argv) => {
+      expect(parseArgs(argv).maxMessages).toBeNull();
+    });
+
+    it('should read --all', () => {
+      expect(parseArgs(['redrive', '--all'])).toEqual({
+        command: 'redrive',
+        ids: [],
+        all: true,
+        maxMessages: 100,
+      });
+    });
+
+    it('should read list without arguments', () => {
+      expect(parseArgs(['list'])).toEqual({
+        command: 'list',
+        ids: [],
+        all: false,
+        maxMessages: 100,
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Script to inspect the dead-letter queue and redrive messages to the main queue
+ * Usage:
+ *   node scripts/dlq.js list [--max <n>]
+ *   node scripts/dlq.js redrive <requestId|messageId>... [--max <n>]
+ *   node scripts/dlq.js redrive --all [--max <n>]
+ *
+ * Redriven jobs are reset to 'processing' before their message is sent back.
+ * Requires SQS_QUEUE_URL, SQS_DLQ_URL and DYNAMODB_TABLE_NAME.
+ */
+
+require('dotenv').config();
+const dlqService = require('../src/services/dlqService');
+
+/**
+ * Parse the command line arguments after `node scripts/dlq.js`
+ * @param {string[]} argv - Arguments, e.g. ['redrive', 'req-1', '--max', '50']
+ * @returns {Object} { command, ids, all, maxMessages } - maxMessages is null when --max is not a positive integer
+ */
+function parseArgs(argv) {
+  const [command, ...args] = argv;
+  const maxIndex = args.indexOf('--max');
+  const maxValue = maxIndex === -1 ? '100' : args[maxIndex + 1];
+  const maxMessages = /^[1-9]\d*$/.test(maxValue || '') ? parseInt(maxValue, 10) : null;
+  const ids = args.filter(
+    (arg, index) => !arg.startsWith('--') && (maxIndex === -1 || index !== maxIndex + 1)
+  );
+
+  return { command, ids, all: args.includes('--all'), maxMessages };
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  node scripts/dlq.js list [--max <n>]');
+  console.log('  node scripts/dlq.js redrive <requestId|messageId>... [--max <n>]');
+  console.log('  node scripts/dlq.js redrive --all [--max <n>]');
+}
+
+function printMessage(message, index) {
+  const { record } = message;
+  console.log(`${index + 1}. Message ID: ${message.messageId}`);
+  console.log(`   Request ID: ${message.requestId || 'N/A (invalid body)'}`);
+  console.log(`   URL: ${(message.body && message.body.url) || 'N/A'}`);
+  console.log(`   Receive count: ${message.receiveCount}`);
+  console.log(`   Sent: ${message.sentAt || 'N/A'}`);
+  if (!record) {
+    console.log('   Record: not found in DynamoDB');
+  } else {
+    console.log(`   Status: ${record.status}`);
+    if (record.errorCode || record.errorMessage) {
+      console.log(`   Error: [${record.errorCode || 'N/A'}] ${record.errorMessage || ''}`);
+    }
+    if (record.attempts) {
+      console.log(`   Attempts: ${record.attempts.length}`);
+    }
+  }
+  console.log('');
+}
+
+async function listMessages({ maxMessages }) {
+  console.log('Reading dead-letter queue...');
+  console.log('-------------------------------------------\n');
+
+  const messages = await dlqService.listMessages({ maxMessages });
+
+  if (messages.length === 0) {
+    console.log('✅ The dead-letter queue is empty.');
+    return;
+  }
+
+  console.log(`Found ${messages.length} message(s):\n`);
+  messages.forEach(printMessage);
+  console.log('Messages stay hidden in the DLQ for a minute after listing.');
+}
+
+async function redriveMessages({ ids, all, maxMessages }) {
+  if (!all && ids.length === 0) {
+    console.error('❌ Error: pass requestIds/messageIds to redrive, or --all');
+    printUsage();
+    process.exit(1);
+  }
+
+  const messages = await dlqService.listMessages({ maxMessages });
+  const selected = all
+    ? messages
+    : messages.filter(
+        (message) => ids.includes(message.requestId) || ids.includes(message.messageId)
+      );
+
+  const missing = ids.filter(
+    (id) => !selected.some((message) => message.requestId === id || message.messageId === id)
+  );
+  missing.forEach((id) => console.log(`⚠️  Not found in the DLQ: ${id}`));
+
+  if (selected.length === 0) {
+    console.log('Nothing to redrive.');
+    return;
+  }
+
+  console.log(`Redriving ${selected.length} message(s)...\n`);
+  const results = await dlqService.redriveMessages(selected);
+
+  results.forEach((result) => {
+    const label = result.requestId || result.messageId;
+    if (result.redriven) {
+      console.log(`✅ ${label}: sent back to the main queue`);
+    } else {
+      console.log(`⏭️  ${label}: skipped (${result.reason})`);
+    }
+  });
+
+  const redriven = results.filter((result) => result.redriven).length;
+  console.log(`\n${redriven}/${results.length} message(s) redriven.`);
+  if (redriven < results.length) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.maxMessages === null) {
+    console.error('❌ Error: --max must be a positive integer');
+    printUsage();
+    process.exit(1);
+  }
+
+  try {
+    if (options.command === 'list') {
+      await listMessages(options);
+    } else if (options.command === 'redrive') {
+      await redriveMessages(options);
+    } else {
+      printUsage();
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs };
@@ -115,6 +115,22 @@ aws --endpoint-url="$ENDPOINT_URL" dynamodb create-table \
 
 echo "  ✓ DynamoDB table ready"
 
+# Create DynamoDB table for per-host rate limiting
+echo ""
+echo "Creating DynamoDB table: screenshot-rate-limits"
+aws --endpoint-url="$ENDPOINT_URL" dynamodb create-table \
+    --table-name screenshot-rate-limits \
+    --attribute-definitions AttributeName=id,AttributeType=S \
+    --key-schema AttributeName=id,KeyType=HASH \
+    --billing-mode PAY_PER_REQUEST \
+    2>/dev/null || echo "  → Table already exists"
+aws --endpoint-url="$ENDPOINT_URL" dynamodb update-time-to-live \
+    --table-name screenshot-rate-limits \
+    --time-to-live-specification Enabled=true,AttributeName=expiresAt \
+    > /dev/null 2>&1 || true
+
+echo "  ✓ Rate limit table ready"
+
 echo ""
 echo "=========================================="
 echo "✓ LocalStack initialization complete!"
@@ -125,4 +141,5 @@ echo "  - S3 Bucket: screenshot-bucket"
 echo "  - SQS Queue: screenshot-queue"
 echo "  - DynamoDB Table: screenshot-results"
 echo "    (with StatusIndex GSI: status + createdAt)"
+echo "  - DynamoDB Table: screenshot-rate-limits (TTL: expiresAt)"
 echo ""
@@ -1,4 +1,7 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+const { loadDomainPolicies } = require('../utils/domainPolicy');
 
 const config = {
   // AWS Configuration
@@ -14,6 +17,20 @@ const config = {
     batchSize: parseInt(process.env.SQS_BATCH_SIZE || '1', 10),
     visibilityTimeout: parseInt(process.env.SQS_VISIBILITY_TIMEOUT || '300', 10),
     waitTimeSeconds: parseInt(process.env.SQS_WAIT_TIME_SECONDS || '20', 10),
+    // Extend the visibility of messages being processed every N seconds (0 disables)
+    heartbeatInterval: parseInt(process.env.SQS_HEARTBEAT_INTERVAL || '60', 10),
+    // Dead-letter queue of the main queue, read by scripts/dlq.js
+    dlqUrl: process.env.SQS_DLQ_URL,
+    // Deferrals and re-queues of one message before the job is handed to the DLQ (0 disables)
+    maxDeferrals: parseInt(process.env.SQS_MAX_DEFERRALS || '50', 10),
+  },
+
+  // Claim of screenshot jobs (see DynamoDBService.claimScreenshot)
+  worker: {
+    // Recorded on claimed jobs
+    id: process.env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    // A 'consumerProcessing' job whose lease has expired may be claimed by another worker
+    leaseMs: parseInt(process.env.WORKER_LEASE_MS || '600000', 10),
   },
 
   // S3 Configuration
@@ -25,6 +42,8 @@ const config = {
   // DynamoDB Configuration
   dynamodb: {
     tableName: process.env.DYNAMODB_TABLE_NAME,
+    // Per-host rate limit state (see src/services/hostRateLimiter.js)
+    rateLimitTableName: process.env.DYNAMODB_RATE_LIMIT_TABLE_NAME || 'screenshot-rate-limits',
   },
 
   // Screenshot Configuration
@@ -33,8 +52,82 @@ const config = {
     defaultHeight: parseInt(process.env.SCREENSHOT_HEIGHT || '1080', 10),
     timeout: parseInt(process.env.SCREENSHOT_TIMEOUT || '30000', 10),
     format: process.env.SCREENSHOT_FORMAT || 'png',
+    // Default wait strategy before capture (can be overridden per request)
+    waitUntil: process.env.SCREENSHOT_WAIT_UNTIL || 'networkidle0',
+    delayMs: parseInt(process.env.SCREENSHOT_DELAY_MS || '2000', 10),
+    // Default content blocking (can be overridden per request)
+    blockAds: process.env.SCREENSHOT_BLOCK_ADS === 'true',
+    dismissCookieBanners: process.env.SCREENSHOT_DISMISS_COOKIE_BANNERS === 'true',
+    // Fail captures whose main document answers with an HTTP error (can be overridden per request)
+    failOnHttpError: process.env.SCREENSHOT_FAIL_ON_HTTP_ERROR === 'true',
+    // Auto-scroll before full-page captures so lazy-loaded content is rendered
+    autoScroll: {
+      maxHeight: parseInt(process.env.SCREENSHOT_AUTO_SCROLL_MAX_HEIGHT || '20000', 10),
+      maxTimeMs: parseInt(process.env.SCREENSHOT_AUTO_SCROLL_MAX_TIME_MS || '15000', 10),
+      stepDelayMs: parseInt(process.env.SCREENSHOT_AUTO_SCROLL_STEP_DELAY_MS || '200', 10),
+      imageTimeoutMs: parseInt(process.env.SCREENSHOT_AUTO_SCROLL_IMAGE_TIMEOUT_MS || '5000', 10),
+    },
+    // Page pool: concurrent captures per worker and how many may wait for a free page
+    pool: {
+      maxConcurrency: parseInt(process.env.SCREENSHOT_MAX_CONCURRENCY || '2', 10),
+      maxQueued: parseInt(process.env.SCREENSHOT_MAX_QUEUED || '10', 10),
+      acquireTimeoutMs: parseInt(process.env.SCREENSHOT_QUEUE_TIMEOUT_MS || '120000', 10),
+    },
+    // Delay of the copy re-queued after a full page pool or a browser crash, in seconds
+    requeueDelaySeconds: parseInt(process.env.SCREENSHOT_REQUEUE_DELAY_SECONDS || '30', 10),
+    // Replace the browser after this many captures, this age or this much memory (0 disables)
+    recycle: {
+      maxCaptures: parseInt(process.env.SCREENSHOT_BROWSER_MAX_CAPTURES || '500', 10),
+      maxAgeMs: parseInt(process.env.SCREENSHOT_BROWSER_MAX_AGE_MS || '3600000', 10),
+      maxRssMb: parseInt(process.env.SCREENSHOT_BROWSER_MAX_RSS_MB || '2048', 10),
+    },
+    // Profile names jobs may request (persistentProfile): everyone naming a profile shares
+    // its cookies and sessions, so only configured names are accepted
+    persistentProfiles: (process.env.SCREENSHOT_PERSISTENT_PROFILES || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    // Named browser contexts kept warm across jobs (persistentProfile)
+    maxPersistentProfiles: parseInt(process.env.SCREENSHOT_MAX_PERSISTENT_PROFILES || '10', 10),
+    // Tiled full-page capture for pages too tall to render in one frame
+    tiling: {
+      maxHeight: parseInt(process.env.SCREENSHOT_TILE_MAX_HEIGHT || '30000', 10),
+      overlap: parseInt(process.env.SCREENSHOT_TILE_OVERLAP || '100', 10),
+    },
+    // In-process retries of transient failures (exponential backoff, capped)
+    maxRetries: parseInt(process.env.SCREENSHOT_MAX_RETRIES || '3', 10),
+    retryDelayMs: parseInt(process.env.SCREENSHOT_RETRY_DELAY_MS || '1000', 10),
+    maxRetryDelayMs: parseInt(process.env.SCREENSHOT_MAX_RETRY_DELAY_MS || '5000', 10),
+    // Hard limit for a whole job, retries included (0 disables)
+    // Below the worker lease, so a job is given up before another worker may claim it
+    jobDeadlineMs: parseInt(process.env.SCREENSHOT_JOB_DEADLINE_MS || '540000', 10),
+  },
+
+  // Outbound URL safety (SSRF protection) for target URLs, redirects and subresources
+  urlSafety: {
+    // Hostnames ("*.example.com" for subdomains), IPs or CIDRs that may be fetched anyway
+    allowlist: (process.env.URL_SAFETY_ALLOWLIST || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean),
+    allowedPorts: (process.env.URL_SAFETY_ALLOWED_PORTS || '80,443,8080,8443')
+      .split(',')
+      .map((port) => parseInt(port, 10)),
   },
 
+  // Per-host limits shared by all workers, messages over budget are deferred (0 disables a limit)
+  hostRateLimit: {
+    requestsPerMinute: parseInt(process.env.HOST_RATE_LIMIT_PER_MINUTE || '0', 10),
+    maxConcurrency: parseInt(process.env.HOST_MAX_CONCURRENCY || '0', 10),
+    // Deferral when all concurrency slots of a host are taken
+    deferSeconds: parseInt(process.env.HOST_RATE_LIMIT_DEFER_SECONDS || '30', 10),
+  },
+
+  // Per-domain deny/allow lists and capture defaults (see src/utils/domainPolicy.js)
+  domainPolicies: loadDomainPolicies(
+    process.env.DOMAIN_POLICY_FILE || path.join(__dirname, 'domain-policies.json')
+  ),
+
   // Application Configuration
   app: {
     nodeEnv: process.env.NODE_ENV || 'development',
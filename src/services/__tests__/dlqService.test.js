@@ -0,0 +1,213 @@
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+const dlqService = require('../dlqService');
+const dynamodbService = require('../dynamodbService');
+const { sqsClient } = require('../../config/aws');
+
+// Mock AWS SDK
+jest.mock('../../config/aws', () => ({
+  sqsClient: {
+    send: jest.fn(),
+  },
+}));
+
+jest.mock('../dynamodbService');
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+// Mock config
+jest.mock('../../config', () => ({
+  sqs: {
+    queueUrl: 'https://sqs/screenshot-queue',
+    dlqUrl: 'https://sqs/screenshot-queue-dlq',
+  },
+}));
+
+const createSqsMessage = (id, body) => ({
+  MessageId: `message-${id}`,
+  ReceiptHandle: `receipt-${id}`,
+  Body: typeof body === 'string' ? body : JSON.stringify(body),
+  Attributes: { ApproximateReceiveCount: '4', SentTimestamp: '1704067200000' },
+});
+
+describe('DLQService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('listMessages', () => {
+    it('should receive until the queue is read and join the DynamoDB records', async () => {
+      sqsClient.send
+        .mockResolvedValueOnce({
+          Messages: [
+            createSqsMessage(1, { url: 'https://example.com', requestId: 'req-1' }),
+            createSqsMessage(2, 'not json'),
+          ],
+        })
+        .mockResolvedValueOnce({});
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'req-1',
+        status: 'failed',
+        errorCode: 'TIMEOUT',
+      });
+
+      const messages = await dlqService.listMessages();
+
+      expect(messages).toEqual([
+        expect.objectContaining({
+          messageId: 'message-1',
+          receiptHandle: 'receipt-1',
+          receiveCount: 4,
+          sentAt: '2024-01-01T00:00:00.000Z',
+          requestId: 'req-1',
+          body: { url: 'https://example.com', requestId: 'req-1' },
+          record: { id: 'req-1', status: 'failed', errorCode: 'TIMEOUT' },
+        }),
+        expect.objectContaining({
+          messageId: 'message-2',
+          requestId: null,
+          body: 'not json',
+          record: null,
+        }),
+      ]);
+      expect(sqsClient.send).toHaveBeenCalledTimes(2);
+      expect(sqsClient.send.mock.calls[0][0].input).toEqual(
+        expect.objectContaining({
+          QueueUrl: 'https://sqs/screenshot-queue-dlq',
+          MaxNumberOfMessages: 10,
+          VisibilityTimeout: 60,
+        })
+      );
+      expect(dynamodbService.getScreenshot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop at maxMessages', async () => {
+      sqsClient.send.mockResolvedValue({
+        Messages: [createSqsMessage(1, { requestId: 'req-1' })],
+      });
+
+      const messages = await dlqService.listMessages({ maxMessages: 2 });
+
+      expect(messages).toHaveLength(2);
+      expect(sqsClient.send.mock.calls[1][0].input.MaxNumberOfMessages).toBe(1);
+    });
+  });
+
+  describe('redriveMessages', () => {
+    const createMessage = (requestId, record) => ({
+      messageId: `message-${requestId}`,
+      receiptHandle: `receipt-${requestId}`,
+      body: { url: 'https://example.com', requestId },
+      requestId,
+      record,
+    });
+
+    it('should reset the record, send the message back and delete it from the DLQ', async () => {
+      sqsClient.send.mockResolvedValue({});
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true });
+
+      const results = await dlqService.redriveMessages([
+        createMessage('req-1', { id: 'req-1', status: 'failed' }),
+      ]);
+
+      expect(results).toEqual([{ messageId: 'message-req-1', requestId: 'req-1', redriven: true }]);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith('req-1', 'processing', {
+        errorMessage: null,
+        errorCode: null,
+      });
+      expect(sqsClient.send.mock.calls[0][0].input).toEqual({
+        QueueUrl: 'https://sqs/screenshot-queue',
+        MessageBody: JSON.stringify({ url: 'https://example.com', requestId: 'req-1' }),
+        MessageAttributes: undefined,
+      });
+      expect(sqsClient.send.mock.calls[1][0].input).toEqual({
+        QueueUrl: 'https://sqs/screenshot-queue-dlq',
+        ReceiptHandle: 'receipt-req-1',
+      });
+    });
+
+    it('should drop the deferral count so the job starts fresh', async () => {
+      sqsClient.send.mockResolvedValue({});
+
+      await dlqService.redriveMessages([
+        {
+          ...createMessage('req-1', null),
+          messageAttributes: {
+            DeferralCount: { DataType: 'Number', StringValue: '12' },
+            TraceId: { DataType: 'String', StringValue: 'trace-1' },
+          },
+        },
+        {
+          ...createMessage('req-2', null),
+          messageAttributes: { DeferralCount: { DataType: 'Number', StringValue: '3' } },
+        },
+      ]);
+
+      expect(sqsClient.send.mock.calls[0][0].input.MessageAttributes).toEqual({
+        TraceId: { DataType: 'String', StringValue: 'trace-1' },
+      });
+      expect(sqsClient.send.mock.calls[2][0].input.MessageAttributes).toBeUndefined();
+    });
+
+    it('should not reset records that are missing or already queued', async () => {
+      sqsClient.send.mockResolvedValue({});
+
+      const results = await dlqService.redriveMessages([
+        createMessage('req-1', null),
+        createMessage('req-2', { id: 'req-2', status: 'processing' }),
+      ]);
+
+      expect(results.every((result) => result.redriven)).toBe(true);
+      expect(dynamodbService.updateScreenshotStatus).not.toHaveBeenCalled();
+      expect(sqsClient.send).toHaveBeenCalledTimes(4);
+    });
+
+    it('should skip messages without a requestId and successful jobs', async () => {
+      const results = await dlqService.redriveMessages([
+        { messageId: 'message-1', requestId: null, body: 'not json', record: null },
+        createMessage('req-2', { id: 'req-2', status: 'success' }),
+      ]);
+
+      expect(results).toEqual([
+        {
+          messageId: 'message-1',
+          requestId: null,
+          redriven: false,
+          reason: 'no requestId in body',
+        },
+        {
+          messageId: 'message-req-2',
+          requestId: 'req-2',
+          redriven: false,
+          reason: 'already successful',
+        },
+      ]);
+      expect(sqsClient.send).not.toHaveBeenCalled();
+    });
+
+    it('should keep the message in the DLQ when the record cannot be reset', async () => {
+      const error = new Error('Screenshot req-1 is not consumerProcessing or failed');
+      error.name = 'InvalidStatusTransitionError';
+      dynamodbService.updateScreenshotStatus.mockRejectedValueOnce(error);
+
+      const results = await dlqService.redriveMessages([
+        createMessage('req-1', { id: 'req-1', status: 'failed' }),
+      ]);
+
+      expect(results).toEqual([
+        {
+          messageId: 'message-req-1',
+          requestId: 'req-1',
+          redriven: false,
+          reason: 'Screenshot req-1 is not consumerProcessing or failed',
+        },
+      ]);
+      expect(sqsClient.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -141,6 +141,144 @@ describe('DynamoDBService', () => {
       await expect(dynamodbService.getScreenshot('test-123')).rejects.toThrow('DynamoDB error');
     });
   });
+  describe('claimScreenshot', () => {
+    it('should claim the job with a conditional write', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({
+        Attributes: { id: 'test-123', status: 'consumerProcessing', workerId: 'worker-1' },
+      });
+
+      const result = await dynamodbService.claimScreenshot('test-123', {
+        workerId: 'worker-1',
+        leaseMs: 60000,
+      });
+
+      expect(result).toEqual({
+        claimed: true,
+        item: { id: 'test-123', status: 'consumerProcessing', workerId: 'worker-1' },
+      });
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.ConditionExpression).toContain('#status IN (:processing, :failed)');
+      expect(input.ConditionExpression).toContain('leaseExpiresAt < :now');
+      expect(input.ExpressionAttributeValues[':workerId']).toBe('worker-1');
+      expect(
+        Date.parse(input.ExpressionAttributeValues[':leaseExpiresAt']) -
+          Date.parse(input.ExpressionAttributeValues[':now'])
+      ).toBe(60000);
+    });
+
+    it('should not claim a job held by another worker', async () => {
+      const error = new Error('The conditional request failed');
+      error.name = 'ConditionalCheckFailedException';
+      dynamoDBDocClient.send.mockRejectedValueOnce(error);
+
+      const result = await dynamodbService.claimScreenshot('test-123', {
+        workerId: 'worker-2',
+        leaseMs: 60000,
+      });
+
+      expect(result).toEqual({ claimed: false });
+    });
+
+    it('should throw other errors', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(new Error('DynamoDB error'));
+
+      await expect(
+        dynamodbService.claimScreenshot('test-123', { workerId: 'worker-1', leaseMs: 60000 })
+      ).rejects.toThrow('DynamoDB error');
+    });
+  });
+
+  describe('updateScreenshot', () => {
+    it('should write only the given fields', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: { id: 'test-123' } });
+
+      const result = await dynamodbService.updateScreenshot('test-123', {
+        width: 1280,
+        errorMessage: null,
+        s3Key: undefined,
+      });
+
+      expect(result.success).toBe(true);
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.UpdateExpression).toBe(
+        'SET #updatedAt = :updatedAt, #width = :width, #errorMessage = :errorMessage'
+      );
+      expect(input.ExpressionAttributeValues[':errorMessage']).toBeNull();
+      expect(input.ConditionExpression).toBeUndefined();
+    });
+
+    it('should only update records in the expected status', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: {} });
+
+      await dynamodbService.updateScreenshot(
+        'test-123',
+        { width: 1280 },
+        { expectedStatus: ['processing', 'failed'] }
+      );
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.ConditionExpression).toBe('#status IN (:expectedStatus0, :expectedStatus1)');
+      expect(input.ExpressionAttributeValues[':expectedStatus0']).toBe('processing');
+      expect(input.ExpressionAttributeValues[':expectedStatus1']).toBe('failed');
+    });
+
+    it('should raise InvalidStatusTransitionError when the record is in another status', async () => {
+      const error = new Error('The conditional request failed');
+      error.name = 'ConditionalCheckFailedException';
+      dynamoDBDocClient.send.mockRejectedValueOnce(error);
+
+      await expect(
+        dynamodbService.updateScreenshot('test-123', { width: 1280 }, { expectedStatus: 'failed' })
+      ).rejects.toMatchObject({
+        name: 'InvalidStatusTransitionError',
+        message: 'Screenshot test-123 is not failed',
+      });
+    });
+
+    it('should only update records claimed by the given worker', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus(
+        'test-123',
+        'success',
+        {},
+        { expectedStatus: 'consumerProcessing', workerId: 'worker-1' }
+      );
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.ConditionExpression).toBe(
+        '#status IN (:expectedStatus0) AND #workerId = :workerId'
+      );
+      expect(input.ExpressionAttributeNames['#workerId']).toBe('workerId');
+      expect(input.ExpressionAttributeValues[':workerId']).toBe('worker-1');
+      // The condition does not write the worker ID
+      expect(input.UpdateExpression).not.toContain('#workerId =');
+    });
+
+    it('should raise InvalidStatusTransitionError when another worker holds the claim', async () => {
+      const error = new Error('The conditional request failed');
+      error.name = 'ConditionalCheckFailedException';
+      dynamoDBDocClient.send.mockRejectedValueOnce(error);
+
+      await expect(
+        dynamodbService.updateScreenshot(
+          'test-123',
+          { width: 1280 },
+          { expectedStatus: 'consumerProcessing', workerId: 'worker-1' }
+        )
+      ).rejects.toMatchObject({
+        name: 'InvalidStatusTransitionError',
+        message: 'Screenshot test-123 is not consumerProcessing and claimed by worker-1',
+      });
+    });
+
+    it('should refuse to update the id', async () => {
+      await expect(dynamodbService.updateScreenshot('test-123', { id: 'other' })).rejects.toThrow(
+        'The id of a screenshot record cannot be updated'
+      );
+      expect(dynamoDBDocClient.send).not.toHaveBeenCalled();
+    });
+  });
 
   describe('updateScreenshotStatus', () => {
     it('should update screenshot status successfully', async () => {
@@ -164,6 +302,111 @@ describe('DynamoDBService', () => {
       expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(1);
     });
 
+    it('should write injections only when provided', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus('test-123', 'success', {
+        s3Url: 'https://s3.amazonaws.com/bucket/test.png',
+        s3Key: 'screenshots/test.png',
+      });
+      await dynamodbService.updateScreenshotStatus('test-123', 'success', {
+        s3Url: 'https://s3.amazonaws.com/bucket/test.png',
+        s3Key: 'screenshots/test.png',
+        injections: { hideSelectors: ['#chat'] },
+      });
+
+      const withoutInjections = dynamoDBDocClient.send.mock.calls[0][0].input;
+      expect(withoutInjections.UpdateExpression).not.toContain('#injections');
+
+      const withInjections = dynamoDBDocClient.send.mock.calls[1][0].input;
+      expect(withInjections.UpdateExpression).toContain('#injections = :injections');
+      expect(withInjections.ExpressionAttributeValues[':injections']).toEqual({
+        hideSelectors: ['#chat'],
+      });
+    });
+
+    it('should not wipe fields that are not given', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus('test-123', 'failed', {
+        errorMessage: 'Navigation timeout',
+        errorCode: 'TIMEOUT',
+      });
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.UpdateExpression).not.toContain('#s3Key');
+      expect(input.UpdateExpression).not.toContain('#s3Url');
+      expect(input.ExpressionAttributeValues[':status']).toBe('failed');
+    });
+
+    it('should only move records from statuses allowed to reach the new one', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus('test-123', 'failed');
+      await dynamodbService.updateScreenshotStatus(
+        'test-123',
+        'success',
+        {},
+        {
+          expectedStatus: 'consumerProcessing',
+        }
+      );
+
+      const failed = dynamoDBDocClient.send.mock.calls[0][0].input;
+      expect(
+        Object.keys(failed.ExpressionAttributeValues)
+          .filter((key) => key.startsWith(':expectedStatus'))
+          .map((key) => failed.ExpressionAttributeValues[key])
+      ).toEqual(['processing', 'consumerProcessing', 'failed']);
+
+      const success = dynamoDBDocClient.send.mock.calls[1][0].input;
+      expect(success.ConditionExpression).toBe('#status IN (:expectedStatus0)');
+      expect(success.ExpressionAttributeValues[':expectedStatus0']).toBe('consumerProcessing');
+    });
+
+    it('should allow failed records back to processing for a DLQ redrive', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus('test-123', 'processing');
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.ConditionExpression).toBe('#status IN (:expectedStatus0, :expectedStatus1)');
+      expect(input.ExpressionAttributeValues[':expectedStatus0']).toBe('consumerProcessing');
+      expect(input.ExpressionAttributeValues[':expectedStatus1']).toBe('failed');
+    });
+
+    it('should append the new status to the status history', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({ Attributes: {} });
+
+      await dynamodbService.updateScreenshotStatus('test-123', 'processing');
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.UpdateExpression).toContain(
+        '#statusHistory = list_append(if_not_exists(#statusHistory, :emptyList), :statusHistory)'
+      );
+      expect(input.ExpressionAttributeValues[':statusHistory']).toEqual([
+        { status: 'processing', at: expect.any(String) },
+      ]);
+    });
+
+    it('should reject transitions not in the status flow', async () => {
+      await expect(
+        dynamodbService.updateScreenshotStatus(
+          'test-123',
+          'failed',
+          {},
+          { expectedStatus: 'success' }
+        )
+      ).rejects.toMatchObject({
+        name: 'InvalidStatusTransitionError',
+        message: 'Screenshot status cannot change from success to failed',
+      });
+      await expect(dynamodbService.updateScreenshotStatus('test-123', 'done')).rejects.toThrow(
+        'Unknown screenshot status: done'
+      );
+      expect(dynamoDBDocClient.send).not.toHaveBeenCalled();
+    });
+
     it('should handle update errors', async () => {
       const error = new Error('Update failed');
       dynamoDBDocClient.send.mockRejectedValueOnce(error);
@@ -176,6 +419,30 @@ describe('DynamoDBService', () => {
     });
   });
 
+  describe('recordAttempt', () => {
+    it('should append the attempt without touching updatedAt', async () => {
+      dynamoDBDocClient.send.mockResolvedValueOnce({});
+      const attempt = { attempt: 2, workerId: 'worker-1', outcome: 'failed', errorCode: 'TIMEOUT' };
+
+      await dynamodbService.recordAttempt('test-123', attempt);
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.UpdateExpression).toBe(
+        'SET attempts = list_append(if_not_exists(attempts, :emptyList), :attempts)'
+      );
+      expect(input.ConditionExpression).toBe('attribute_exists(id)');
+      expect(input.ExpressionAttributeValues[':attempts']).toEqual([attempt]);
+    });
+
+    it('should throw errors', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(new Error('DynamoDB error'));
+
+      await expect(dynamodbService.recordAttempt('test-123', { attempt: 1 })).rejects.toThrow(
+        'DynamoDB error'
+      );
+    });
+  });
+
   describe('queryScreenshotsByStatus', () => {
     it('should query screenshots by status successfully', async () => {
       const mockItems = [
@@ -0,0 +1,222 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const hostRateLimiter = require('../hostRateLimiter');
+const { dynamoDBDocClient } = require('../../config/aws');
+const logger = require('../../utils/logger');
+
+// Mock AWS SDK
+jest.mock('../../config/aws', () => ({
+  dynamoDBDocClient: {
+    send: jest.fn(),
+  },
+}));
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+// Mock config
+jest.mock('../../config', () => ({
+  dynamodb: {
+    rateLimitTableName: 'test-rate-limits',
+  },
+  screenshot: {
+    jobDeadlineMs: 540000,
+  },
+  worker: {
+    leaseMs: 600000,
+  },
+  hostRateLimit: {
+    requestsPerMinute: 10,
+    maxConcurrency: 2,
+    deferSeconds: 30,
+  },
+}));
+
+const conditionalCheckFailed = () => {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+};
+
+describe('HostRateLimiter', () => {
+  // 2024-01-01T00:00:15.000Z, 45 seconds before the end of the rate window
+  const now = Date.UTC(2024, 0, 1, 0, 0, 15);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    // No random slot offset or deferral jitter
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const sentInputs = () => dynamoDBDocClient.send.mock.calls.map(([command]) => command.input);
+
+  describe('acquire', () => {
+    it('should take a concurrency slot and a rate token', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      const lease = await hostRateLimiter.acquire('https://Example.com/page');
+
+      expect(lease).toEqual({
+        acquired: true,
+        host: 'example.com',
+        slotId: 'slot#example.com#0',
+        leaseId: expect.any(String),
+        rateKey: `rate#example.com#${Date.UTC(2024, 0, 1)}`,
+      });
+
+      const [slot, rate] = sentInputs();
+      expect(slot).toEqual(
+        expect.objectContaining({
+          TableName: 'test-rate-limits',
+          Key: { id: 'slot#example.com#0' },
+          ConditionExpression: 'attribute_not_exists(leaseExpiresAt) OR leaseExpiresAt < :now',
+        })
+      );
+      expect(slot.ExpressionAttributeValues).toEqual(
+        // Held past the job deadline, so a running capture keeps its slot
+        expect.objectContaining({ ':leaseId': lease.leaseId, ':leaseExpiresAt': now + 600000 })
+      );
+      expect(rate.Key).toEqual({ id: `rate#example.com#${Date.UTC(2024, 0, 1)}` });
+      expect(rate.ExpressionAttributeValues[':limit']).toBe(10);
+    });
+
+    it('should try the next slot when one is taken', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(conditionalCheckFailed()).mockResolvedValue({});
+
+      const lease = await hostRateLimiter.acquire('example.com');
+
+      expect(lease.slotId).toBe('slot#example.com#1');
+    });
+
+    it('should defer when all slots are taken', async () => {
+      dynamoDBDocClient.send.mockRejectedValue(conditionalCheckFailed());
+
+      const lease = await hostRateLimiter.acquire('https://example.com');
+
+      expect(lease).toEqual({
+        acquired: false,
+        host: 'example.com',
+        reason: 'concurrency',
+        retryAfterSeconds: 30,
+      });
+      // Both slots tried, no rate token taken
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should defer until the window ends and free the slot when the rate is exhausted', async () => {
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({}) // slot
+        .mockRejectedValueOnce(conditionalCheckFailed()) // rate token
+        .mockResolvedValueOnce({}); // release
+
+      const lease = await hostRateLimiter.acquire('https://example.com');
+
+      expect(lease).toEqual({
+        acquired: false,
+        host: 'example.com',
+        reason: 'rate',
+        retryAfterSeconds: 45,
+      });
+      const release = sentInputs()[2];
+      expect(release.Key).toEqual({ id: 'slot#example.com#0' });
+      expect(release.ConditionExpression).toBe('leaseId = :leaseId');
+    });
+
+    it('should rethrow DynamoDB errors', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(new Error('ProvisionedThroughputExceeded'));
+
+      await expect(hostRateLimiter.acquire('https://example.com')).rejects.toThrow(
+        'ProvisionedThroughputExceeded'
+      );
+    });
+
+    it('should not limit when disabled', async () => {
+      const { requestsPerMinute, maxConcurrency } = hostRateLimiter;
+      hostRateLimiter.requestsPerMinute = 0;
+      hostRateLimiter.maxConcurrency = 0;
+
+      const lease = await hostRateLimiter.acquire('https://example.com');
+
+      expect(lease).toEqual({ acquired: true, host: 'example.com' });
+      expect(dynamoDBDocClient.send).not.toHaveBeenCalled();
+
+      hostRateLimiter.requestsPerMinute = requestsPerMinute;
+      hostRateLimiter.maxConcurrency = maxConcurrency;
+    });
+  });
+
+  describe('release', () => {
+    it('should ignore leases without a slot', async () => {
+      await hostRateLimiter.release({ acquired: true, host: 'example.com' });
+      await hostRateLimiter.release(null);
+
+      expect(dynamoDBDocClient.send).not.toHaveBeenCalled();
+    });
+
+    it('should ignore slots taken over after the lease expired', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(conditionalCheckFailed());
+
+      await hostRateLimiter.release({ host: 'example.com', slotId: 'slot#example.com#0' });
+
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should only log other failures', async () => {
+      dynamoDBDocClient.send.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(
+        hostRateLimiter.release({ host: 'example.com', slotId: 'slot#example.com#0' })
+      ).resolves.toBeUndefined();
+
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    const lease = {
+      acquired: true,
+      host: 'example.com',
+      slotId: 'slot#example.com#0',
+      leaseId: 'lease-1',
+      rateKey: 'rate#example.com#1704067200000',
+    };
+
+    it('should free the slot and give back the rate token', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      await hostRateLimiter.cancel(lease);
+
+      const [release, refund] = sentInputs();
+      expect(release.Key).toEqual({ id: 'slot#example.com#0' });
+      expect(refund).toEqual(
+        expect.objectContaining({
+          Key: { id: 'rate#example.com#1704067200000' },
+          UpdateExpression: 'ADD requestCount :minusOne',
+          ConditionExpression: 'requestCount > :zero',
+        })
+      );
+    });
+
+    it('should ignore windows that expired and leases without a token', async () => {
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(conditionalCheckFailed());
+
+      await hostRateLimiter.cancel(lease);
+      await hostRateLimiter.cancel({ acquired: true, host: 'example.com' });
+      await hostRateLimiter.cancel(null);
+
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(2);
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const PagePool = require('../pagePool');
+
+// Mock logger
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('PagePool', () => {
+  let pool;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    pool = new PagePool({ maxConcurrency: 2, maxQueued: 1, acquireTimeoutMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should hand out slots up to maxConcurrency immediately', async () => {
+    await pool.acquire();
+    await pool.acquire();
+
+    expect(pool.getStats()).toEqual({ active: 2, queued: 0, maxConcurrency: 2, maxQueued: 1 });
+  });
+
+  it('should queue callers and pass released slots in order', async () => {
+    await pool.acquire();
+    await pool.acquire();
+
+    let acquired = false;
+    const waiting = pool.acquire().then(() => {
+      acquired = true;
+    });
+
+    await Promise.resolve();
+    expect(acquired).toBe(false);
+    expect(pool.getStats().queued).toBe(1);
+
+    pool.release();
+    await waiting;
+
+    expect(acquired).toBe(true);
+    expect(pool.getStats()).toEqual(expect.objectContaining({ active: 2, queued: 0 }));
+  });
+
+  it('should reject when the queue is full', async () => {
+    await pool.acquire();
+    await pool.acquire();
+    const queued = pool.acquire();
+
+    await expect(pool.acquire()).rejects.toMatchObject({
+      name: 'PagePoolExhaustedError',
+      message: 'Page pool exhausted (1 captures queued)',
+    });
+
+    pool.release();
+    await queued;
+  });
+
+  it('should reject queued callers after the acquire timeout', async () => {
+    await pool.acquire();
+    await pool.acquire();
+    const queued = pool.acquire();
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(queued).rejects.toMatchObject({
+      name: 'PagePoolExhaustedError',
+      message: 'Timed out after 1000ms waiting for a page',
+    });
+    expect(pool.getStats().queued).toBe(0);
+  });
+
+  it('should stop waiting when the signal aborts', async () => {
+    await pool.acquire();
+    await pool.acquire();
+    const controller = new AbortController();
+    const queued = pool.acquire(controller.signal);
+
+    const reason = new Error('Job exceeded its deadline of 1000ms');
+    reason.name = 'JobDeadlineExceededError';
+    controller.abort(reason);
+
+    await expect(queued).rejects.toBe(reason);
+    expect(pool.getStats().queued).toBe(0);
+
+    // The released slot is not handed to the aborted caller
+    pool.release();
+    expect(pool.getStats().active).toBe(1);
+  });
+
+  it('should not hand out a slot for an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('aborted'));
+
+    await expect(pool.acquire(controller.signal)).rejects.toThrow('aborted');
+    expect(pool.getStats().active).toBe(0);
+  });
+
+  it('should free the slot when nobody is waiting', async () => {
+    await pool.acquire();
+    pool.release();
+    pool.release();
+
+    expect(pool.getStats().active).toBe(0);
+  });
+});
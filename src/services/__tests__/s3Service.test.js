@@ -100,6 +100,31 @@ describe('S3Service', () => {
       const sendCall = s3Client.send.mock.calls[0][0];
       expect(sendCall.input.ContentType).toBe('image/jpeg');
     });
+
+    it('should upload WebP screenshot successfully', async () => {
+      const mockBuffer = Buffer.from('screenshot data');
+      const mockFilename = 'test-screenshot.webp';
+
+      s3Client.send.mockResolvedValueOnce({});
+
+      await s3Service.uploadScreenshot(mockBuffer, mockFilename, 'webp');
+
+      const sendCall = s3Client.send.mock.calls[0][0];
+      expect(sendCall.input.ContentType).toBe('image/webp');
+    });
+  });
+
+  describe('getContentType', () => {
+    it('should map supported formats to content types', () => {
+      expect(s3Service.getContentType('png')).toBe('image/png');
+      expect(s3Service.getContentType('jpeg')).toBe('image/jpeg');
+      expect(s3Service.getContentType('webp')).toBe('image/webp');
+      expect(s3Service.getContentType('pdf')).toBe('application/pdf');
+    });
+
+    it('should throw for unsupported formats', () => {
+      expect(() => s3Service.getContentType('gif')).toThrow('Unsupported format: gif');
+    });
   });
 
   describe('generateScreenshotKey', () => {
@@ -145,9 +170,31 @@ describe('S3Service', () => {
 
       const pngKey = s3Service.generateScreenshotKey(url, screenshotId, 'png');
       const jpegKey = s3Service.generateScreenshotKey(url, screenshotId, 'jpeg');
+      const webpKey = s3Service.generateScreenshotKey(url, screenshotId, 'webp');
+      const pdfKey = s3Service.generateScreenshotKey(url, screenshotId, 'pdf');
 
       expect(pngKey).toMatch(/\.png$/);
       expect(jpegKey).toMatch(/\.jpeg$/);
+      expect(webpKey).toMatch(/\.webp$/);
+      expect(pdfKey).toMatch(/\.pdf$/);
+    });
+
+    it('should generate numbered tile keys', () => {
+      const key = s3Service.generateScreenshotKey('https://example.com', 'test-303', 'png');
+
+      expect(s3Service.generateTileKey(key, 0)).toBe(key.replace(/\.png$/, '_tile-001.png'));
+      expect(s3Service.generateTileKey(key, 11)).toBe(key.replace(/\.png$/, '_tile-012.png'));
+    });
+
+    it('should generate viewport keys with a sanitized label', () => {
+      const key = s3Service.generateScreenshotKey('https://example.com', 'test-404', 'webp');
+
+      expect(s3Service.generateViewportKey(key, 'mobile')).toBe(
+        key.replace(/\.webp$/, '_mobile.webp')
+      );
+      expect(s3Service.generateViewportKey(key, 'iPhone 15 Pro')).toBe(
+        key.replace(/\.webp$/, '_iPhone_15_Pro.webp')
+      );
     });
 
     it('should include current date in key', () => {
@@ -1,16 +1,41 @@
 const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
 
 // Create detailed mocks
+const mockElement = {
+  scrollIntoView: jest.fn().mockResolvedValue(undefined),
+  boundingBox: jest.fn().mockResolvedValue({ x: 100, y: 50, width: 300, height: 200 }),
+};
+
 const mockPage = {
   setViewport: jest.fn().mockResolvedValue(undefined),
   setUserAgent: jest.fn().mockResolvedValue(undefined),
   goto: jest.fn().mockResolvedValue(undefined),
   screenshot: jest.fn().mockResolvedValue(Buffer.from('mock screenshot data')),
+  pdf: jest.fn().mockResolvedValue(Buffer.from('mock pdf data')),
+  waitForSelector: jest.fn().mockResolvedValue(mockElement),
+  waitForFunction: jest.fn().mockResolvedValue(undefined),
+  waitForNetworkIdle: jest.fn().mockResolvedValue(undefined),
+  setExtraHTTPHeaders: jest.fn().mockResolvedValue(undefined),
+  setCookie: jest.fn().mockResolvedValue(undefined),
+  authenticate: jest.fn().mockResolvedValue(undefined),
+  addStyleTag: jest.fn().mockResolvedValue(undefined),
+  setRequestInterception: jest.fn().mockResolvedValue(undefined),
+  on: jest.fn(),
+  once: jest.fn(),
+  evaluate: jest.fn().mockResolvedValue([0, 400]),
+  close: jest.fn().mockResolvedValue(undefined),
+};
+
+const mockContext = {
+  newPage: jest.fn().mockResolvedValue(mockPage),
   close: jest.fn().mockResolvedValue(undefined),
 };
 
 const mockBrowser = {
   newPage: jest.fn().mockResolvedValue(mockPage),
+  createBrowserContext: jest.fn().mockResolvedValue(mockContext),
+  on: jest.fn(),
+  process: jest.fn().mockReturnValue(null),
   version: jest.fn().mockResolvedValue('Chrome/120.0.0.0'),
   close: jest.fn().mockResolvedValue(undefined),
 };
@@ -18,6 +43,20 @@ const mockBrowser = {
 // Mock puppeteer
 jest.mock('puppeteer', () => ({
   launch: jest.fn().mockResolvedValue(mockBrowser),
+  KnownDevices: {
+    'iPhone 15 Pro': {
+      name: 'iPhone 15 Pro',
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)',
+      viewport: {
+        width: 393,
+        height: 659,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        isLandscape: false,
+      },
+    },
+  },
 }));
 
 // Mock fs
@@ -33,22 +72,75 @@ jest.mock('../../utils/logger', () => ({
   warn: jest.fn(),
 }));
 
+// Mock content blocker
+jest.mock('../../utils/contentBlocker', () => ({
+  isBlockedUrl: jest.fn((url) => url.includes('doubleclick.net')),
+  getConsentSelectors: jest.fn(() => ['#onetrust-accept-btn-handler']),
+}));
+
+// Mock URL safety checks (no DNS lookups in tests)
+jest.mock('../../utils/urlSafety', () => ({
+  ...jest.requireActual('../../utils/urlSafety'),
+  checkUrl: jest.fn().mockResolvedValue({ allowed: true }),
+  checkRequestUrl: jest.fn().mockResolvedValue({ allowed: true }),
+}));
+
+// Mock process memory measurement
+jest.mock('../../utils/processMemory', () => ({
+  getProcessTreeRssMb: jest.fn().mockResolvedValue(null),
+}));
+
 // Mock config
+const mockPoolAcquireTimeoutMs = 120000;
 jest.mock('../../config', () => ({
   screenshot: {
     defaultWidth: 1920,
     defaultHeight: 1080,
     format: 'png',
     timeout: 30000,
+    waitUntil: 'networkidle0',
+    delayMs: 2000,
+    blockAds: false,
+    dismissCookieBanners: false,
+    autoScroll: {
+      maxHeight: 20000,
+      maxTimeMs: 15000,
+      stepDelayMs: 200,
+      imageTimeoutMs: 5000,
+    },
+    pool: {
+      maxConcurrency: 2,
+      maxQueued: 10,
+      acquireTimeoutMs: mockPoolAcquireTimeoutMs,
+    },
+    recycle: {
+      maxCaptures: 0,
+      maxAgeMs: 0,
+      maxRssMb: 0,
+    },
+    maxPersistentProfiles: 2,
+    tiling: {
+      maxHeight: 30000,
+      overlap: 100,
+    },
   },
+  domainPolicies: jest
+    .requireActual('../../utils/domainPolicy')
+    .parseDomainPolicies({ deny: ['denied.example.com'] }),
 }));
 
 const puppeteer = require('puppeteer');
+const config = require('../../config');
+const { getProcessTreeRssMb } = require('../../utils/processMemory');
+const urlSafety = require('../../utils/urlSafety');
 const screenshotService = require('../screenshotService');
 
 // Mock setTimeout to execute immediately
-global.setTimeout = jest.fn((cb) => {
-  cb();
+// (except the page pool queue timeout, which would reject queued captures straight away)
+global.setTimeout = jest.fn((cb, ms) => {
+  if (ms !== mockPoolAcquireTimeoutMs) {
+    cb();
+  }
   return 1;
 });
 
@@ -56,6 +148,7 @@ describe('ScreenshotService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     screenshotService.browser = null;
+    screenshotService.browserStates.clear();
   });
 
   afterEach(() => {
@@ -93,6 +186,16 @@ describe('ScreenshotService', () => {
       expect(callCount2).toBe(callCount1);
     });
 
+    it('should launch the browser once for concurrent callers', async () => {
+      const [first, second] = await Promise.all([
+        screenshotService.initBrowser(),
+        screenshotService.initBrowser(),
+      ]);
+
+      expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+      expect(first).toBe(second);
+    });
+
     it('should reinitialize browser if disconnected', async () => {
       await screenshotService.initBrowser();
       mockBrowser.version.mockRejectedValueOnce(new Error('Disconnected'));
@@ -173,6 +276,33 @@ describe('ScreenshotService', () => {
       });
     });
 
+    it('should capture WebP with quality', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        format: 'webp',
+        quality: 75,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'webp',
+        fullPage: false,
+        quality: 75,
+      });
+    });
+
+    it('should not pass quality for PNG', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        format: 'png',
+        quality: 50,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+      });
+    });
+
     it('should normalize URL without protocol', async () => {
       await screenshotService.captureScreenshot({
         url: 'example.com',
@@ -241,12 +371,1269 @@ describe('ScreenshotService', () => {
       expect(mockPage.close).toHaveBeenCalled();
     });
 
-    it('should set user agent', async () => {
+    it('should render PDF with default options', async () => {
+      const result = await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        format: 'pdf',
+      });
+
+      expect(result.toString()).toBe('mock pdf data');
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(mockPage.pdf).toHaveBeenCalledWith({
+        format: 'A4',
+        landscape: false,
+        printBackground: true,
+        timeout: 30000,
+      });
+    });
+
+    it('should render PDF with custom options', async () => {
       await screenshotService.captureScreenshot({
         url: 'https://example.com',
+        format: 'pdf',
+        pdf: {
+          paperFormat: 'Letter',
+          landscape: true,
+          printBackground: false,
+          margin: { top: '10mm', bottom: '10mm' },
+          footerTemplate: '<div class="pageNumber"></div>',
+        },
       });
 
-      expect(mockPage.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('Mozilla/5.0'));
+      expect(mockPage.pdf).toHaveBeenCalledWith({
+        format: 'Letter',
+        landscape: true,
+        printBackground: false,
+        timeout: 30000,
+        margin: { top: '10mm', bottom: '10mm' },
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: '<div class="pageNumber"></div>',
+      });
+    });
+
+    it('should render PDF within the request timeout', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        format: 'pdf',
+        timeout: 90000,
+      });
+
+      expect(mockPage.pdf).toHaveBeenCalledWith(expect.objectContaining({ timeout: 90000 }));
+    });
+
+    it('should close page on PDF error', async () => {
+      mockPage.pdf.mockRejectedValueOnce(new Error('PDF failed'));
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          format: 'pdf',
+        })
+      ).rejects.toThrow('PDF failed');
+
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    it('should capture only the selected element', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        selector: '#chart',
+      });
+
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith('#chart', {
+        visible: true,
+        timeout: 30000,
+      });
+      expect(mockElement.scrollIntoView).toHaveBeenCalled();
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+        clip: { x: 100, y: 450, width: 300, height: 200 },
+      });
+    });
+
+    it('should wait for the selected element within the request timeout', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        selector: '#chart',
+        timeout: 90000,
+      });
+
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith('#chart', {
+        visible: true,
+        timeout: 90000,
+      });
+    });
+
+    it('should add padding around the selected element', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        selector: '#chart',
+        selectorPadding: 20,
+        fullPage: true,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+        clip: { x: 80, y: 430, width: 340, height: 240 },
+      });
+    });
+
+    it('should not extend padding beyond the page origin', async () => {
+      mockPage.evaluate.mockResolvedValueOnce([0, 0]);
+      mockElement.boundingBox.mockResolvedValueOnce({ x: 5, y: 10, width: 100, height: 50 });
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        selector: '.card',
+        selectorPadding: 20,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clip: { x: 0, y: 0, width: 125, height: 80 },
+        })
+      );
+    });
+
+    it('should fail with clear error when selector is not found', async () => {
+      const timeoutError = new Error('Waiting for selector `#missing` failed');
+      timeoutError.name = 'TimeoutError';
+      mockPage.waitForSelector.mockRejectedValueOnce(timeoutError);
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          selector: '#missing',
+        })
+      ).rejects.toThrow('Selector not found: #missing');
+
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    it('should fail when selected element is not visible', async () => {
+      mockElement.boundingBox.mockResolvedValueOnce(null);
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          selector: '#hidden',
+        })
+      ).rejects.toThrow('Selector not found: #hidden (element is not visible)');
+    });
+
+    it('should capture clip rectangle relative to the viewport', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        clip: { x: 10, y: 20, width: 300, height: 200 },
+      });
+
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+        clip: { x: 10, y: 20, width: 300, height: 200 },
+      });
+    });
+
+    it('should offset clip rectangle by the scroll position', async () => {
+      mockPage.evaluate.mockResolvedValueOnce([0, 2000]);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        clip: { x: 10, y: 20, width: 300, height: 200 },
+        scroll: { y: 2000 },
+      });
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), 0, 2000);
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+        clip: { x: 10, y: 2020, width: 300, height: 200 },
+      });
+    });
+
+    it('should use actual scroll position when page is shorter than requested', async () => {
+      mockPage.evaluate.mockResolvedValueOnce([0, 800]);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        clip: { x: 0, y: 0, width: 100, height: 100 },
+        scroll: { x: 0, y: 5000 },
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clip: { x: 0, y: 800, width: 100, height: 100 },
+        })
+      );
+    });
+
+    it('should scroll before viewport capture without clip', async () => {
+      mockPage.evaluate.mockResolvedValueOnce([0, 1500]);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        scroll: { y: 1500 },
+      });
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), 0, 1500);
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        fullPage: false,
+      });
+    });
+
+    it('should emulate device preset', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        device: 'iPhone 15 Pro',
+      });
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith({
+        width: 393,
+        height: 659,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        isLandscape: false,
+      });
+      expect(mockPage.setUserAgent).toHaveBeenCalledWith(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)'
+      );
+    });
+
+    it('should apply explicit overrides on top of device preset', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        device: 'iPhone 15 Pro',
+        width: 430,
+        height: null,
+        deviceScaleFactor: 2,
+        hasTouch: false,
+        userAgent: 'CustomAgent/1.0',
+      });
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith({
+        width: 430,
+        height: 659,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: false,
+        isLandscape: false,
+      });
+      expect(mockPage.setUserAgent).toHaveBeenCalledWith('CustomAgent/1.0');
+    });
+
+    it('should apply retina scale factor without device preset', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        deviceScaleFactor: 2,
+        isMobile: false,
+      });
+
+      expect(mockPage.setViewport).toHaveBeenCalledWith({
+        width: 1920,
+        height: 1080,
+        deviceScaleFactor: 2,
+        isMobile: false,
+      });
+    });
+
+    it('should reject unknown device before opening a page', async () => {
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          device: 'Nokia 3310',
+        })
+      ).rejects.toThrow('Unknown device: Nokia 3310');
+
+      expect(mockContext.newPage).not.toHaveBeenCalled();
+    });
+
+    it('should wait for default delay after navigation', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+      });
+
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 2000);
+      expect(mockPage.waitForSelector).not.toHaveBeenCalled();
+      expect(mockPage.waitForFunction).not.toHaveBeenCalled();
+    });
+
+    it('should apply custom wait strategy', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        waitUntil: 'domcontentloaded',
+        waitForSelector: '.loaded',
+        waitForFunction: 'window.appReady === true',
+        delayMs: 0,
+      });
+
+      expect(mockPage.goto).toHaveBeenCalledWith('https://example.com', {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith('.loaded', { timeout: 30000 });
+      expect(mockPage.waitForFunction).toHaveBeenCalledWith('window.appReady === true', {
+        timeout: 30000,
+      });
+      expect(setTimeout).not.toHaveBeenCalled();
+    });
+
+    it('should apply a custom timeout to navigation and waits', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        timeout: 90000,
+        waitForSelector: '.loaded',
+        delayMs: 60000,
+      });
+
+      expect(mockPage.goto).toHaveBeenCalledWith('https://example.com', {
+        waitUntil: 'networkidle0',
+        timeout: 90000,
+      });
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith('.loaded', { timeout: 90000 });
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 60000);
+    });
+
+    it('should cap delay at the screenshot timeout', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        delayMs: 120000,
+      });
+
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 30000);
+    });
+
+    it('should fail with clear error when wait for selector times out', async () => {
+      const timeoutError = new Error('Waiting for selector `.loaded` failed');
+      timeoutError.name = 'TimeoutError';
+      mockPage.waitForSelector.mockRejectedValueOnce(timeoutError);
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          waitForSelector: '.loaded',
+        })
+      ).rejects.toThrow('Timed out waiting for selector: .loaded');
+
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    it('should fail with clear error when wait for function times out', async () => {
+      const timeoutError = new Error('Waiting failed: 30000ms exceeded');
+      timeoutError.name = 'TimeoutError';
+      mockPage.waitForFunction.mockRejectedValueOnce(timeoutError);
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          waitForFunction: 'window.appReady === true',
+        })
+      ).rejects.toThrow('Timed out waiting for function to return true');
+    });
+
+    it('should apply headers, cookies and basic auth before navigation', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://staging.example.com/dashboard',
+        headers: { 'X-Api-Key': 'secret-key' },
+        cookies: [
+          { name: 'session', value: 'abc', domain: '.example.com', path: '/' },
+          { name: 'theme', value: 'dark' },
+        ],
+        basicAuth: { username: 'user', password: 'pass' },
+      });
+
+      expect(mockPage.setExtraHTTPHeaders).toHaveBeenCalledWith({ 'X-Api-Key': 'secret-key' });
+      expect(mockPage.setCookie).toHaveBeenCalledWith(
+        { name: 'session', value: 'abc', domain: '.example.com', path: '/' },
+        { name: 'theme', value: 'dark', url: 'https://staging.example.com/dashboard' }
+      );
+      expect(mockPage.authenticate).toHaveBeenCalledWith({ username: 'user', password: 'pass' });
+
+      const gotoOrder = mockPage.goto.mock.invocationCallOrder[0];
+      expect(mockPage.setExtraHTTPHeaders.mock.invocationCallOrder[0]).toBeLessThan(gotoOrder);
+      expect(mockPage.setCookie.mock.invocationCallOrder[0]).toBeLessThan(gotoOrder);
+      expect(mockPage.authenticate.mock.invocationCallOrder[0]).toBeLessThan(gotoOrder);
+    });
+
+    it('should not apply credentials when none are given', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+      });
+
+      expect(mockPage.setExtraHTTPHeaders).not.toHaveBeenCalled();
+      expect(mockPage.setCookie).not.toHaveBeenCalled();
+      expect(mockPage.authenticate).not.toHaveBeenCalled();
+    });
+
+    it('should not log credential values', async () => {
+      const logger = require('../../utils/logger');
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        headers: { Authorization: 'Bearer secret-token' },
+        cookies: [{ name: 'session', value: 'secret-cookie' }],
+        basicAuth: { username: 'user', password: 'secret-password' },
+      });
+
+      const logged = JSON.stringify(
+        [logger.info, logger.debug, logger.warn, logger.error].map((fn) => fn.mock.calls)
+      );
+      expect(logged).not.toContain('secret-token');
+      expect(logged).not.toContain('secret-cookie');
+      expect(logged).not.toContain('secret-password');
+    });
+
+    it('should inject CSS, hide selectors and run script before capture', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        injectCss: '* { animation: none !important; }',
+        injectScript: 'window.appState = "ready"',
+        hideSelectors: ['#chat-widget', '.cookie-banner'],
+      });
+
+      expect(mockPage.addStyleTag).toHaveBeenCalledWith({
+        content:
+          '#chat-widget,\n.cookie-banner { display: none !important; }\n* { animation: none !important; }',
+      });
+      expect(mockPage.evaluate).toHaveBeenCalledWith('window.appState = "ready"');
+
+      const screenshotOrder = mockPage.screenshot.mock.invocationCallOrder[0];
+      expect(mockPage.goto.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPage.addStyleTag.mock.invocationCallOrder[0]
+      );
+      expect(mockPage.addStyleTag.mock.invocationCallOrder[0]).toBeLessThan(screenshotOrder);
+      expect(mockPage.evaluate.mock.invocationCallOrder[0]).toBeLessThan(screenshotOrder);
+    });
+
+    it('should not inject anything by default', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+      });
+
+      expect(mockPage.addStyleTag).not.toHaveBeenCalled();
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+
+    it('should fail with clear error when injected script throws', async () => {
+      mockPage.evaluate.mockRejectedValueOnce(new Error('appState is not defined'));
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          injectScript: 'appState.ready()',
+        })
+      ).rejects.toThrow('Injected script failed: appState is not defined');
+
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    it('should always intercept requests to enforce URL safety', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+      });
+
+      expect(mockPage.setRequestInterception).toHaveBeenCalledWith(true);
+    });
+
+    it('should block ad requests when blockAds is enabled', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        blockAds: true,
+      });
+
+      expect(mockPage.setRequestInterception).toHaveBeenCalledWith(true);
+      expect(mockPage.setRequestInterception.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPage.goto.mock.invocationCallOrder[0]
+      );
+
+      const requestHandler = mockPage.on.mock.calls.find(([event]) => event === 'request')[1];
+      const createRequest = (url) => ({
+        url: () => url,
+        isInterceptResolutionHandled: () => false,
+        isNavigationRequest: () => false,
+        abort: jest.fn(),
+        continue: jest.fn(),
+      });
+
+      const adRequest = createRequest('https://securepubads.g.doubleclick.net/gpt.js');
+      const pageRequest = createRequest('https://example.com/app.js');
+      await requestHandler(adRequest);
+      await requestHandler(pageRequest);
+
+      expect(adRequest.abort).toHaveBeenCalledWith('blockedbyclient');
+      expect(adRequest.continue).not.toHaveBeenCalled();
+      expect(pageRequest.continue).toHaveBeenCalled();
+      expect(pageRequest.abort).not.toHaveBeenCalled();
+    });
+
+    it('should refuse target URLs that resolve to private addresses', async () => {
+      urlSafety.checkUrl.mockResolvedValueOnce({
+        allowed: false,
+        reason: 'internal.example.com resolves to a private or reserved address (10.0.0.5)',
+      });
+
+      const error = await screenshotService
+        .captureScreenshot({ url: 'https://internal.example.com' })
+        .catch((captureError) => captureError);
+
+      expect(error.name).toBe('UrlNotAllowedError');
+      expect(error.message).toBe(
+        'URL is not allowed: internal.example.com resolves to a private or reserved address (10.0.0.5)'
+      );
+      expect(mockBrowser.createBrowserContext).not.toHaveBeenCalled();
+      expect(mockPage.goto).not.toHaveBeenCalled();
+    });
+
+    it('should refuse subresource requests to disallowed URLs', async () => {
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+
+      const requestHandler = mockPage.on.mock.calls.find(([event]) => event === 'request')[1];
+      const metadataRequest = {
+        url: () => 'http://169.254.169.254/latest/meta-data/',
+        isInterceptResolutionHandled: () => false,
+        isNavigationRequest: () => false,
+        abort: jest.fn(),
+        continue: jest.fn(),
+      };
+      urlSafety.checkRequestUrl.mockResolvedValueOnce({
+        allowed: false,
+        reason: '169.254.169.254 resolves to a private or reserved address (169.254.169.254)',
+      });
+
+      await requestHandler(metadataRequest);
+
+      expect(urlSafety.checkRequestUrl).toHaveBeenCalledWith(
+        'http://169.254.169.254/latest/meta-data/',
+        expect.any(Object)
+      );
+      expect(metadataRequest.abort).toHaveBeenCalledWith('accessdenied');
+      expect(metadataRequest.continue).not.toHaveBeenCalled();
+    });
+
+    it('should fail with UrlNotAllowedError when a redirect is refused', async () => {
+      const mainFrame = {};
+      mockPage.mainFrame = jest.fn().mockReturnValue(mainFrame);
+      mockPage.goto.mockImplementationOnce(async () => {
+        const requestHandler = mockPage.on.mock.calls.find(([event]) => event === 'request')[1];
+        urlSafety.checkRequestUrl.mockResolvedValueOnce({
+          allowed: false,
+          reason: 'port 6379 is not allowed',
+        });
+        await requestHandler({
+          url: () => 'http://example.com:6379/',
+          isInterceptResolutionHandled: () => false,
+          isNavigationRequest: () => true,
+          frame: () => mainFrame,
+          abort: jest.fn(),
+          continue: jest.fn(),
+        });
+        throw new Error('net::ERR_ACCESS_DENIED at https://example.com');
+      });
+
+      await expect(
+        screenshotService.captureScreenshot({ url: 'https://example.com' })
+      ).rejects.toThrow('URL is not allowed: port 6379 is not allowed');
+
+      delete mockPage.mainFrame;
+    });
+
+    it('should fail with DomainDeniedError when a redirect leads to a denied domain', async () => {
+      const mainFrame = {};
+      const redirect = {
+        url: () => 'https://www.denied.example.com/',
+        isInterceptResolutionHandled: () => false,
+        isNavigationRequest: () => true,
+        frame: () => mainFrame,
+        abort: jest.fn(),
+        continue: jest.fn(),
+      };
+      mockPage.mainFrame = jest.fn().mockReturnValue(mainFrame);
+      mockPage.goto.mockImplementationOnce(async () => {
+        const requestHandler = mockPage.on.mock.calls.find(([event]) => event === 'request')[1];
+        await requestHandler(redirect);
+        throw new Error('net::ERR_ACCESS_DENIED at https://example.com');
+      });
+
+      const error = await screenshotService
+        .captureScreenshot({ url: 'https://example.com' })
+        .catch((captureError) => captureError);
+
+      expect(error.name).toBe('DomainDeniedError');
+      expect(error.message).toBe('Domain is not allowed: domain denied.example.com is denied');
+      expect(redirect.abort).toHaveBeenCalledWith('accessdenied');
+      expect(redirect.continue).not.toHaveBeenCalled();
+      expect(urlSafety.checkRequestUrl).not.toHaveBeenCalledWith(
+        'https://www.denied.example.com/',
+        expect.any(Object)
+      );
+
+      delete mockPage.mainFrame;
+    });
+
+    it('should dismiss cookie banners when enabled', async () => {
+      mockPage.evaluate.mockResolvedValueOnce(['#onetrust-accept-btn-handler']);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        dismissCookieBanners: true,
+      });
+
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), [
+        '#onetrust-accept-btn-handler',
+      ]);
+      expect(setTimeout).toHaveBeenCalledWith(expect.any(Function), 500);
+      expect(mockPage.screenshot).toHaveBeenCalled();
+    });
+
+    it('should still capture when dismissing cookie banners fails', async () => {
+      mockPage.evaluate.mockRejectedValueOnce(new Error('Execution context was destroyed'));
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        dismissCookieBanners: true,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalled();
+    });
+
+    it('should auto-scroll before a full-page capture', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce({ height: 5400, timedOut: false, reachedMaxHeight: false })
+        .mockResolvedValueOnce(undefined);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        fullPage: true,
+      });
+
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(1, expect.any(Function), {
+        maxHeight: 20000,
+        maxTimeMs: 15000,
+        stepDelayMs: 200,
+      });
+      expect(mockPage.evaluate).toHaveBeenNthCalledWith(2, expect.any(Function), 5000);
+      expect(mockPage.evaluate.mock.invocationCallOrder[1]).toBeLessThan(
+        mockPage.screenshot.mock.invocationCallOrder[0]
+      );
+      expect(mockPage.screenshot).toHaveBeenCalledWith(expect.objectContaining({ fullPage: true }));
+    });
+
+    it('should not auto-scroll when disabled or not capturing the full page', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        fullPage: true,
+        autoScroll: false,
+      });
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+
+    it('should still capture when auto-scroll stops at the height cap', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce({ height: 20000, timedOut: false, reachedMaxHeight: true })
+        .mockResolvedValueOnce(undefined);
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        fullPage: true,
+      });
+
+      expect(mockPage.screenshot).toHaveBeenCalled();
+    });
+
+    it('should capture separate overlapping tiles for a tall page', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce({ scrollHeight: 2500, viewportWidth: 1920, viewportHeight: 1080 })
+        .mockResolvedValueOnce([0, 0])
+        .mockResolvedValueOnce([0, 980])
+        .mockResolvedValueOnce([0, 1420]);
+
+      const result = await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        fullPage: true,
+        autoScroll: false,
+        tiling: 'separate',
+      });
+
+      expect(result.map(({ index, y, height }) => ({ index, y, height }))).toEqual([
+        { index: 0, y: 0, height: 1080 },
+        { index: 1, y: 980, height: 1080 },
+        { index: 2, y: 1420, height: 1080 },
+      ]);
+      expect(result[0].buffer).toEqual(Buffer.from('mock screenshot data'));
+      expect(mockPage.screenshot).toHaveBeenCalledTimes(3);
+      expect(mockPage.screenshot).toHaveBeenCalledWith({
+        type: 'png',
+        clip: { x: 0, y: 980, width: 1920, height: 1080 },
+        captureBeyondViewport: false,
+      });
+    });
+
+    it('should stitch tiles into a single image', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce({ scrollHeight: 1500, viewportWidth: 1920, viewportHeight: 1080 })
+        .mockResolvedValueOnce([0, 0])
+        .mockResolvedValueOnce([0, 420])
+        .mockResolvedValueOnce(
+          `data:image/jpeg;base64,${Buffer.from('stitched').toString('base64')}`
+        );
+
+      const result = await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        format: 'jpeg',
+        quality: 90,
+        fullPage: true,
+        autoScroll: false,
+        tiling: 'stitch',
+      });
+
+      expect(result).toEqual(Buffer.from('stitched'));
+      expect(mockPage.evaluate).toHaveBeenLastCalledWith(
+        expect.any(Function),
+        expect.objectContaining({ totalHeight: 1500, mimeType: 'image/jpeg', quality: 0.9 })
+      );
+      // Scratch page for stitching, in the job's context next to the capture page
+      expect(mockContext.newPage).toHaveBeenCalledTimes(2);
+      expect(mockBrowser.newPage).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail when stitched image cannot be encoded', async () => {
+      mockPage.evaluate
+        .mockResolvedValueOnce({ scrollHeight: 1000, viewportWidth: 1920, viewportHeight: 1080 })
+        .mockResolvedValueOnce([0, 0])
+        .mockResolvedValueOnce('data:,');
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          fullPage: true,
+          autoScroll: false,
+          tiling: 'stitch',
+        })
+      ).rejects.toThrow('Failed to stitch tiles (image too large)');
+    });
+
+    it('should set user agent', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+      });
+
+      expect(mockPage.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('Mozilla/5.0'));
+    });
+  });
+
+  describe('Abort signal', () => {
+    beforeEach(async () => {
+      await screenshotService.initBrowser();
+    });
+
+    it('should not start a capture whose signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Job exceeded its deadline of 1000ms'));
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          signal: controller.signal,
+        })
+      ).rejects.toThrow('Job exceeded its deadline of 1000ms');
+      expect(mockContext.newPage).not.toHaveBeenCalled();
+      expect(mockPage.goto).not.toHaveBeenCalled();
+      expect(screenshotService.pagePool.getStats().active).toBe(0);
+    });
+
+    it('should stop waiting for a page when aborted while the pool is full', async () => {
+      const { pagePool } = screenshotService;
+      await pagePool.acquire();
+      await pagePool.acquire();
+      const controller = new AbortController();
+      const reason = new Error('Job exceeded its deadline of 1000ms');
+      reason.name = 'JobDeadlineExceededError';
+
+      const capture = screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        signal: controller.signal,
+      });
+      while (pagePool.getStats().queued === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      controller.abort(reason);
+
+      await expect(capture).rejects.toBe(reason);
+      expect(pagePool.getStats()).toEqual(expect.objectContaining({ active: 2, queued: 0 }));
+      expect(mockContext.newPage).not.toHaveBeenCalled();
+
+      pagePool.release();
+      pagePool.release();
+    });
+
+    it('should close the page and reject with the abort reason when aborted mid-capture', async () => {
+      const controller = new AbortController();
+      const reason = new Error('Job exceeded its deadline of 1000ms');
+      mockPage.goto.mockImplementationOnce(async () => {
+        controller.abort(reason);
+        throw new Error('Navigating frame was detached');
+      });
+
+      await expect(
+        screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          signal: controller.signal,
+        })
+      ).rejects.toBe(reason);
+      expect(mockPage.close).toHaveBeenCalledTimes(1);
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HTTP response', () => {
+    const mockResponse = (status, finalUrl, redirects = []) => ({
+      status: () => status,
+      url: () => finalUrl,
+      request: () => ({
+        redirectChain: () =>
+          redirects.map(([url, redirectStatus]) => ({
+            url: () => url,
+            response: () => ({ status: () => redirectStatus }),
+          })),
+      }),
+    });
+
+    beforeEach(async () => {
+      await screenshotService.initBrowser();
+    });
+
+    it('should report status, final URL and redirect chain', async () => {
+      mockPage.goto.mockResolvedValueOnce(
+        mockResponse(200, 'https://www.example.com/', [['https://example.com/', 301]])
+      );
+      const onNavigation = jest.fn();
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com/', onNavigation });
+
+      expect(onNavigation).toHaveBeenCalledWith({
+        statusCode: 200,
+        finalUrl: 'https://www.example.com/',
+        redirectChain: [{ url: 'https://example.com/', statusCode: 301 }],
+      });
+    });
+
+    it('should capture error pages unless failOnHttpError is set', async () => {
+      mockPage.goto.mockResolvedValueOnce(mockResponse(404, 'https://example.com/missing'));
+
+      const result = await screenshotService.captureScreenshot({
+        url: 'https://example.com/missing',
+      });
+
+      expect(result).toBeInstanceOf(Buffer);
+    });
+
+    it('should fail error pages with failOnHttpError', async () => {
+      mockPage.goto.mockResolvedValueOnce(mockResponse(503, 'https://example.com/'));
+      const onNavigation = jest.fn();
+
+      const error = await screenshotService
+        .captureScreenshot({ url: 'https://example.com/', failOnHttpError: true, onNavigation })
+        .catch((captureError) => captureError);
+
+      expect(error.name).toBe('HttpError');
+      expect(error.statusCode).toBe(503);
+      expect(error.message).toBe('Page responded with HTTP 503: https://example.com/');
+      // Reported before failing so the response is recorded
+      expect(onNavigation).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 503 }));
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    it('should accept listed statuses and ranges', async () => {
+      mockPage.goto.mockResolvedValueOnce(mockResponse(404, 'https://example.com/missing'));
+
+      const result = await screenshotService.captureScreenshot({
+        url: 'https://example.com/missing',
+        failOnHttpError: true,
+        acceptedStatusCodes: ['200-299', 404],
+      });
+
+      expect(result).toBeInstanceOf(Buffer);
+    });
+
+    it('should not fail navigations without a response', async () => {
+      const onNavigation = jest.fn();
+
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        failOnHttpError: true,
+        onNavigation,
+      });
+
+      expect(onNavigation).toHaveBeenCalledWith({
+        statusCode: null,
+        finalUrl: 'https://example.com',
+        redirectChain: [],
+      });
+    });
+  });
+
+  describe('page pool', () => {
+    it('should limit concurrent captures to the pool size', async () => {
+      let openPages = 0;
+      let maxOpenPages = 0;
+      mockContext.newPage.mockImplementation(async () => {
+        openPages++;
+        maxOpenPages = Math.max(maxOpenPages, openPages);
+        return mockPage;
+      });
+      mockPage.close.mockImplementation(async () => {
+        openPages--;
+      });
+
+      await Promise.all(
+        [1, 2, 3, 4].map(() => screenshotService.captureScreenshot({ url: 'https://example.com' }))
+      );
+
+      expect(mockPage.screenshot).toHaveBeenCalledTimes(4);
+      expect(maxOpenPages).toBe(2);
+      expect(screenshotService.pagePool.getStats()).toEqual(
+        expect.objectContaining({ active: 0, queued: 0 })
+      );
+
+      mockContext.newPage.mockResolvedValue(mockPage);
+      mockPage.close.mockResolvedValue(undefined);
+    });
+
+    it('should free the pool slot when a capture fails', async () => {
+      mockPage.goto.mockRejectedValueOnce(new Error('net::ERR_NAME_NOT_RESOLVED'));
+
+      await expect(
+        screenshotService.captureScreenshot({ url: 'https://example.com' })
+      ).rejects.toThrow('net::ERR_NAME_NOT_RESOLVED');
+
+      expect(screenshotService.pagePool.getStats().active).toBe(0);
+    });
+
+    it('should free the pool slot when opening a page fails', async () => {
+      mockContext.newPage.mockRejectedValueOnce(new Error('Target closed'));
+
+      await expect(
+        screenshotService.captureScreenshot({ url: 'https://example.com' })
+      ).rejects.toThrow('Target closed');
+
+      expect(screenshotService.pagePool.getStats().active).toBe(0);
+    });
+  });
+
+  describe('browser recycling and crash recovery', () => {
+    const createBrowser = () => ({
+      ...mockBrowser,
+      on: jest.fn(),
+      close: jest.fn().mockResolvedValue(undefined),
+    });
+
+    // Let pending promise callbacks run (setTimeout is mocked)
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    afterEach(() => {
+      config.screenshot.recycle = { maxCaptures: 0, maxAgeMs: 0, maxRssMb: 0 };
+    });
+
+    it('should relaunch the browser after maxCaptures captures', async () => {
+      config.screenshot.recycle.maxCaptures = 2;
+      const firstBrowser = createBrowser();
+      const secondBrowser = createBrowser();
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser).mockResolvedValueOnce(secondBrowser);
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+      expect(firstBrowser.close).not.toHaveBeenCalled();
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+
+      expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+      expect(firstBrowser.close).toHaveBeenCalled();
+      expect(screenshotService.browser).toBe(secondBrowser);
+    });
+
+    it('should retire the browser once for concurrent callers when it is due for recycling', async () => {
+      config.screenshot.recycle.maxCaptures = 1;
+      const firstBrowser = createBrowser();
+      const secondBrowser = createBrowser();
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser).mockResolvedValueOnce(secondBrowser);
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+
+      const results = await Promise.allSettled([
+        screenshotService.initBrowser(),
+        screenshotService.initBrowser(),
+      ]);
+
+      expect(results).toEqual([
+        { status: 'fulfilled', value: secondBrowser },
+        { status: 'fulfilled', value: secondBrowser },
+      ]);
+      expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+      expect(firstBrowser.close).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore retiring a browser that is already closed', () => {
+      expect(() => screenshotService.retireBrowser(createBrowser(), 'maxAge')).not.toThrow();
+    });
+
+    it('should relaunch the browser when its process tree uses too much memory', async () => {
+      config.screenshot.recycle.maxRssMb = 1024;
+      const firstBrowser = { ...createBrowser(), process: () => ({ pid: 4242 }) };
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser).mockResolvedValueOnce(createBrowser());
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+      screenshotService.browserStates.get(firstBrowser).rssCheckedAt = 0;
+      getProcessTreeRssMb.mockResolvedValueOnce(1500);
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+
+      expect(getProcessTreeRssMb).toHaveBeenCalledWith(4242);
+      expect(firstBrowser.close).toHaveBeenCalled();
+      expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should close a retired browser only after its in-flight captures finish', async () => {
+      config.screenshot.recycle.maxCaptures = 1;
+      const firstBrowser = createBrowser();
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser).mockResolvedValueOnce(createBrowser());
+      let finishNavigation;
+      mockPage.goto.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishNavigation = resolve;
+          })
+      );
+
+      const inFlight = screenshotService.captureScreenshot({ url: 'https://example.com/slow' });
+      while (!finishNavigation) {
+        await flush();
+      }
+
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+      expect(firstBrowser.close).not.toHaveBeenCalled();
+
+      finishNavigation();
+      await inFlight;
+
+      expect(firstBrowser.close).toHaveBeenCalled();
+    });
+
+    it('should fail in-flight captures with a retryable error and relaunch after a crash', async () => {
+      const firstBrowser = createBrowser();
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser).mockResolvedValueOnce(createBrowser());
+      let failNavigation;
+      mockPage.goto.mockImplementationOnce(
+        () =>
+          new Promise((resolve, reject) => {
+            failNavigation = reject;
+          })
+      );
+
+      const inFlight = screenshotService.captureScreenshot({ url: 'https://example.com' });
+      while (!failNavigation) {
+        await flush();
+      }
+
+      const [, onDisconnected] = firstBrowser.on.mock.calls.find(
+        ([event]) => event === 'disconnected'
+      );
+      onDisconnected();
+      failNavigation(new Error('Navigating frame was detached'));
+
+      await expect(inFlight).rejects.toMatchObject({
+        name: 'BrowserDisconnectedError',
+        message: 'Browser disconnected during capture: Navigating frame was detached',
+      });
+      expect(mockPage.close).not.toHaveBeenCalled();
+      expect(screenshotService.pagePool.getStats().active).toBe(0);
+
+      await flush();
+      expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not relaunch when the browser is closed on purpose', async () => {
+      const firstBrowser = createBrowser();
+      puppeteer.launch.mockResolvedValueOnce(firstBrowser);
+      await screenshotService.initBrowser();
+
+      await screenshotService.closeBrowser();
+      const [, onDisconnected] = firstBrowser.on.mock.calls.find(
+        ([event]) => event === 'disconnected'
+      );
+      onDisconnected();
+
+      expect(firstBrowser.close).toHaveBeenCalled();
+      expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('browser contexts', () => {
+    beforeEach(() => {
+      screenshotService.profiles.clear();
+    });
+
+    it('should capture in a fresh incognito context and dispose it', async () => {
+      await screenshotService.captureScreenshot({ url: 'https://example.com' });
+      await screenshotService.captureScreenshot({ url: 'https://example.org' });
+
+      expect(mockBrowser.createBrowserContext).toHaveBeenCalledTimes(2);
+      expect(mockContext.close).toHaveBeenCalledTimes(2);
+    });
+
+    it('should dispose the context when the capture fails', async () => {
+      mockPage.goto.mockRejectedValueOnce(new Error('net::ERR_CONNECTION_REFUSED'));
+
+      await expect(
+        screenshotService.captureScreenshot({ url: 'https://example.com' })
+      ).rejects.toThrow('net::ERR_CONNECTION_REFUSED');
+
+      expect(mockPage.close).toHaveBeenCalled();
+      expect(mockContext.close).toHaveBeenCalled();
+    });
+
+    it('should reuse the context of a persistent profile across jobs', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        persistentProfile: 'acme',
+      });
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com/dashboard',
+        persistentProfile: 'acme',
+      });
+
+      expect(mockBrowser.createBrowserContext).toHaveBeenCalledTimes(1);
+      expect(mockContext.newPage).toHaveBeenCalledTimes(2);
+      expect(mockContext.close).not.toHaveBeenCalled();
+      expect(screenshotService.profiles.get('acme').activePages).toBe(0);
+    });
+
+    it('should close the least recently used idle profile beyond the limit', async () => {
+      const contexts = [1, 2, 3].map(() => ({
+        newPage: jest.fn().mockResolvedValue(mockPage),
+        close: jest.fn().mockResolvedValue(undefined),
+      }));
+      contexts.forEach((context) =>
+        mockBrowser.createBrowserContext.mockResolvedValueOnce(context)
+      );
+
+      for (const persistentProfile of ['first', 'second', 'third']) {
+        await screenshotService.captureScreenshot({
+          url: 'https://example.com',
+          persistentProfile,
+        });
+      }
+
+      expect(contexts[0].close).toHaveBeenCalled();
+      expect(contexts[1].close).not.toHaveBeenCalled();
+      expect([...screenshotService.profiles.keys()]).toEqual(['second', 'third']);
+    });
+
+    it('should forget profiles when the browser is closed', async () => {
+      await screenshotService.captureScreenshot({
+        url: 'https://example.com',
+        persistentProfile: 'acme',
+      });
+
+      await screenshotService.closeBrowser();
+
+      expect(screenshotService.profiles.size).toBe(0);
+    });
+  });
+
+  describe('captureViewports', () => {
+    it('should capture viewports with the same emulation from one navigation', async () => {
+      mockPage.screenshot
+        .mockResolvedValueOnce(Buffer.from('desktop'))
+        .mockResolvedValueOnce(Buffer.from('tablet'));
+
+      const outputs = await screenshotService.captureViewports({
+        url: 'https://example.com',
+        viewports: [
+          { name: 'desktop', width: 1920, height: 1080 },
+          { name: 'tablet', width: 768, height: 1024 },
+        ],
+        timeout: 90000,
+      });
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(1);
+      expect(mockPage.setViewport).toHaveBeenNthCalledWith(2, {
+        width: 768,
+        height: 1024,
+        deviceScaleFactor: 1,
+      });
+      expect(mockPage.waitForNetworkIdle).toHaveBeenCalledTimes(1);
+      expect(mockPage.waitForNetworkIdle).toHaveBeenCalledWith({ idleTime: 500, timeout: 90000 });
+      expect(outputs).toEqual([
+        {
+          viewport: { name: 'desktop', width: 1920, height: 1080, deviceScaleFactor: 1 },
+          buffer: Buffer.from('desktop'),
+        },
+        {
+          viewport: { name: 'tablet', width: 768, height: 1024, deviceScaleFactor: 1 },
+          buffer: Buffer.from('tablet'),
+        },
+      ]);
+    });
+
+    it('should navigate again for a different emulation and keep the request order', async () => {
+      mockPage.screenshot
+        .mockResolvedValueOnce(Buffer.from('desktop'))
+        .mockResolvedValueOnce(Buffer.from('wide'))
+        .mockResolvedValueOnce(Buffer.from('mobile'));
+
+      const outputs = await screenshotService.captureViewports({
+        url: 'https://example.com',
+        viewports: [
+          { name: 'desktop', width: 1920, height: 1080 },
+          { name: 'mobile', device: 'iPhone 15 Pro' },
+          { name: 'wide', width: 2560, height: 1440 },
+        ],
+      });
+
+      expect(mockPage.goto).toHaveBeenCalledTimes(2);
+      expect(mockPage.setUserAgent).toHaveBeenLastCalledWith(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)'
+      );
+      expect(outputs.map((output) => output.viewport.name)).toEqual(['desktop', 'mobile', 'wide']);
+      expect(outputs[1]).toEqual({
+        viewport: {
+          name: 'mobile',
+          device: 'iPhone 15 Pro',
+          width: 393,
+          height: 659,
+          deviceScaleFactor: 3,
+        },
+        buffer: Buffer.from('mobile'),
+      });
+    });
+
+    it('should capture anyway when the network does not go idle after a resize', async () => {
+      const timeoutError = new Error('Timed out after waiting 30000ms');
+      timeoutError.name = 'TimeoutError';
+      mockPage.waitForNetworkIdle.mockRejectedValueOnce(timeoutError);
+
+      const outputs = await screenshotService.captureViewports({
+        url: 'https://example.com',
+        viewports: [
+          { width: 1920, height: 1080 },
+          { width: 390, height: 844 },
+        ],
+      });
+
+      expect(outputs).toHaveLength(2);
+      expect(mockPage.close).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -1,13 +1,40 @@
-const { describe, it, expect, beforeEach } = require('@jest/globals');
-const { handleMessage } = require('../sqsConsumer');
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const { Consumer } = require('sqs-consumer');
+const { handleMessage, createConsumer } = require('../sqsConsumer');
 const screenshotService = require('../screenshotService');
 const s3Service = require('../s3Service');
 const dynamodbService = require('../dynamodbService');
+const hostRateLimiter = require('../hostRateLimiter');
+const { sqsClient } = require('../../config/aws');
+const config = require('../../config');
+const { createUrlNotAllowedError } = require('../../utils/urlSafety');
 
 // Mock dependencies
 jest.mock('../screenshotService');
 jest.mock('../s3Service');
 jest.mock('../dynamodbService');
+jest.mock('../hostRateLimiter');
+// Retry without waiting
+jest.mock('../../config', () => {
+  const actualConfig = jest.requireActual('../../config');
+  const { parseDomainPolicies } = jest.requireActual('../../utils/domainPolicy');
+  return {
+    ...actualConfig,
+    screenshot: {
+      ...actualConfig.screenshot,
+      maxRetries: 3,
+      retryDelayMs: 0,
+      maxRetryDelayMs: 0,
+      persistentProfiles: ['acme-dashboard'],
+    },
+    domainPolicies: parseDomainPolicies({
+      deny: ['denied.example.com'],
+      domains: {
+        'slow.example.com': { timeout: 90000, waitUntil: 'load', userAgent: 'PolicyBot/1.0' },
+      },
+    }),
+  };
+});
 jest.mock('../../utils/logger', () => ({
   info: jest.fn(),
   debug: jest.fn(),
@@ -17,7 +44,13 @@ jest.mock('../../utils/logger', () => ({
 
 describe('SQS Consumer - handleMessage', () => {
   beforeEach(() => {
-    jest.clearAllMocks();
+    // Reset implementations too: retry tests reject on every call
+    jest.resetAllMocks();
+    hostRateLimiter.acquire.mockResolvedValue({ acquired: true, host: 'example.com' });
+    dynamodbService.claimScreenshot.mockResolvedValue({ claimed: true });
+    s3Service.getContentType.mockImplementation((format) =>
+      format === 'pdf' ? 'application/pdf' : `image/${format}`
+    );
   });
 
   const createMockMessage = (body) => ({
@@ -25,6 +58,11 @@ describe('SQS Consumer - handleMessage', () => {
     Body: JSON.stringify(body),
   });
 
+  // Status writes of a claimed job only apply while this worker holds the claim
+  const claimedWrite = { expectedStatus: 'consumerProcessing', workerId: config.worker.id };
+  // Before the claim, only a record that is not being processed is marked failed
+  const unclaimedWrite = { expectedStatus: ['processing', 'failed'] };
+
   describe('Successful Processing', () => {
     it('should process screenshot message successfully', async () => {
       const mockMessage = createMockMessage({
@@ -48,7 +86,6 @@ describe('SQS Consumer - handleMessage', () => {
         status: 'processing',
         url: 'https://example.com',
       });
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // Update to consumerProcessing
       screenshotService.captureScreenshot.mockResolvedValueOnce(mockScreenshot);
       s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
       s3Service.uploadFile.mockResolvedValueOnce(mockS3Result);
@@ -61,17 +98,11 @@ describe('SQS Consumer - handleMessage', () => {
       expect(dynamodbService.getScreenshot).toHaveBeenCalledWith('test-123');
       // Should NOT create new record, only update existing one
       expect(dynamodbService.saveScreenshotResult).not.toHaveBeenCalled();
-      // Should update to consumerProcessing status
-      expect(dynamodbService.updateScreenshotStatus).toHaveBeenNthCalledWith(
-        1,
-        'test-123',
-        'consumerProcessing',
-        expect.objectContaining({
-          width: 1920,
-          height: 1080,
-          format: 'png',
-        })
-      );
+      // Should claim the job (consumerProcessing) for this worker
+      expect(dynamodbService.claimScreenshot).toHaveBeenCalledWith('test-123', {
+        workerId: config.worker.id,
+        leaseMs: config.worker.leaseMs,
+      });
       expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
         expect.objectContaining({
           url: 'https://example.com',
@@ -86,13 +117,14 @@ describe('SQS Consumer - handleMessage', () => {
         'image/png'
       );
       expect(dynamodbService.updateScreenshotStatus).toHaveBeenNthCalledWith(
-        2,
+        1,
         'test-123',
         'success',
         expect.objectContaining({
           s3Url: mockS3Result.url,
           s3Key: mockS3Result.key,
-        })
+        }),
+        claimedWrite
       );
     });
 
@@ -131,13 +163,22 @@ describe('SQS Consumer - handleMessage', () => {
         createdAt: new Date().toISOString(), // Recent
       };
 
+      const lease = { acquired: true, host: 'example.com', slotId: 'slot#example.com#0' };
+      hostRateLimiter.acquire.mockResolvedValueOnce(lease);
       dynamodbService.getScreenshot.mockResolvedValueOnce(existingScreenshot);
+      // The other instance holds an unexpired lease, the conditional claim fails
+      dynamodbService.claimScreenshot.mockResolvedValueOnce({ claimed: false });
 
       // Execute
-      await handleMessage(mockMessage);
+      const result = await handleMessage(mockMessage);
 
-      // Verify - should skip processing
+      // Verify - should skip processing and let the message be deleted
+      expect(result).toBeUndefined();
       expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).not.toHaveBeenCalled();
+      // The host slot and rate token are given back, nothing was captured
+      expect(hostRateLimiter.cancel).toHaveBeenCalledWith(lease);
+      expect(hostRateLimiter.release).not.toHaveBeenCalledWith(lease);
     });
 
     it('should retry stale processing screenshot', async () => {
@@ -163,9 +204,9 @@ describe('SQS Consumer - handleMessage', () => {
         key: 'screenshots/test.png',
       };
 
-      // Setup mocks
+      // Setup mocks - the lease has expired, so the claim succeeds
       dynamodbService.getScreenshot.mockResolvedValueOnce(existingScreenshot);
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // Update to consumerProcessing
+      dynamodbService.claimScreenshot.mockResolvedValueOnce({ claimed: true });
       screenshotService.captureScreenshot.mockResolvedValueOnce(mockScreenshot);
       s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
       s3Service.uploadFile.mockResolvedValueOnce(mockS3Result);
@@ -177,6 +218,279 @@ describe('SQS Consumer - handleMessage', () => {
       // Verify - should process (retry stale)
       expect(screenshotService.captureScreenshot).toHaveBeenCalled();
     });
+
+    it('should record applied injections on success', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        injectCss: 'body { background: white; }',
+        hideSelectors: ['#chat-widget'],
+        requestId: 'test-123',
+      });
+
+      const mockS3Result = {
+        success: true,
+        url: 'https://s3.amazonaws.com/bucket/screenshot.png',
+        key: 'screenshots/test.png',
+      };
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockResolvedValueOnce(mockS3Result);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // success
+
+      await handleMessage(mockMessage);
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          injectCss: 'body { background: white; }',
+          hideSelectors: ['#chat-widget'],
+        })
+      );
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'success',
+        {
+          s3Url: mockS3Result.url,
+          s3Key: mockS3Result.key,
+          injections: {
+            injectCss: 'body { background: white; }',
+            hideSelectors: ['#chat-widget'],
+          },
+        },
+        claimedWrite
+      );
+    });
+
+    it('should upload separate tiles as numbered objects', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        fullPage: true,
+        tiling: 'separate',
+        requestId: 'test-123',
+      });
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockResolvedValueOnce([
+        { index: 0, y: 0, height: 1080, buffer: Buffer.from('tile 1') },
+        { index: 1, y: 980, height: 1080, buffer: Buffer.from('tile 2') },
+      ]);
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.generateTileKey
+        .mockReturnValueOnce('screenshots/test_tile-001.png')
+        .mockReturnValueOnce('screenshots/test_tile-002.png');
+      s3Service.uploadFile
+        .mockResolvedValueOnce({
+          url: 'https://s3/test_tile-001.png',
+          key: 'screenshots/test_tile-001.png',
+        })
+        .mockResolvedValueOnce({
+          url: 'https://s3/test_tile-002.png',
+          key: 'screenshots/test_tile-002.png',
+        });
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // success
+
+      await handleMessage(mockMessage);
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({ fullPage: true, tiling: 'separate' })
+      );
+      expect(s3Service.uploadFile).toHaveBeenCalledWith(
+        Buffer.from('tile 2'),
+        'screenshots/test_tile-002.png',
+        'image/png'
+      );
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'success',
+        {
+          s3Url: 'https://s3/test_tile-001.png',
+          s3Key: 'screenshots/test_tile-001.png',
+          tiles: [
+            {
+              index: 0,
+              y: 0,
+              height: 1080,
+              s3Key: 'screenshots/test_tile-001.png',
+              s3Url: 'https://s3/test_tile-001.png',
+            },
+            {
+              index: 1,
+              y: 980,
+              height: 1080,
+              s3Key: 'screenshots/test_tile-002.png',
+              s3Url: 'https://s3/test_tile-002.png',
+            },
+          ],
+        },
+        claimedWrite
+      );
+    });
+
+    it('should upload each viewport under its own sub-key', async () => {
+      const viewports = [
+        { name: 'desktop', width: 1920, height: 1080 },
+        { device: 'iPhone 15 Pro' },
+      ];
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        viewports,
+        requestId: 'test-123',
+      });
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureViewports.mockResolvedValueOnce([
+        {
+          viewport: { name: 'desktop', width: 1920, height: 1080, deviceScaleFactor: 1 },
+          buffer: Buffer.from('desktop'),
+        },
+        {
+          viewport: { device: 'iPhone 15 Pro', width: 393, height: 659, deviceScaleFactor: 3 },
+          buffer: Buffer.from('mobile shot'),
+        },
+      ]);
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.generateViewportKey
+        .mockReturnValueOnce('screenshots/test_desktop.png')
+        .mockReturnValueOnce('screenshots/test_iPhone_15_Pro.png');
+      s3Service.uploadFile
+        .mockResolvedValueOnce({
+          url: 'https://s3/test_desktop.png',
+          key: 'screenshots/test_desktop.png',
+        })
+        .mockResolvedValueOnce({
+          url: 'https://s3/test_iPhone_15_Pro.png',
+          key: 'screenshots/test_iPhone_15_Pro.png',
+        });
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // success
+
+      await handleMessage(mockMessage);
+
+      expect(screenshotService.captureViewports).toHaveBeenCalledWith(
+        expect.objectContaining({ url: 'https://example.com', viewports })
+      );
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(s3Service.generateViewportKey).toHaveBeenCalledWith(
+        'screenshots/test.png',
+        'iPhone 15 Pro'
+      );
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'success',
+        {
+          s3Url: 'https://s3/test_desktop.png',
+          s3Key: 'screenshots/test_desktop.png',
+          outputs: [
+            {
+              viewport: { name: 'desktop', width: 1920, height: 1080, deviceScaleFactor: 1 },
+              s3Key: 'screenshots/test_desktop.png',
+              s3Url: 'https://s3/test_desktop.png',
+              size: 7,
+            },
+            {
+              viewport: { device: 'iPhone 15 Pro', width: 393, height: 659, deviceScaleFactor: 3 },
+              s3Key: 'screenshots/test_iPhone_15_Pro.png',
+              s3Url: 'https://s3/test_iPhone_15_Pro.png',
+              size: 11,
+            },
+          ],
+        },
+        claimedWrite
+      );
+    });
+
+    it('should upload PDF with application/pdf content type', async () => {
+      const pdfOptions = { paperFormat: 'Letter', landscape: true };
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        format: 'pdf',
+        pdf: pdfOptions,
+        requestId: 'test-123',
+      });
+
+      const mockPdf = Buffer.from('pdf data');
+      const mockS3Result = {
+        success: true,
+        url: 'https://s3.amazonaws.com/bucket/screenshot.pdf',
+        key: 'screenshots/test.pdf',
+      };
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(mockPdf);
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.pdf');
+      s3Service.uploadFile.mockResolvedValueOnce(mockS3Result);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // success
+
+      await handleMessage(mockMessage);
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          format: 'pdf',
+          pdf: pdfOptions,
+        })
+      );
+      expect(s3Service.generateScreenshotKey).toHaveBeenCalledWith(
+        'https://example.com',
+        'test-123',
+        'pdf'
+      );
+      expect(s3Service.uploadFile).toHaveBeenCalledWith(
+        mockPdf,
+        'screenshots/test.pdf',
+        'application/pdf'
+      );
+    });
+
+    it('should record the HTTP status, final URL and redirect chain on success', async () => {
+      const mockMessage = createMockMessage({
+        url: 'http://example.com',
+        requestId: 'test-123',
+      });
+      const navigation = {
+        statusCode: 200,
+        finalUrl: 'https://www.example.com/',
+        redirectChain: [{ url: 'http://example.com/', statusCode: 301 }],
+      };
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockImplementationOnce(async ({ onNavigation }) => {
+        onNavigation(navigation);
+        return Buffer.from('screenshot data');
+      });
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockResolvedValueOnce({
+        url: 'https://s3.amazonaws.com/bucket/screenshot.png',
+        key: 'screenshots/test.png',
+      });
+
+      await handleMessage(mockMessage);
+
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'success',
+        expect.objectContaining({
+          httpStatusCode: 200,
+          finalUrl: 'https://www.example.com/',
+          redirectChain: navigation.redirectChain,
+        }),
+        claimedWrite
+      );
+    });
   });
 
   describe('Race Condition Prevention', () => {
@@ -189,7 +503,6 @@ describe('SQS Consumer - handleMessage', () => {
       // Setup mocks - record not found, fallback will create it
       dynamodbService.getScreenshot.mockResolvedValueOnce(null);
       dynamodbService.saveScreenshotResult.mockResolvedValueOnce({ success: true });
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // consumerProcessing
 
       const mockScreenshot = Buffer.from('screenshot data');
       const mockS3Result = {
@@ -210,6 +523,54 @@ describe('SQS Consumer - handleMessage', () => {
       expect(dynamodbService.saveScreenshotResult).toHaveBeenCalled();
       expect(screenshotService.captureScreenshot).toHaveBeenCalled();
     });
+
+    it('should leave a record alone that moved on during the capture', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+      const transitionError = new Error('Screenshot test-123 is not consumerProcessing');
+      transitionError.name = 'InvalidStatusTransitionError';
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.uploadFile.mockResolvedValueOnce({ url: 'https://s3/x.png', key: 'x.png' });
+      // Another worker finished the job first
+      dynamodbService.updateScreenshotStatus.mockRejectedValueOnce(transitionError);
+
+      // Execute - not retried, the message is deleted
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      // Verify - the record is not marked failed
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledTimes(1);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'success',
+        expect.any(Object),
+        claimedWrite
+      );
+    });
+
+    it('should not mark a record failed that another worker is processing', async () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'consumerProcessing',
+      });
+      // Fails before this worker claims the job
+      hostRateLimiter.acquire.mockRejectedValueOnce(new Error('Rate limit table unavailable'));
+
+      await expect(
+        handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }))
+      ).rejects.toThrow('Rate limit table unavailable');
+
+      expect(dynamodbService.claimScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.any(Object),
+        unclaimedWrite
+      );
+    });
   });
 
   describe('Error Handling', () => {
@@ -222,92 +583,898 @@ describe('SQS Consumer - handleMessage', () => {
       await expect(handleMessage(mockMessage)).rejects.toThrow('URL is required in message body');
     });
 
-    it('should update status to failed when screenshot fails', async () => {
+    it('should record selector not found error', async () => {
       const mockMessage = createMockMessage({
         url: 'https://example.com',
+        selector: '#missing',
         requestId: 'test-123',
       });
 
-      const screenshotError = new Error('Screenshot failed');
-
-      // Setup mocks
       dynamodbService.getScreenshot.mockResolvedValueOnce({
         id: 'test-123',
         status: 'processing',
       });
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // consumerProcessing
-      screenshotService.captureScreenshot.mockRejectedValueOnce(screenshotError);
+      screenshotService.captureScreenshot.mockRejectedValueOnce(
+        new Error('Selector not found: #missing')
+      );
       dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
 
-      // Execute
-      await expect(handleMessage(mockMessage)).rejects.toThrow('Screenshot failed');
+      // Permanent failure: not retried, message is deleted
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
 
-      // Verify status updated to failed
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({ selector: '#missing' })
+      );
       expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
         'test-123',
         'failed',
         expect.objectContaining({
-          errorMessage: 'Screenshot failed',
-        })
+          errorMessage: 'Selector not found: #missing',
+          errorCode: 'SELECTOR_NOT_FOUND',
+        }),
+        claimedWrite
       );
     });
 
-    it('should update status to failed when S3 upload fails', async () => {
+    it('should fail refused URLs without retrying', async () => {
       const mockMessage = createMockMessage({
-        url: 'https://example.com',
+        url: 'https://internal.example.com',
         requestId: 'test-123',
       });
 
-      const mockScreenshot = Buffer.from('screenshot data');
-      const uploadError = new Error('S3 upload failed');
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockRejectedValue(
+        createUrlNotAllowedError(
+          'internal.example.com resolves to a private or reserved address (10.0.0.5)'
+        )
+      );
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'URL_NOT_ALLOWED' }),
+        claimedWrite
+      );
+    });
+
+    it('should fail unsupported format without capturing', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        format: 'gif',
+        requestId: 'test-123',
+      });
 
-      // Setup mocks
       dynamodbService.getScreenshot.mockResolvedValueOnce({
         id: 'test-123',
         status: 'processing',
       });
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // consumerProcessing
-      screenshotService.captureScreenshot.mockResolvedValueOnce(mockScreenshot);
-      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
-      s3Service.uploadFile.mockRejectedValueOnce(uploadError);
       dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
 
-      // Execute
-      await expect(handleMessage(mockMessage)).rejects.toThrow('S3 upload failed');
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
 
-      // Verify status updated to failed
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
       expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
         'test-123',
         'failed',
         expect.objectContaining({
-          errorMessage: 'S3 upload failed',
-        })
+          errorMessage: expect.stringContaining('Unsupported format: gif'),
+          errorCode: 'INVALID_REQUEST',
+        }),
+        unclaimedWrite
       );
     });
 
-    it('should handle DynamoDB update failure gracefully', async () => {
+    it('should fail persistent profiles that are not configured without capturing', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        persistentProfile: 'other-customer',
+        requestId: 'test-123',
+      });
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorMessage: 'Persistent profile is not allowed: other-customer',
+          errorCode: 'INVALID_REQUEST',
+        }),
+        unclaimedWrite
+      );
+    });
+
+    it('should fail out-of-range quality without capturing', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        format: 'webp',
+        quality: 150,
+        requestId: 'test-123',
+      });
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorMessage: 'Quality must be a number between 0 and 100',
+          errorCode: 'INVALID_REQUEST',
+        }),
+        unclaimedWrite
+      );
+    });
+
+    it('should update status to failed when screenshot fails', async () => {
       const mockMessage = createMockMessage({
         url: 'https://example.com',
         requestId: 'test-123',
       });
 
       const screenshotError = new Error('Screenshot failed');
-      const dbUpdateError = new Error('DynamoDB update failed');
 
       // Setup mocks
       dynamodbService.getScreenshot.mockResolvedValueOnce({
         id: 'test-123',
         status: 'processing',
       });
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // consumerProcessing
-      screenshotService.captureScreenshot.mockRejectedValueOnce(screenshotError);
-      dynamodbService.updateScreenshotStatus.mockRejectedValueOnce(dbUpdateError); // failed update fails
+      screenshotService.captureScreenshot.mockRejectedValue(screenshotError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
 
       // Execute
       await expect(handleMessage(mockMessage)).rejects.toThrow('Screenshot failed');
 
-      // Verify it tried to update status
-      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalled();
+      // Verify every attempt was made and status updated to failed
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(3);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorMessage: 'Screenshot failed',
+          errorCode: 'UNKNOWN_ERROR',
+        }),
+        claimedWrite
+      );
+    });
+
+    it('should hand the job back to processing when the page pool is exhausted', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+      const sendSpy = jest.spyOn(sqsClient, 'send').mockResolvedValueOnce({});
+
+      const poolError = new Error('Page pool exhausted (10 captures queued)');
+      poolError.name = 'PagePoolExhaustedError';
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockRejectedValueOnce(poolError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // processing
+
+      // A delayed copy is queued without waiting for a page in-process, and the original
+      // is deleted so the re-queue does not count as a receive
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      expect(sendSpy.mock.calls[0][0].input).toEqual({
+        QueueUrl: config.sqs.queueUrl,
+        MessageBody: mockMessage.Body,
+        DelaySeconds: config.screenshot.requeueDelaySeconds,
+        MessageAttributes: { DeferralCount: { DataType: 'Number', StringValue: '1' } },
+      });
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'processing',
+        {},
+        claimedWrite
+      );
+      expect(dynamodbService.updateScreenshotStatus).not.toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.anything()
+      );
+
+      sendSpy.mockRestore();
+    });
+
+    it('should hand the job back to processing when the browser crashes', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+      const sendSpy = jest.spyOn(sqsClient, 'send').mockResolvedValueOnce({});
+
+      const crashError = new Error('Browser disconnected during capture: Target closed');
+      crashError.name = 'BrowserDisconnectedError';
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockRejectedValue(crashError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // processing
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(3);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'processing',
+        {},
+        claimedWrite
+      );
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+
+      sendSpy.mockRestore();
+    });
+
+    it('should fail the job instead of re-queueing it once the message was deferred too often', async () => {
+      const sendSpy = jest.spyOn(sqsClient, 'send');
+      const mockMessage = {
+        ...createMockMessage({ url: 'https://example.com', requestId: 'test-123' }),
+        MessageAttributes: {
+          DeferralCount: { DataType: 'Number', StringValue: String(config.sqs.maxDeferrals) },
+        },
+      };
+
+      const poolError = new Error('Page pool exhausted (10 captures queued)');
+      poolError.name = 'PagePoolExhaustedError';
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockRejectedValueOnce(poolError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
+
+      await expect(handleMessage(mockMessage)).rejects.toThrow('Page pool exhausted');
+
+      expect(sendSpy).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'POOL_EXHAUSTED' }),
+        claimedWrite
+      );
+
+      sendSpy.mockRestore();
+    });
+
+    it('should leave the message to SQS when a crashed job cannot be re-queued', async () => {
+      const sendSpy = jest
+        .spyOn(sqsClient, 'send')
+        .mockRejectedValueOnce(new Error('Service unavailable'));
+
+      const crashError = new Error('Browser disconnected during capture: Target closed');
+      crashError.name = 'BrowserDisconnectedError';
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockRejectedValue(crashError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // processing
+
+      await expect(
+        handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }))
+      ).rejects.toThrow('Browser disconnected');
+
+      sendSpy.mockRestore();
+    });
+
+    it('should update status to failed when S3 upload fails', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+
+      const mockScreenshot = Buffer.from('screenshot data');
+      const uploadError = new Error('S3 upload failed');
+
+      // Setup mocks
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(mockScreenshot);
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockRejectedValue(uploadError);
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
+
+      // Execute
+      await expect(handleMessage(mockMessage)).rejects.toThrow('S3 upload failed');
+
+      // Verify the upload was retried and status updated to failed
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(s3Service.uploadFile).toHaveBeenCalledTimes(3);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorMessage: 'S3 upload failed',
+          errorCode: 'S3_ERROR',
+        }),
+        claimedWrite
+      );
+    });
+
+    it('should handle DynamoDB update failure gracefully', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+
+      const screenshotError = new Error('Screenshot failed');
+      const dbUpdateError = new Error('DynamoDB update failed');
+
+      // Setup mocks
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+      screenshotService.captureScreenshot.mockRejectedValue(screenshotError);
+      dynamodbService.updateScreenshotStatus.mockRejectedValueOnce(dbUpdateError); // failed update fails
+
+      // Execute
+      await expect(handleMessage(mockMessage)).rejects.toThrow('Screenshot failed');
+
+      // Verify it tried to update status
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalled();
+    });
+  });
+
+  describe('Domain policy', () => {
+    const mockSuccessfulCapture = () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockResolvedValueOnce({ success: true, key: 'screenshots/test.png' });
+    };
+
+    it('should fail denied domains without capturing', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://www.denied.example.com',
+        requestId: 'test-123',
+      });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorMessage: 'Domain is not allowed: domain denied.example.com is denied',
+          errorCode: 'DOMAIN_DENIED',
+        }),
+        unclaimedWrite
+      );
+    });
+
+    it('should apply domain capture defaults', async () => {
+      mockSuccessfulCapture();
+
+      await handleMessage(
+        createMockMessage({ url: 'https://app.slow.example.com', requestId: 'test-123' })
+      );
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          timeout: 90000,
+          waitUntil: 'load',
+          userAgent: 'PolicyBot/1.0',
+        })
+      );
+    });
+
+    it('should let request parameters override domain defaults', async () => {
+      mockSuccessfulCapture();
+
+      await handleMessage(
+        createMockMessage({
+          url: 'slow.example.com',
+          waitUntil: 'networkidle2',
+          userAgent: 'CustomAgent/2.0',
+          requestId: 'test-123',
+        })
+      );
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          timeout: 90000,
+          waitUntil: 'networkidle2',
+          userAgent: 'CustomAgent/2.0',
+        })
+      );
+    });
+
+    it('should not apply domain defaults to other domains', async () => {
+      mockSuccessfulCapture();
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({ timeout: undefined, waitUntil: undefined, userAgent: undefined })
+      );
+    });
+  });
+
+  describe('Host rate limiting', () => {
+    it('should re-queue a delayed copy of the message when the host budget is exhausted', async () => {
+      const mockMessage = {
+        ...createMockMessage({ url: 'https://example.com', requestId: 'test-123' }),
+        ReceiptHandle: 'receipt-handle-1',
+      };
+      const sendSpy = jest.spyOn(sqsClient, 'send').mockResolvedValueOnce({});
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      hostRateLimiter.acquire.mockResolvedValueOnce({
+        acquired: false,
+        host: 'example.com',
+        reason: 'rate',
+        retryAfterSeconds: 42,
+      });
+
+      // Resolving deletes the original, so the deferral does not count as a receive
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(hostRateLimiter.acquire).toHaveBeenCalledWith('https://example.com');
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      expect(sendSpy.mock.calls[0][0].input).toEqual({
+        QueueUrl: config.sqs.queueUrl,
+        MessageBody: mockMessage.Body,
+        DelaySeconds: 42,
+        MessageAttributes: { DeferralCount: { DataType: 'Number', StringValue: '1' } },
+      });
+      expect(screenshotService.captureScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.claimScreenshot).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).not.toHaveBeenCalled();
+
+      sendSpy.mockRestore();
+    });
+
+    it('should count deferrals and keep the other message attributes', async () => {
+      const mockMessage = {
+        ...createMockMessage({ url: 'https://example.com', requestId: 'test-123' }),
+        MessageAttributes: {
+          DeferralCount: { DataType: 'Number', StringValue: '2' },
+          Source: { DataType: 'String', StringValue: 'api' },
+        },
+      };
+      const sendSpy = jest.spyOn(sqsClient, 'send').mockResolvedValueOnce({});
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      hostRateLimiter.acquire.mockResolvedValueOnce({
+        acquired: false,
+        host: 'example.com',
+        reason: 'concurrency',
+        retryAfterSeconds: 3600,
+      });
+
+      await handleMessage(mockMessage);
+
+      const { input } = sendSpy.mock.calls[0][0];
+      // SQS delays messages by at most 15 minutes
+      expect(input.DelaySeconds).toBe(900);
+      expect(input.MessageAttributes).toEqual({
+        DeferralCount: { DataType: 'Number', StringValue: '3' },
+        Source: { DataType: 'String', StringValue: 'api' },
+      });
+
+      sendSpy.mockRestore();
+    });
+
+    it('should hand the job to SQS once the message was deferred too often', async () => {
+      const sendSpy = jest.spyOn(sqsClient, 'send');
+      const mockMessage = {
+        ...createMockMessage({ url: 'https://example.com', requestId: 'test-123' }),
+        MessageAttributes: {
+          DeferralCount: { DataType: 'Number', StringValue: String(config.sqs.maxDeferrals) },
+        },
+      };
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // failed
+      hostRateLimiter.acquire.mockResolvedValueOnce({
+        acquired: false,
+        host: 'example.com',
+        reason: 'rate',
+        retryAfterSeconds: 42,
+      });
+
+      // Re-thrown so the message ends up in the DLQ after maxReceiveCount deliveries
+      await expect(handleMessage(mockMessage)).rejects.toThrow(
+        `Job was deferred more than ${config.sqs.maxDeferrals} times`
+      );
+
+      expect(sendSpy).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'DEFERRAL_LIMIT_EXCEEDED' }),
+        unclaimedWrite
+      );
+
+      sendSpy.mockRestore();
+    });
+
+    it('should keep the message for a retry when it cannot be deferred', async () => {
+      const sendSpy = jest
+        .spyOn(sqsClient, 'send')
+        .mockRejectedValueOnce(new Error('Service unavailable'));
+
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      hostRateLimiter.acquire.mockResolvedValueOnce({
+        acquired: false,
+        host: 'example.com',
+        reason: 'rate',
+        retryAfterSeconds: 42,
+      });
+
+      await expect(
+        handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }))
+      ).rejects.toThrow('Service unavailable');
+
+      sendSpy.mockRestore();
+    });
+
+    it('should release the host slot once the page is captured', async () => {
+      const lease = { acquired: true, host: 'example.com', slotId: 'slot#example.com#0' };
+      hostRateLimiter.acquire.mockResolvedValueOnce(lease);
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.uploadFile.mockImplementationOnce(async () => {
+        expect(hostRateLimiter.release).toHaveBeenCalledWith(lease);
+        return { success: true, key: 'screenshots/test.png' };
+      });
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      expect(s3Service.uploadFile).toHaveBeenCalled();
+    });
+
+    it('should release the host slot when the capture fails', async () => {
+      const lease = { acquired: true, host: 'example.com', slotId: 'slot#example.com#0' };
+      hostRateLimiter.acquire.mockResolvedValueOnce(lease);
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockRejectedValueOnce(
+        new Error('Selector not found: #missing')
+      );
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      expect(hostRateLimiter.release).toHaveBeenCalledWith(lease);
+    });
+  });
+
+  describe('Retries', () => {
+    const mockProcessingRecord = () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({
+        id: 'test-123',
+        status: 'processing',
+      });
+    };
+
+    it('should retry a transient capture failure and succeed', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+
+      const timeoutError = new Error('Navigation timeout of 30000 ms exceeded');
+      timeoutError.name = 'TimeoutError';
+
+      mockProcessingRecord();
+      screenshotService.captureScreenshot
+        .mockRejectedValueOnce(timeoutError)
+        .mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockResolvedValueOnce({
+        url: 'https://s3.amazonaws.com/bucket/screenshot.png',
+        key: 'screenshots/test.png',
+      });
+
+      await handleMessage(mockMessage);
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(2);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'success',
+        expect.objectContaining({ s3Key: 'screenshots/test.png' }),
+        claimedWrite
+      );
+    });
+
+    it('should fail a DNS failure immediately without retrying', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://does-not-exist.invalid',
+        requestId: 'test-123',
+      });
+
+      mockProcessingRecord();
+      screenshotService.captureScreenshot.mockRejectedValue(
+        new Error('net::ERR_NAME_NOT_RESOLVED at https://does-not-exist.invalid')
+      );
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'DNS_FAILURE' }),
+        claimedWrite
+      );
+    });
+
+    it('should hand an S3 upload denied by IAM back to SQS', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+
+      const accessDenied = new Error('Access Denied');
+      accessDenied.name = 'AccessDenied';
+      accessDenied.$fault = 'client';
+      accessDenied.$metadata = { httpStatusCode: 403 };
+
+      mockProcessingRecord();
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockRejectedValue(accessDenied);
+
+      await expect(handleMessage(mockMessage)).rejects.toThrow('Access Denied');
+
+      expect(s3Service.uploadFile).toHaveBeenCalledTimes(3);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorMessage: 'Access Denied', errorCode: 'S3_ERROR' }),
+        claimedWrite
+      );
+    });
+
+    it('should fail an invalid S3 upload immediately without retrying', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com',
+        requestId: 'test-123',
+      });
+
+      const tooLarge = new Error('Your proposed upload exceeds the maximum allowed size');
+      tooLarge.name = 'EntityTooLarge';
+      tooLarge.$fault = 'client';
+      tooLarge.$metadata = { httpStatusCode: 400 };
+
+      mockProcessingRecord();
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
+      s3Service.uploadFile.mockRejectedValue(tooLarge);
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(s3Service.uploadFile).toHaveBeenCalledTimes(1);
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'S3_ERROR' }),
+        claimedWrite
+      );
+    });
+
+    it('should record the HTTP response of a page that failed the status policy', async () => {
+      const mockMessage = createMockMessage({
+        url: 'https://example.com/missing',
+        failOnHttpError: true,
+        requestId: 'test-123',
+      });
+
+      const httpError = new Error('Page responded with HTTP 404: https://example.com/missing');
+      httpError.name = 'HttpError';
+      httpError.statusCode = 404;
+
+      mockProcessingRecord();
+      screenshotService.captureScreenshot.mockImplementation(async ({ onNavigation }) => {
+        onNavigation({
+          statusCode: 404,
+          finalUrl: 'https://example.com/missing',
+          redirectChain: [],
+        });
+        throw httpError;
+      });
+
+      await expect(handleMessage(mockMessage)).resolves.toBeUndefined();
+
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledWith(
+        expect.objectContaining({ failOnHttpError: true })
+      );
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenLastCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({
+          errorCode: 'HTTP_CLIENT_ERROR',
+          httpStatusCode: 404,
+          finalUrl: 'https://example.com/missing',
+          redirectChain: [],
+        }),
+        claimedWrite
+      );
+    });
+
+    it('should re-throw a malformed message so it reaches the DLQ', async () => {
+      await expect(
+        handleMessage({ MessageId: 'test-message-id', Body: '{not json' })
+      ).rejects.toThrow(SyntaxError);
+
+      expect(dynamodbService.updateScreenshotStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Job deadline', () => {
+    const { jobDeadlineMs } = config.screenshot;
+
+    afterEach(() => {
+      config.screenshot.jobDeadlineMs = jobDeadlineMs;
+    });
+
+    it('should abort the capture once the deadline passes and not retry it in-process', async () => {
+      config.screenshot.jobDeadlineMs = 20;
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      // Like ScreenshotService, fail with the signal's reason once aborted
+      screenshotService.captureScreenshot.mockImplementation(
+        ({ signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          })
+      );
+
+      const error = await handleMessage(
+        createMockMessage({ url: 'https://example.com', requestId: 'test-123' })
+      ).catch((handleError) => handleError);
+
+      expect(error.name).toBe('JobDeadlineExceededError');
+      expect(error.message).toBe('Job exceeded its deadline of 20ms');
+      expect(screenshotService.captureScreenshot).toHaveBeenCalledTimes(1);
+      expect(s3Service.uploadFile).not.toHaveBeenCalled();
+      expect(dynamodbService.updateScreenshotStatus).toHaveBeenCalledWith(
+        'test-123',
+        'failed',
+        expect.objectContaining({ errorCode: 'DEADLINE_EXCEEDED' }),
+        claimedWrite
+      );
+    });
+
+    it('should pass the deadline signal to the capture', async () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.uploadFile.mockResolvedValueOnce({ success: true, key: 'screenshots/test.png' });
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      const { signal } = screenshotService.captureScreenshot.mock.calls[0][0];
+      expect(signal.aborted).toBe(false);
+    });
+  });
+
+  describe('Attempt history', () => {
+    it('should record a successful attempt with its phases', async () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'failed' });
+      // One earlier attempt is on record
+      dynamodbService.claimScreenshot.mockResolvedValueOnce({
+        claimed: true,
+        item: { id: 'test-123', attempts: [{ attempt: 1, outcome: 'failed' }] },
+      });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockImplementationOnce(async ({ onNavigation }) => {
+        onNavigation({ statusCode: 200, finalUrl: 'https://example.com/', redirectChain: [] });
+        return Buffer.from('screenshot data');
+      });
+      s3Service.uploadFile.mockResolvedValueOnce({ url: 'https://s3/x.png', key: 'x.png' });
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      expect(dynamodbService.recordAttempt).toHaveBeenCalledTimes(1);
+      const [screenshotId, attempt] = dynamodbService.recordAttempt.mock.calls[0];
+      expect(screenshotId).toBe('test-123');
+      expect(attempt).toEqual({
+        attempt: 2,
+        workerId: config.worker.id,
+        startedAt: expect.any(String),
+        endedAt: expect.any(String),
+        durationMs: expect.any(Number),
+        phaseDurationsMs: {
+          navigate: expect.any(Number),
+          capture: expect.any(Number),
+          upload: expect.any(Number),
+        },
+        outcome: 'success',
+      });
+    });
+
+    it('should record the error of a failed attempt', async () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      screenshotService.captureScreenshot.mockRejectedValue(
+        new Error('net::ERR_NAME_NOT_RESOLVED at https://example.com')
+      );
+
+      await handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }));
+
+      expect(dynamodbService.recordAttempt).toHaveBeenCalledWith(
+        'test-123',
+        expect.objectContaining({
+          attempt: 1,
+          outcome: 'failed',
+          errorCode: 'DNS_FAILURE',
+          errorMessage: 'net::ERR_NAME_NOT_RESOLVED at https://example.com',
+          phaseDurationsMs: { navigate: expect.any(Number) },
+        })
+      );
+    });
+
+    it('should not record skipped or deferred messages', async () => {
+      dynamodbService.getScreenshot.mockResolvedValue({ id: 'test-123', status: 'processing' });
+      dynamodbService.claimScreenshot.mockResolvedValueOnce({ claimed: false });
+      hostRateLimiter.acquire
+        .mockResolvedValueOnce({ acquired: true, host: 'example.com' })
+        .mockResolvedValueOnce({ acquired: false, host: 'example.com', retryAfterSeconds: 30 });
+      jest.spyOn(sqsClient, 'send').mockResolvedValueOnce({});
+      const message = createMockMessage({ url: 'https://example.com', requestId: 'test-123' });
+
+      await handleMessage(message);
+      await handleMessage({ ...message, ReceiptHandle: 'receipt-handle' });
+
+      expect(dynamodbService.recordAttempt).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the job when the attempt cannot be recorded', async () => {
+      dynamodbService.getScreenshot.mockResolvedValueOnce({ id: 'test-123', status: 'processing' });
+      dynamodbService.updateScreenshotStatus.mockResolvedValue({ success: true });
+      dynamodbService.recordAttempt.mockRejectedValueOnce(new Error('DynamoDB error'));
+      screenshotService.captureScreenshot.mockResolvedValueOnce(Buffer.from('screenshot data'));
+      s3Service.uploadFile.mockResolvedValueOnce({ url: 'https://s3/x.png', key: 'x.png' });
+
+      await expect(
+        handleMessage(createMockMessage({ url: 'https://example.com', requestId: 'test-123' }))
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('createConsumer', () => {
+    it('should extend message visibility with a heartbeat', () => {
+      const mockConsumer = { on: jest.fn() };
+      const createSpy = jest.spyOn(Consumer, 'create').mockReturnValueOnce(mockConsumer);
+
+      expect(createConsumer()).toBe(mockConsumer);
+      expect(createSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          visibilityTimeout: config.sqs.visibilityTimeout,
+          heartbeatInterval: config.sqs.heartbeatInterval,
+          messageAttributeNames: ['All'],
+        })
+      );
+
+      createSpy.mockRestore();
     });
   });
 
@@ -329,7 +1496,6 @@ describe('SQS Consumer - handleMessage', () => {
       // Setup mocks
       dynamodbService.getScreenshot.mockResolvedValueOnce(null); // Not found, will use fallback
       dynamodbService.saveScreenshotResult.mockResolvedValueOnce({ success: true }); // Fallback create
-      dynamodbService.updateScreenshotStatus.mockResolvedValueOnce({ success: true }); // consumerProcessing
       screenshotService.captureScreenshot.mockResolvedValueOnce(mockScreenshot);
       s3Service.generateScreenshotKey.mockReturnValueOnce('screenshots/test.png');
       s3Service.uploadFile.mockResolvedValueOnce(mockS3Result);
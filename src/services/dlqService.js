@@ -0,0 +1,174 @@
+const {
+  ReceiveMessageCommand,
+  SendMessageCommand,
+  DeleteMessageCommand,
+} = require('@aws-sdk/client-sqs');
+const { sqsClient } = require('../config/aws');
+const config = require('../config');
+const dynamodbService = require('./dynamodbService');
+const logger = require('../utils/logger');
+
+// SQS returns at most 10 messages per receive
+const RECEIVE_BATCH_SIZE = 10;
+
+// Received messages stay hidden this long, redrive must finish within it
+const DEFAULT_VISIBILITY_TIMEOUT = 60;
+
+// Set by the consumer on deferred copies, see sqsConsumer.deferMessage
+const DEFERRAL_COUNT_ATTRIBUTE = 'DeferralCount';
+
+/**
+ * Inspection and redrive of the dead-letter queue
+ *
+ * Messages end up in the DLQ after maxReceiveCount failed deliveries, while their
+ * DynamoDB record stays 'failed' (or 'consumerProcessing' if the worker died).
+ * Listing receives the messages, so they are hidden from other readers of the DLQ
+ * until the visibility timeout passes; nothing is deleted unless redriven.
+ */
+class DLQService {
+  constructor() {
+    this.dlqUrl = config.sqs.dlqUrl;
+    this.queueUrl = config.sqs.queueUrl;
+  }
+
+  /**
+   * Receive the messages in the DLQ, joined with their DynamoDB records
+   * @param {Object} options - List options
+   * @param {number} options.maxMessages - Stop after this many messages
+   * @param {number} options.visibilityTimeout - Seconds the received messages stay hidden
+   * @returns {Promise<Array>} Messages (see describeMessage)
+   */
+  async listMessages({ maxMessages = 100, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT } = {}) {
+    if (!this.dlqUrl) {
+      throw new Error('SQS_DLQ_URL is not configured');
+    }
+
+    const messages = [];
+    while (messages.length < maxMessages) {
+      const response = await sqsClient.send(
+        new ReceiveMessageCommand({
+          QueueUrl: this.dlqUrl,
+          MaxNumberOfMessages: Math.min(RECEIVE_BATCH_SIZE, maxMessages - messages.length),
+          VisibilityTimeout: visibilityTimeout,
+          WaitTimeSeconds: 0,
+          AttributeNames: ['All'],
+          MessageAttributeNames: ['All'],
+        })
+      );
+
+      // Received messages stay hidden, so an empty answer means the queue has been read
+      if (!response.Messages || response.Messages.length === 0) {
+        break;
+      }
+
+      for (const message of response.Messages) {
+        messages.push(await this.describeMessage(message));
+      }
+    }
+
+    logger.info({ dlqUrl: this.dlqUrl, count: messages.length }, 'Listed DLQ messages');
+    return messages;
+  }
+
+  /**
+   * Parse a DLQ message and look up its DynamoDB record
+   * @param {Object} message - SQS message
+   * @returns {Promise<Object>} { messageId, receiptHandle, receiveCount, sentAt, messageAttributes, body, requestId, record }
+   */
+  async describeMessage(message) {
+    let body = null;
+    try {
+      body = JSON.parse(message.Body);
+    } catch {
+      // Unparseable bodies are listed as they are, they cannot be redriven
+    }
+
+    const requestId = (body && body.requestId) || null;
+    const attributes = message.Attributes || {};
+
+    return {
+      messageId: message.MessageId,
+      receiptHandle: message.ReceiptHandle,
+      receiveCount: parseInt(attributes.ApproximateReceiveCount || '0', 10),
+      sentAt: attributes.SentTimestamp
+        ? new Date(parseInt(attributes.SentTimestamp, 10)).toISOString()
+        : null,
+      messageAttributes: message.MessageAttributes,
+      body: body || message.Body,
+      requestId,
+      record: requestId ? await dynamodbService.getScreenshot(requestId) : null,
+    };
+  }
+
+  /**
+   * Move DLQ messages back to the main queue
+   * The record is reset to 'processing' first, so the job looks queued again and
+   * the consumer claims it as usual. Messages without a requestId and jobs that
+   * have succeeded in the meantime are skipped.
+   * @param {Array} messages - Messages from listMessages
+   * @returns {Promise<Array>} [{ messageId, requestId, redriven, reason }]
+   */
+  async redriveMessages(messages) {
+    const results = [];
+
+    for (const message of messages) {
+      const { messageId, requestId, record } = message;
+
+      if (!requestId) {
+        results.push({ messageId, requestId, redriven: false, reason: 'no requestId in body' });
+        continue;
+      }
+      if (record && record.status === 'success') {
+        results.push({ messageId, requestId, redriven: false, reason: 'already successful' });
+        continue;
+      }
+
+      try {
+        await this.redriveMessage(message);
+        results.push({ messageId, requestId, redriven: true });
+      } catch (error) {
+        logger.error({ err: error, messageId, requestId }, 'Failed to redrive DLQ message');
+        results.push({ messageId, requestId, redriven: false, reason: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Reset the record of one message and move the message to the main queue
+   * @param {Object} message - Message from listMessages
+   */
+  async redriveMessage({ messageId, receiptHandle, messageAttributes, body, requestId, record }) {
+    // A missing record is recreated by the consumer, a queued one needs no reset
+    if (record && record.status !== 'processing') {
+      await dynamodbService.updateScreenshotStatus(requestId, 'processing', {
+        errorMessage: null,
+        errorCode: null,
+      });
+    }
+
+    // A redriven job starts with a fresh deferral budget
+    const attributes = { ...messageAttributes };
+    delete attributes[DEFERRAL_COUNT_ATTRIBUTE];
+
+    await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: this.queueUrl,
+        MessageBody: JSON.stringify(body),
+        MessageAttributes: Object.keys(attributes).length > 0 ? attributes : undefined,
+      })
+    );
+
+    await sqsClient.send(
+      new DeleteMessageCommand({
+        QueueUrl: this.dlqUrl,
+        ReceiptHandle: receiptHandle,
+      })
+    );
+
+    logger.info({ messageId, requestId }, 'Redrove DLQ message to the main queue');
+  }
+}
+
+module.exports = new DLQService();
@@ -3,6 +3,27 @@ const { dynamoDBDocClient } = require('../config/aws');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// Statuses a screenshot record may move to from each status (see docs/STATUS_FLOW.md)
+// Claims of expired leases (consumerProcessing -> consumerProcessing) go through claimScreenshot.
+// failed -> processing is a redrive from the dead-letter queue (see dlqService).
+const STATUS_TRANSITIONS = {
+  processing: ['consumerProcessing', 'failed'],
+  consumerProcessing: ['success', 'failed', 'processing'],
+  failed: ['consumerProcessing', 'failed', 'processing'],
+  success: [],
+};
+
+/**
+ * Create the error raised for a status change the record does not allow
+ * @param {string} message - Error message
+ * @returns {Error} Error named InvalidStatusTransitionError
+ */
+function createInvalidStatusTransitionError(message) {
+  const error = new Error(message);
+  error.name = 'InvalidStatusTransitionError';
+  return error;
+}
+
 class DynamoDBService {
   /**
    * Save screenshot result to DynamoDB
@@ -21,6 +42,7 @@ class DynamoDBService {
       width,
       height,
       format,
+      pdf,
       errorMessage = null,
     } = data;
 
@@ -37,6 +59,7 @@ class DynamoDBService {
       width,
       height,
       format,
+      pdf,
       errorMessage,
       createdAt: timestamp,
       updatedAt: timestamp,
@@ -144,17 +167,25 @@ class DynamoDBService {
   }
 
   /**
-   * Update screenshot status
+   * Claim a screenshot job for one worker
+   * A single conditional write moves the record to 'consumerProcessing', so of several
+   * workers holding the same message exactly one wins. The record can be claimed while
+   * 'processing' or 'failed', or while 'consumerProcessing' once the lease has expired.
    * @param {string} screenshotId - Screenshot ID
-   * @param {string} status - New status
-   * @param {Object} updates - Additional updates
-   * @returns {Promise<Object>} Update result
+   * @param {Object} options - Claim options
+   * @param {string} options.workerId - ID of the claiming worker
+   * @param {number} options.leaseMs - How long the claim holds in milliseconds
+   * @returns {Promise<Object>} { claimed: true, item } or { claimed: false }
    */
-  async updateScreenshotStatus(screenshotId, status, updates = {}) {
-    try {
-      logger.info(`Updating screenshot status: ${screenshotId} -> ${status}`);
+  async claimScreenshot(screenshotId, { workerId, leaseMs }) {
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const leaseExpiresAt = new Date(now.getTime() + leaseMs).toISOString();
+    // Records claimed before leases were recorded expire one lease after their last update
+    const staleBefore = new Date(now.getTime() - leaseMs).toISOString();
 
-      const timestamp = new Date().toISOString();
+    try {
+      logger.info({ screenshotId, workerId, leaseExpiresAt }, 'Claiming screenshot job');
 
       const command = new UpdateCommand({
         TableName: config.dynamodb.tableName,
@@ -162,33 +193,230 @@ class DynamoDBService {
           id: screenshotId,
         },
         UpdateExpression:
-          'SET #status = :status, updatedAt = :updatedAt, #s3Url = :s3Url, #s3Key = :s3Key, #errorMessage = :errorMessage',
+          'SET #status = :consumerProcessing, workerId = :workerId, leaseExpiresAt = :leaseExpiresAt, ' +
+          'updatedAt = :updatedAt, #errorMessage = :null, #errorCode = :null, ' +
+          'statusHistory = list_append(if_not_exists(statusHistory, :emptyList), :statusHistory)',
+        ConditionExpression:
+          'attribute_exists(id) AND (#status IN (:processing, :failed) OR (#status = :consumerProcessing AND ' +
+          '(leaseExpiresAt < :now OR (attribute_not_exists(leaseExpiresAt) AND updatedAt < :staleBefore))))',
         ExpressionAttributeNames: {
           '#status': 'status',
-          '#s3Url': 's3Url',
-          '#s3Key': 's3Key',
           '#errorMessage': 'errorMessage',
+          '#errorCode': 'errorCode',
         },
         ExpressionAttributeValues: {
-          ':status': status,
+          ':consumerProcessing': 'consumerProcessing',
+          ':processing': 'processing',
+          ':failed': 'failed',
+          ':workerId': workerId,
+          ':leaseExpiresAt': leaseExpiresAt,
           ':updatedAt': timestamp,
-          ':s3Url': updates.s3Url || null,
-          ':s3Key': updates.s3Key || null,
-          ':errorMessage': updates.errorMessage || null,
+          ':now': timestamp,
+          ':staleBefore': staleBefore,
+          ':null': null,
+          ':emptyList': [],
+          ':statusHistory': [{ status: 'consumerProcessing', at: timestamp, workerId }],
         },
         ReturnValues: 'ALL_NEW',
       });
 
       const response = await dynamoDBDocClient.send(command);
 
-      logger.info(`Screenshot status updated successfully: ${screenshotId}`);
+      return {
+        claimed: true,
+        item: response.Attributes,
+      };
+    } catch (error) {
+      // Claimed by another worker, already successful or missing
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.debug({ screenshotId, workerId }, 'Screenshot job could not be claimed');
+        return { claimed: false };
+      }
+
+      logger.error({ err: error, screenshotId }, 'Error claiming screenshot job');
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of a screenshot record
+   * Only the given fields are written: undefined fields are left untouched, null
+   * is stored as null. updatedAt is always refreshed.
+   * @param {string} screenshotId - Screenshot ID
+   * @param {Object} fields - Fields to write
+   * @param {Object} options - Update options
+   * @param {string|Array<string>} options.expectedStatus - Only update if the current status is one of these
+   * @param {string} options.workerId - Only update if the record is claimed by this worker
+   * @param {Object} options.append - Items to append to list fields, by field name
+   * @returns {Promise<Object>} Update result
+   */
+  async updateScreenshot(screenshotId, fields, options = {}) {
+    const names = Object.keys(fields).filter((name) => fields[name] !== undefined);
+    if (names.includes('id')) {
+      throw new Error('The id of a screenshot record cannot be updated');
+    }
+
+    const expectedStatus =
+      options.expectedStatus === undefined ? null : [].concat(options.expectedStatus);
+    const { workerId } = options;
+
+    const expressionAttributeNames = { '#updatedAt': 'updatedAt' };
+    const expressionAttributeValues = { ':updatedAt': new Date().toISOString() };
+    const updateExpressions = ['#updatedAt = :updatedAt'];
+
+    names.forEach((name) => {
+      updateExpressions.push(`#${name} = :${name}`);
+      expressionAttributeNames[`#${name}`] = name;
+      expressionAttributeValues[`:${name}`] = fields[name];
+    });
+
+    Object.entries(options.append || {}).forEach(([name, items]) => {
+      updateExpressions.push(
+        `#${name} = list_append(if_not_exists(#${name}, :emptyList), :${name})`
+      );
+      expressionAttributeNames[`#${name}`] = name;
+      expressionAttributeValues[`:${name}`] = items;
+      expressionAttributeValues[':emptyList'] = [];
+    });
+
+    const commandParams = {
+      TableName: config.dynamodb.tableName,
+      Key: {
+        id: screenshotId,
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW',
+    };
+
+    // Also fails for missing records, so an update never creates a partial one
+    const conditions = [];
+    if (expectedStatus) {
+      const placeholders = expectedStatus.map((status, index) => `:expectedStatus${index}`);
+      expectedStatus.forEach((status, index) => {
+        expressionAttributeValues[placeholders[index]] = status;
+      });
+      expressionAttributeNames['#status'] = 'status';
+      conditions.push(`#status IN (${placeholders.join(', ')})`);
+    }
+
+    // A worker whose lease expired must not overwrite the job of the worker that took over
+    if (workerId) {
+      expressionAttributeNames['#workerId'] = 'workerId';
+      expressionAttributeValues[':workerId'] = workerId;
+      conditions.push('#workerId = :workerId');
+    }
+
+    if (conditions.length > 0) {
+      commandParams.ConditionExpression = conditions.join(' AND ');
+    }
+
+    try {
+      const response = await dynamoDBDocClient.send(new UpdateCommand(commandParams));
 
       return {
         success: true,
         item: response.Attributes,
       };
     } catch (error) {
-      logger.error('Error updating screenshot status:', error);
+      if (error.name === 'ConditionalCheckFailedException') {
+        logger.warn(
+          { screenshotId, expectedStatus, workerId, fields: names },
+          'Screenshot record is not in the expected status, not updated'
+        );
+        const expected = [
+          expectedStatus && expectedStatus.join(' or '),
+          workerId && `claimed by ${workerId}`,
+        ].filter(Boolean);
+        throw createInvalidStatusTransitionError(
+          `Screenshot ${screenshotId} is not ${expected.join(' and ')}`
+        );
+      }
+
+      logger.error({ err: error, screenshotId, fields: names }, 'Error updating screenshot');
+      throw error;
+    }
+  }
+
+  /**
+   * Update screenshot status
+   * The transition must be allowed by STATUS_TRANSITIONS: the record is only updated
+   * if its current status may move to the new one (or is one of expectedStatus).
+   * The new status is appended to the record's statusHistory.
+   * @param {string} screenshotId - Screenshot ID
+   * @param {string} status - New status
+   * @param {Object} updates - Additional fields to write (see updateScreenshot)
+   * @param {Object} options - Update options
+   * @param {string|Array<string>} options.expectedStatus - Narrow the statuses the record may be in
+   * @param {string} options.workerId - Only update if the record is claimed by this worker
+   * @returns {Promise<Object>} Update result
+   */
+  async updateScreenshotStatus(screenshotId, status, updates = {}, options = {}) {
+    if (!STATUS_TRANSITIONS[status]) {
+      throw createInvalidStatusTransitionError(`Unknown screenshot status: ${status}`);
+    }
+
+    const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter((from) =>
+      STATUS_TRANSITIONS[from].includes(status)
+    );
+    const expectedStatus =
+      options.expectedStatus === undefined ? allowedFrom : [].concat(options.expectedStatus);
+
+    const invalidFrom = expectedStatus.find((from) => !allowedFrom.includes(from));
+    if (invalidFrom) {
+      throw createInvalidStatusTransitionError(
+        `Screenshot status cannot change from ${invalidFrom} to ${status}`
+      );
+    }
+
+    logger.info(`Updating screenshot status: ${screenshotId} -> ${status}`);
+
+    const result = await this.updateScreenshot(
+      screenshotId,
+      { ...updates, status },
+      {
+        expectedStatus,
+        workerId: options.workerId,
+        append: { statusHistory: [{ status, at: new Date().toISOString() }] },
+      }
+    );
+
+    logger.info(`Screenshot status updated successfully: ${screenshotId}`);
+
+    return result;
+  }
+
+  /**
+   * Append an attempt to the attempt history of a screenshot record
+   * updatedAt is left alone, it marks the last status change.
+   * @param {string} screenshotId - Screenshot ID
+   * @param {Object} attempt - { attempt, workerId, startedAt, endedAt, durationMs, phaseDurationsMs, outcome, errorCode, errorMessage }
+   * @returns {Promise<Object>} Update result
+   */
+  async recordAttempt(screenshotId, attempt) {
+    try {
+      logger.debug({ screenshotId, attempt: attempt.attempt }, 'Recording screenshot attempt');
+
+      const command = new UpdateCommand({
+        TableName: config.dynamodb.tableName,
+        Key: {
+          id: screenshotId,
+        },
+        UpdateExpression:
+          'SET attempts = list_append(if_not_exists(attempts, :emptyList), :attempts)',
+        ConditionExpression: 'attribute_exists(id)',
+        ExpressionAttributeValues: {
+          ':emptyList': [],
+          ':attempts': [attempt],
+        },
+      });
+
+      await dynamoDBDocClient.send(command);
+
+      return { success: true };
+    } catch (error) {
+      logger.error({ err: error, screenshotId }, 'Error recording screenshot attempt');
       throw error;
     }
   }
@@ -0,0 +1,263 @@
+const { randomUUID } = require('crypto');
+const { URL } = require('url');
+const { UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDBDocClient } = require('../config/aws');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Length of a rate limit window
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Random delay added to deferrals so deferred messages do not all come back at once
+const DEFER_JITTER_SECONDS = 5;
+
+// Time a concurrency slot is held beyond the job deadline, covers closing the page
+const SLOT_LEASE_MARGIN_MS = 60 * 1000;
+
+/**
+ * Per-host rate limiting and concurrency shared by all workers.
+ *
+ * State lives in its own DynamoDB table (key "id", TTL on "expiresAt"):
+ * - "slot#<host>#<n>": one item per concurrency slot, held by a lease that
+ *   expires a minute after the job deadline (a capture never runs longer), so
+ *   slots of crashed workers free up
+ * - "rate#<host>#<windowStart>": number of captures started in a one-minute window
+ */
+class HostRateLimiter {
+  constructor() {
+    this.tableName = config.dynamodb.rateLimitTableName;
+    this.requestsPerMinute = config.hostRateLimit.requestsPerMinute;
+    this.maxConcurrency = config.hostRateLimit.maxConcurrency;
+    this.deferSeconds = config.hostRateLimit.deferSeconds;
+    // Without a job deadline, the worker lease bounds how long a job is ours
+    this.leaseMs =
+      (config.screenshot.jobDeadlineMs || config.worker.leaseMs) + SLOT_LEASE_MARGIN_MS;
+  }
+
+  /**
+   * Check if any per-host limit is configured
+   * @returns {boolean} True if limits are enforced
+   */
+  isEnabled() {
+    return this.requestsPerMinute > 0 || this.maxConcurrency > 0;
+  }
+
+  /**
+   * Get the host a target URL counts against
+   * @param {string} rawUrl - Target URL (https:// is assumed if the scheme is missing)
+   * @returns {string|null} Lowercase hostname, or null for invalid URLs
+   */
+  getHost(rawUrl) {
+    try {
+      return new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`).hostname
+        .replace(/\.$/, '')
+        .toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take a concurrency slot and a rate token for the host of a URL
+   * @param {string} url - Target URL
+   * @returns {Promise<Object>} { acquired, host, slotId, leaseId, rateKey } or { acquired: false, host, reason, retryAfterSeconds }
+   */
+  async acquire(url) {
+    const host = this.getHost(url);
+    if (!this.isEnabled() || !host) {
+      return { acquired: true, host };
+    }
+
+    const now = Date.now();
+    const leaseId = randomUUID();
+    let slotId = null;
+    let rateKey = null;
+
+    if (this.maxConcurrency > 0) {
+      slotId = await this.acquireSlot(host, leaseId, now);
+      if (!slotId) {
+        return this.deny(host, 'concurrency', this.deferSeconds);
+      }
+    }
+
+    if (this.requestsPerMinute > 0) {
+      const retryAfterSeconds = await this.takeRateToken(host, now);
+      if (retryAfterSeconds !== null) {
+        await this.release({ acquired: true, host, slotId, leaseId });
+        return this.deny(host, 'rate', retryAfterSeconds);
+      }
+      rateKey = getRateKey(host, now);
+    }
+
+    return { acquired: true, host, slotId, leaseId, rateKey };
+  }
+
+  /**
+   * Give back the concurrency slot of a lease
+   * Failures are logged only, the lease expires on its own.
+   * @param {Object} lease - Result of acquire
+   */
+  async release(lease) {
+    if (!lease || !lease.slotId) {
+      return;
+    }
+
+    try {
+      await dynamoDBDocClient.send(
+        new DeleteCommand({
+          TableName: this.tableName,
+          Key: { id: lease.slotId },
+          ConditionExpression: 'leaseId = :leaseId',
+          ExpressionAttributeValues: { ':leaseId': lease.leaseId },
+        })
+      );
+    } catch (error) {
+      // The lease expired and another worker took the slot
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      logger.warn(
+        { err: error, host: lease.host, slotId: lease.slotId },
+        'Failed to release host concurrency slot'
+      );
+    }
+  }
+
+  /**
+   * Give back the concurrency slot and the rate token of a lease that was not used,
+   * because the job was claimed by another worker
+   * Failures are logged only, the token then counts until its window ends.
+   * @param {Object} lease - Result of acquire
+   */
+  async cancel(lease) {
+    await this.release(lease);
+    if (!lease || !lease.rateKey) {
+      return;
+    }
+
+    try {
+      await dynamoDBDocClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { id: lease.rateKey },
+          UpdateExpression: 'ADD requestCount :minusOne',
+          // The window may have expired and been deleted in the meantime
+          ConditionExpression: 'requestCount > :zero',
+          ExpressionAttributeValues: { ':minusOne': -1, ':zero': 0 },
+        })
+      );
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return;
+      }
+      logger.warn({ err: error, host: lease.host }, 'Failed to return host rate token');
+    }
+  }
+
+  /**
+   * Take the first free (or expired) concurrency slot of a host
+   * Slots are tried from a random offset to spread contention between workers.
+   * @param {string} host - Hostname
+   * @param {string} leaseId - ID of the new lease
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<string|null>} Slot item ID, or null if all slots are taken
+   */
+  async acquireSlot(host, leaseId, now) {
+    const offset = Math.floor(Math.random() * this.maxConcurrency);
+    const leaseExpiresAt = now + this.leaseMs;
+
+    for (let i = 0; i < this.maxConcurrency; i++) {
+      const slotId = `slot#${host}#${(offset + i) % this.maxConcurrency}`;
+      try {
+        await dynamoDBDocClient.send(
+          new UpdateCommand({
+            TableName: this.tableName,
+            Key: { id: slotId },
+            UpdateExpression:
+              'SET leaseId = :leaseId, leaseExpiresAt = :leaseExpiresAt, expiresAt = :expiresAt',
+            ConditionExpression: 'attribute_not_exists(leaseExpiresAt) OR leaseExpiresAt < :now',
+            ExpressionAttributeValues: {
+              ':leaseId': leaseId,
+              ':leaseExpiresAt': leaseExpiresAt,
+              ':expiresAt': Math.ceil(leaseExpiresAt / 1000),
+              ':now': now,
+            },
+          })
+        );
+        return slotId;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a capture against the current rate window of a host
+   * @param {string} host - Hostname
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<number|null>} null if within budget, otherwise seconds until the window ends
+   */
+  async takeRateToken(host, now) {
+    const windowEnd = getWindowStart(now) + RATE_WINDOW_MS;
+
+    try {
+      await dynamoDBDocClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { id: getRateKey(host, now) },
+          UpdateExpression: 'ADD requestCount :one SET expiresAt = :expiresAt',
+          ConditionExpression: 'attribute_not_exists(requestCount) OR requestCount < :limit',
+          ExpressionAttributeValues: {
+            ':one': 1,
+            ':limit': this.requestsPerMinute,
+            ':expiresAt': Math.ceil((windowEnd + RATE_WINDOW_MS) / 1000),
+          },
+        })
+      );
+      return null;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return Math.ceil((windowEnd - now) / 1000);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the result for an exhausted host budget
+   * @param {string} host - Hostname
+   * @param {string} reason - 'concurrency' or 'rate'
+   * @param {number} delaySeconds - Minimum delay before the next attempt
+   * @returns {Object} { acquired: false, host, reason, retryAfterSeconds }
+   */
+  deny(host, reason, delaySeconds) {
+    const retryAfterSeconds = delaySeconds + Math.floor(Math.random() * (DEFER_JITTER_SECONDS + 1));
+    logger.debug({ host, reason, retryAfterSeconds }, 'Host budget exhausted');
+    return { acquired: false, host, reason, retryAfterSeconds };
+  }
+}
+
+/**
+ * Get the start of the rate window a time falls in
+ * @param {number} now - Time in milliseconds
+ * @returns {number} Window start in milliseconds
+ */
+function getWindowStart(now) {
+  return Math.floor(now / RATE_WINDOW_MS) * RATE_WINDOW_MS;
+}
+
+/**
+ * Get the ID of the rate window item of a host
+ * @param {string} host - Hostname
+ * @param {number} now - Time in milliseconds
+ * @returns {string} Item ID
+ */
+function getRateKey(host, now) {
+  return `rate#${host}#${getWindowStart(now)}`;
+}
+
+module.exports = new HostRateLimiter();
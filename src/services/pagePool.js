@@ -0,0 +1,126 @@
+const logger = require('../utils/logger');
+
+/**
+ * Limits how many pages a worker has open at once.
+ *
+ * Callers acquire a slot before opening a page and release it after closing
+ * the page. When every slot is taken, callers wait in a FIFO queue; when the
+ * queue is full (or a caller waits longer than acquireTimeoutMs) acquire()
+ * rejects with a PagePoolExhaustedError so the job can be retried later
+ * instead of piling up in memory. A caller whose abort signal fires (job
+ * deadline) leaves the queue with the signal's reason.
+ *
+ * Pages are not reused between captures: cookies, extra headers, request
+ * interception and injected scripts are per-request state.
+ */
+class PagePool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.maxConcurrency - Maximum number of open pages
+   * @param {number} options.maxQueued - Maximum number of callers waiting for a page
+   * @param {number} options.acquireTimeoutMs - Maximum time to wait for a page
+   */
+  constructor({ maxConcurrency, maxQueued, acquireTimeoutMs }) {
+    this.maxConcurrency = Math.max(maxConcurrency, 1);
+    this.maxQueued = Math.max(maxQueued, 0);
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {AbortSignal} [signal] - Stops waiting, rejecting with the signal's reason
+   * @returns {Promise<void>} Resolves once the caller holds a slot
+   */
+  acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.waiting.length >= this.maxQueued) {
+      return Promise.reject(
+        createExhaustedError(`Page pool exhausted (${this.waiting.length} captures queued)`)
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve: null, timer: null };
+
+      // Leave the queue: once handed a slot, timed out or aborted
+      const leave = () => {
+        clearTimeout(waiter.timer);
+        this.waiting = this.waiting.filter((entry) => entry !== waiter);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        leave();
+        reject(signal.reason);
+      };
+
+      waiter.resolve = () => {
+        leave();
+        resolve();
+      };
+      waiter.timer = setTimeout(() => {
+        leave();
+        reject(
+          createExhaustedError(`Timed out after ${this.acquireTimeoutMs}ms waiting for a page`)
+        );
+      }, this.acquireTimeoutMs);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiting.push(waiter);
+      logger.debug(
+        { active: this.active, queued: this.waiting.length },
+        'Page pool full, capture queued'
+      );
+    });
+  }
+
+  /**
+   * Release a slot, handing it to the next queued caller if any
+   */
+  release() {
+    const next = this.waiting.shift();
+
+    if (next) {
+      // The slot passes straight to the next caller, active count is unchanged
+      next.resolve();
+      return;
+    }
+
+    this.active = Math.max(this.active - 1, 0);
+  }
+
+  /**
+   * Get current pool usage
+   * @returns {Object} { active, queued, maxConcurrency, maxQueued }
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrency: this.maxConcurrency,
+      maxQueued: this.maxQueued,
+    };
+  }
+}
+
+/**
+ * Create the error raised when no page can be handed out
+ * @param {string} message - Error message
+ * @returns {Error} Error named PagePoolExhaustedError
+ */
+function createExhaustedError(message) {
+  const error = new Error(message);
+  error.name = 'PagePoolExhaustedError';
+  return error;
+}
+
+module.exports = PagePool;
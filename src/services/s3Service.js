@@ -3,6 +3,14 @@ const { s3Client } = require('../config/aws');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// Content types for supported output formats
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+};
+
 class S3Service {
   /**
    * Upload file to S3
@@ -77,12 +85,27 @@ class S3Service {
    * @returns {Promise<Object>} Upload result
    */
   async uploadScreenshot(screenshot, filename, format = 'png') {
-    const contentType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    const contentType = this.getContentType(format);
     const key = `${config.s3.screenshotPrefix}${filename}`;
 
     return this.uploadFile(screenshot, key, contentType);
   }
 
+  /**
+   * Get content type for an output format
+   * @param {string} format - Output format (png/jpeg/webp/pdf)
+   * @returns {string} Content type
+   */
+  getContentType(format) {
+    const contentType = CONTENT_TYPES[format];
+
+    if (!contentType) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+
+    return contentType;
+  }
+
   /**
    * Generate S3 key for screenshot
    * @param {string} url - URL being screenshotted
@@ -99,6 +122,30 @@ class S3Service {
 
     return `${config.s3.screenshotPrefix}${timestamp}/${screenshotId}_${sanitizedUrl}.${format}`;
   }
+
+  /**
+   * Generate S3 key for one tile of a tiled screenshot
+   * @param {string} screenshotKey - S3 key of the screenshot (from generateScreenshotKey)
+   * @param {number} index - Zero-based tile index
+   * @returns {string} S3 key with a numbered tile suffix, e.g. ..._tile-001.png
+   */
+  generateTileKey(screenshotKey, index) {
+    const tileNumber = String(index + 1).padStart(3, '0');
+
+    return screenshotKey.replace(/(\.[a-z]+)?$/, `_tile-${tileNumber}$1`);
+  }
+
+  /**
+   * Generate S3 key for one viewport of a multi-viewport screenshot
+   * @param {string} screenshotKey - S3 key of the screenshot (from generateScreenshotKey)
+   * @param {string} label - Viewport label, e.g. "mobile" or "1920x1080"
+   * @returns {string} S3 key with a viewport suffix, e.g. ..._mobile.png
+   */
+  generateViewportKey(screenshotKey, label) {
+    const sanitizedLabel = label.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    return screenshotKey.replace(/(\.[a-z]+)?$/, `_${sanitizedLabel}$1`);
+  }
 }
 
 module.exports = new S3Service();
@@ -1,27 +1,95 @@
+/* global window, document, Image */
+const { URL } = require('url');
 const puppeteer = require('puppeteer');
 const config = require('../config');
 const logger = require('../utils/logger');
+const contentBlocker = require('../utils/contentBlocker');
+const PagePool = require('./pagePool');
+const { getProcessTreeRssMb } = require('../utils/processMemory');
+const urlSafety = require('../utils/urlSafety');
+const { resolveDomainPolicy, createDomainDeniedError } = require('../utils/domainPolicy');
+
+// Default PDF rendering options
+const DEFAULT_PDF_PAPER_FORMAT = 'A4';
+
+// Time to let the page settle after dismissing a cookie banner
+const CONSENT_SETTLE_MS = 500;
+
+// Network idle time to wait for after resizing the viewport of a loaded page
+const VIEWPORT_SETTLE_MS = 500;
+
+// Minimum time between memory checks of the browser process tree
+const RSS_CHECK_INTERVAL_MS = 30000;
+
+// Largest canvas dimension Chromium can encode, bounds stitched tile output
+const MAX_CANVAS_DIMENSION = 32767;
+
+// Main document statuses accepted by failOnHttpError unless the request lists its own
+const DEFAULT_ACCEPTED_STATUS_CODES = ['200-399'];
+
+// Desktop user agent used when no device preset or override is given
+const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 class ScreenshotService {
   constructor() {
     this.browser = null;
+    this.browserLaunch = null;
+    // Lifecycle of each open browser: { launchedAt, captures, activePages, rssCheckedAt, retiring, closing, crashed }
+    this.browserStates = new Map();
+    this.pagePool = new PagePool(config.screenshot.pool);
+    // Named browser contexts kept warm across jobs (least recently used first)
+    this.profiles = new Map();
+    this.urlPolicy = urlSafety.createUrlPolicy(config.urlSafety);
   }
 
   /**
    * Initialize Puppeteer browser
+   * Returns the running browser unless it is disconnected or due for recycling,
+   * in which case a new one is launched.
    */
   async initBrowser(retries = 3) {
-    if (this.browser) {
-      try {
-        // Check if browser is still connected
-        await this.browser.version();
-        return this.browser;
-      } catch {
-        logger.warn('Browser disconnected, reinitializing...');
-        this.browser = null;
+    // Concurrent callers may retire or replace the browser while this one awaits
+    const browser = this.browser;
+    if (browser) {
+      const recycleReason = await this.getRecycleReason(browser);
+
+      if (this.browser !== browser) {
+        return this.initBrowser(retries);
+      }
+
+      if (recycleReason) {
+        this.retireBrowser(browser, recycleReason);
+      } else {
+        try {
+          // Check if browser is still connected
+          await browser.version();
+        } catch {
+          if (this.browser === browser) {
+            logger.warn('Browser disconnected, reinitializing...');
+            this.browserStates.delete(browser);
+            this.browser = null;
+            this.profiles.clear();
+          }
+        }
+        return this.browser === browser ? browser : this.initBrowser(retries);
       }
     }
 
+    // Concurrent captures share a single launch
+    if (!this.browserLaunch) {
+      this.browserLaunch = this.launchBrowser(retries).finally(() => {
+        this.browserLaunch = null;
+      });
+    }
+
+    return this.browserLaunch;
+  }
+
+  /**
+   * Launch Puppeteer browser, retrying on failure
+   */
+  async launchBrowser(retries) {
     logger.info('Initializing Puppeteer browser...');
 
     const launchOptions = {
@@ -54,14 +122,26 @@ class ScreenshotService {
     let lastError;
     for (let i = 0; i < retries; i++) {
       try {
-        this.browser = await puppeteer.launch(launchOptions);
+        const browser = await puppeteer.launch(launchOptions);
         logger.info('Puppeteer browser initialized successfully');
 
         // Test the browser
-        const version = await this.browser.version();
+        const version = await browser.version();
         logger.info({ version }, 'Browser version');
 
-        return this.browser;
+        this.browserStates.set(browser, {
+          launchedAt: Date.now(),
+          captures: 0,
+          activePages: 0,
+          rssCheckedAt: Date.now(),
+          retiring: false,
+          closing: false,
+          crashed: false,
+        });
+        browser.on('disconnected', () => this.handleDisconnected(browser));
+        this.browser = browser;
+
+        return browser;
       } catch (error) {
         lastError = error;
         logger.warn(
@@ -75,79 +155,422 @@ class ScreenshotService {
     throw lastError;
   }
 
+  /**
+   * Check whether a browser should be replaced before handing out another page
+   * @param {Browser} browser - Puppeteer browser
+   * @returns {Promise<string|null>} Recycle reason (maxCaptures, maxAge, maxRss) or null
+   */
+  async getRecycleReason(browser) {
+    const state = this.browserStates.get(browser);
+    if (!state) {
+      return null;
+    }
+
+    const { maxCaptures, maxAgeMs, maxRssMb } = config.screenshot.recycle;
+
+    if (maxCaptures > 0 && state.captures >= maxCaptures) {
+      return 'maxCaptures';
+    }
+
+    if (maxAgeMs > 0 && Date.now() - state.launchedAt >= maxAgeMs) {
+      return 'maxAge';
+    }
+
+    // Measuring memory walks /proc, so only do it every RSS_CHECK_INTERVAL_MS
+    const browserProcess = browser.process();
+    if (
+      maxRssMb > 0 &&
+      browserProcess &&
+      Date.now() - state.rssCheckedAt >= RSS_CHECK_INTERVAL_MS
+    ) {
+      state.rssCheckedAt = Date.now();
+      const rssMb = await getProcessTreeRssMb(browserProcess.pid);
+
+      if (rssMb !== null) {
+        logger.debug({ rssMb, maxRssMb }, 'Browser memory usage');
+
+        if (rssMb >= maxRssMb) {
+          return 'maxRss';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop handing out pages from a browser and close it once its in-flight captures finish
+   * @param {Browser} browser - Puppeteer browser
+   * @param {string} reason - Recycle reason
+   */
+  retireBrowser(browser, reason) {
+    const state = this.browserStates.get(browser);
+    // Already retired, closed or lost
+    if (!state || state.retiring) {
+      return;
+    }
+
+    logger.info(
+      {
+        reason,
+        captures: state.captures,
+        ageMs: Date.now() - state.launchedAt,
+        activePages: state.activePages,
+      },
+      'Recycling browser'
+    );
+
+    state.retiring = true;
+    if (this.browser === browser) {
+      this.browser = null;
+      // Persistent profiles live in the old browser
+      this.profiles.clear();
+    }
+
+    if (state.activePages === 0) {
+      this.closeRetiredBrowser(browser);
+    }
+  }
+
+  /**
+   * Close a retired browser (errors are logged, not thrown)
+   * @param {Browser} browser - Puppeteer browser
+   */
+  async closeRetiredBrowser(browser) {
+    const state = this.browserStates.get(browser);
+    if (state) {
+      state.closing = true;
+      this.browserStates.delete(browser);
+    }
+
+    try {
+      await browser.close();
+      logger.info('Retired browser closed');
+    } catch (error) {
+      logger.warn({ err: error }, 'Failed to close retired browser');
+    }
+  }
+
+  /**
+   * Handle a browser that exited or lost its connection.
+   * Captures running on it fail with a retryable BrowserDisconnectedError and a
+   * replacement browser is launched right away.
+   * @param {Browser} browser - Puppeteer browser
+   */
+  handleDisconnected(browser) {
+    const state = this.browserStates.get(browser);
+
+    // Planned close (shutdown or recycling)
+    if (!state || state.closing) {
+      return;
+    }
+
+    state.crashed = true;
+    this.browserStates.delete(browser);
+    logger.error(
+      { activePages: state.activePages, captures: state.captures },
+      'Browser disconnected unexpectedly'
+    );
+
+    if (this.browser === browser) {
+      this.browser = null;
+      this.profiles.clear();
+
+      this.initBrowser().catch((error) => {
+        logger.error({ err: error }, 'Failed to relaunch browser after disconnect');
+      });
+    }
+  }
+
+  /**
+   * Open a page once the page pool has a free slot.
+   * Each page gets a fresh incognito browser context so cookies, storage and
+   * cache never leak between jobs, unless a persistent profile is requested.
+   * @param {Object} options - { persistentProfile, signal } name of a context reused across
+   *   jobs, and the job's abort signal (stops waiting for a free slot)
+   * @returns {Promise<Object>} Session { browser, context, page, profile, browserState } - close it with closePage()
+   */
+  async openPage({ persistentProfile, signal } = {}) {
+    // A job past its deadline stops waiting for a page
+    await this.pagePool.acquire(signal);
+
+    const session = { browser: null, context: null, page: null, profile: null, browserState: null };
+    try {
+      session.browser = await this.initBrowser();
+      session.browserState = this.browserStates.get(session.browser);
+      session.browserState.activePages++;
+      session.browserState.captures++;
+
+      if (persistentProfile) {
+        session.profile = this.getProfile(session.browser, persistentProfile);
+        session.context = await session.profile.context;
+      } else {
+        session.context = await session.browser.createBrowserContext();
+      }
+
+      session.page = await session.context.newPage();
+      return session;
+    } catch (error) {
+      await this.closePage(session);
+      throw this.toCaptureError(error, session);
+    }
+  }
+
+  /**
+   * Close a session opened with openPage(), dispose its context and free its pool slot.
+   * Never throws, the browser may already be gone.
+   * @param {Object} session - Session from openPage()
+   */
+  async closePage(session) {
+    const { page, context, profile, browserState } = session;
+    const browserAlive = browserState && !browserState.crashed;
+
+    // An aborted session's page is already being closed
+    if (page && browserAlive && !session.abortReason) {
+      try {
+        await page.close();
+      } catch (error) {
+        logger.warn({ err: error }, 'Failed to close page');
+      }
+    }
+
+    if (profile) {
+      profile.activePages = Math.max(profile.activePages - 1, 0);
+    } else if (context && browserAlive) {
+      try {
+        await context.close();
+      } catch (error) {
+        logger.warn({ err: error }, 'Failed to close browser context');
+      }
+    }
+
+    if (browserState) {
+      browserState.activePages--;
+      if (browserState.retiring && browserState.activePages === 0) {
+        await this.closeRetiredBrowser(session.browser);
+      }
+    }
+
+    this.pagePool.release();
+  }
+
+  /**
+   * Abort a capture when its signal fires: closing the page makes every pending
+   * Puppeteer call reject, and the capture then fails with the signal's reason.
+   * @param {Object} session - Session from openPage()
+   * @param {AbortSignal} [signal] - Signal of the job
+   * @returns {Function} Removes the abort listener
+   */
+  abortOnSignal(session, signal) {
+    if (!signal) {
+      return () => {};
+    }
+
+    const abort = () => {
+      session.abortReason = signal.reason;
+      logger.warn({ err: signal.reason }, 'Aborting capture');
+      session.page.close().catch((error) => {
+        logger.warn({ err: error }, 'Failed to close aborted page');
+      });
+    };
+
+    if (signal.aborted) {
+      abort();
+      return () => {};
+    }
+
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
+  }
+
+  /**
+   * Replace errors caused by an aborted capture with the abort reason, and errors
+   * caused by a browser crash with a retryable BrowserDisconnectedError
+   * @param {Error} error - Error thrown during the capture
+   * @param {Object} session - Session from openPage()
+   * @returns {Error} Error to throw
+   */
+  toCaptureError(error, session) {
+    if (session.abortReason) {
+      return session.abortReason;
+    }
+
+    if (!session.browserState || !session.browserState.crashed) {
+      return error;
+    }
+
+    const disconnectedError = new Error(`Browser disconnected during capture: ${error.message}`);
+    disconnectedError.name = 'BrowserDisconnectedError';
+    disconnectedError.cause = error;
+    return disconnectedError;
+  }
+
+  /**
+   * Get (or create) a persistent profile: a browser context shared by all jobs using its name.
+   * Idle profiles are closed least recently used first once
+   * config.screenshot.maxPersistentProfiles is reached.
+   * @param {Browser} browser - Puppeteer browser
+   * @param {string} name - Profile name
+   * @returns {Object} Profile { context (Promise<BrowserContext>), activePages }
+   */
+  getProfile(browser, name) {
+    let profile = this.profiles.get(name);
+
+    if (profile) {
+      // Re-insert to mark as most recently used
+      this.profiles.delete(name);
+    } else {
+      this.evictIdleProfiles(config.screenshot.maxPersistentProfiles - 1);
+      profile = { context: browser.createBrowserContext(), activePages: 0 };
+      // A failed context is not kept for the next job
+      profile.context.catch(() => {
+        if (this.profiles.get(name) === profile) {
+          this.profiles.delete(name);
+        }
+      });
+      logger.info({ persistentProfile: name }, 'Created persistent browser profile');
+    }
+
+    this.profiles.set(name, profile);
+    profile.activePages++;
+
+    return profile;
+  }
+
+  /**
+   * Close least recently used idle profiles until at most maxProfiles remain
+   * (profiles with open pages are never closed)
+   * @param {number} maxProfiles - Number of profiles to keep
+   */
+  evictIdleProfiles(maxProfiles) {
+    for (const [name, profile] of this.profiles) {
+      if (this.profiles.size <= maxProfiles) {
+        return;
+      }
+
+      if (profile.activePages === 0) {
+        this.profiles.delete(name);
+        logger.info({ persistentProfile: name }, 'Closing least recently used browser profile');
+        profile.context
+          .then((context) => context.close())
+          .catch((error) => {
+            logger.warn({ err: error, persistentProfile: name }, 'Failed to close browser profile');
+          });
+      }
+    }
+  }
+
   /**
    * Capture screenshot of a URL
    * @param {Object} options - Screenshot options
    * @param {string} options.url - URL to screenshot
-   * @param {number} options.width - Viewport width
-   * @param {number} options.height - Viewport height
-   * @param {string} options.format - Image format (png/jpeg)
-   * @param {number} options.quality - Image quality (for jpeg)
+   * @param {number} options.width - Viewport width (overrides device preset)
+   * @param {number} options.height - Viewport height (overrides device preset)
+   * @param {string} options.format - Output format (png/jpeg/webp/pdf)
+   * @param {number} options.quality - Image quality (for jpeg/webp)
    * @param {boolean} options.fullPage - Capture full page
-   * @returns {Promise<Buffer>} Screenshot buffer
+   * @param {boolean} options.autoScroll - Scroll through the page before a full-page capture to trigger lazy loading
+   * @param {string} options.tiling - Capture a full page in viewport-height tiles ("stitch" or "separate")
+   * @param {Object} options.pdf - PDF options (only used when format is pdf)
+   * @param {string} options.selector - CSS selector of a single element to capture
+   * @param {number} options.selectorPadding - Padding in pixels around the selected element
+   * @param {Object} options.clip - Region to capture {x, y, width, height}, relative to the viewport
+   * @param {Object} options.scroll - Scroll position {x, y} to apply before capturing
+   * @param {string} options.device - Device preset name from Puppeteer's KnownDevices
+   * @param {number} options.deviceScaleFactor - Device scale factor (overrides device preset)
+   * @param {boolean} options.isMobile - Emulate mobile viewport (overrides device preset)
+   * @param {boolean} options.hasTouch - Emulate touch support (overrides device preset)
+   * @param {string} options.userAgent - User agent (overrides device preset)
+   * @param {string} options.waitUntil - Navigation event to wait for (load/domcontentloaded/networkidle0/networkidle2)
+   * @param {number} options.timeout - Navigation and wait timeout in milliseconds (default SCREENSHOT_TIMEOUT)
+   * @param {string} options.waitForSelector - CSS selector to wait for before capturing
+   * @param {string} options.waitForFunction - JS predicate to wait for before capturing
+   * @param {number} options.delayMs - Extra delay before capturing (capped at the screenshot timeout)
+   * @param {Object} options.headers - Extra HTTP headers sent with every request
+   * @param {Array<Object>} options.cookies - Cookies to set before navigation {name, value, domain, path}
+   * @param {Object} options.basicAuth - HTTP basic auth credentials {username, password}
+   * @param {string} options.injectCss - CSS to inject before capturing
+   * @param {string} options.injectScript - JavaScript to run before capturing
+   * @param {Array<string>} options.hideSelectors - CSS selectors of elements to hide before capturing
+   * @param {boolean} options.blockAds - Drop requests to hosts on the bundled filter list
+   * @param {boolean} options.dismissCookieBanners - Click known consent "accept" buttons before capturing
+   * @param {string} options.persistentProfile - Reuse the named browser context (cookies, storage, cache) across jobs
+   * @param {boolean} options.failOnHttpError - Fail when the main document status is not accepted
+   * @param {Array<number|string>} options.acceptedStatusCodes - Accepted statuses or "min-max" ranges (default 200-399)
+   * @param {Function} options.onNavigation - Called with {statusCode, finalUrl, redirectChain} after each navigation
+   * @param {AbortSignal} options.signal - Aborts the capture, which then fails with the signal's reason
+   * @returns {Promise<Buffer|Array<Object>>} Screenshot buffer, or tiles {index, y, height, buffer} for "separate" tiling
    */
   async captureScreenshot(options) {
     const {
-      url: rawUrl,
-      width = config.screenshot.defaultWidth,
-      height = config.screenshot.defaultHeight,
       format = config.screenshot.format,
-      quality = 80,
       fullPage = false,
+      tiling,
+      selector,
+      clip,
+      scroll,
+      headers,
+      cookies,
+      basicAuth,
+      blockAds = config.screenshot.blockAds,
     } = options;
 
-    // Normalize URL - add protocol if missing
-    let url = rawUrl.trim();
-    if (!url.match(/^https?:\/\//i)) {
-      url = `https://${url}`;
-      logger.debug({ rawUrl, normalizedUrl: url }, 'Added protocol to URL');
-    }
+    const url = this.normalizeUrl(options.url);
+    const { viewport, userAgent } = this.resolveEmulation(options);
+    const { width, height } = viewport;
+    await this.assertUrlAllowed(url);
 
     const startTime = Date.now();
-    logger.info({ url, width, height, format, fullPage }, 'Capturing screenshot');
+    logger.info(
+      {
+        url,
+        width,
+        height,
+        device: options.device,
+        format,
+        fullPage,
+        tiling,
+        selector,
+        clip,
+        scroll,
+      },
+      'Capturing screenshot'
+    );
 
-    const browser = await this.initBrowser();
-    const page = await browser.newPage();
+    const session = await this.openPage({
+      persistentProfile: options.persistentProfile,
+      signal: options.signal,
+    });
+    const { page } = session;
+    const removeAbortListener = this.abortOnSignal(session, options.signal);
 
     try {
+      options.signal?.throwIfAborted();
+
       // Set viewport
-      await page.setViewport({
-        width,
-        height,
-        deviceScaleFactor: 1,
-      });
+      await page.setViewport(viewport);
 
       // Set user agent
-      await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
+      await page.setUserAgent(userAgent);
 
-      // Navigate to URL with timeout
-      await page.goto(url, {
-        waitUntil: 'networkidle0',
-        timeout: config.screenshot.timeout,
-      });
+      // Apply request credentials (never logged)
+      await this.applyCredentials(page, url, { headers, cookies, basicAuth });
 
-      // Wait a bit for dynamic content using standard setTimeout
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+      // Filter redirects and subresource requests
+      const requestFilter = await this.setupRequestInterception(page, { blockAds });
 
-      // Take screenshot
-      const screenshotOptions = {
-        type: format,
-        fullPage,
-      };
+      await this.loadPage(page, url, options, requestFilter);
 
-      if (format === 'jpeg') {
-        screenshotOptions.quality = quality;
-      }
-
-      const screenshot = await page.screenshot(screenshotOptions);
+      const screenshot = await this.capturePage(page, session, viewport, options);
 
       const duration = Date.now() - startTime;
       logger.info(
         {
           url,
-          size: screenshot.length,
+          size: Array.isArray(screenshot)
+            ? screenshot.reduce((total, tile) => total + tile.buffer.length, 0)
+            : screenshot.length,
+          ...(Array.isArray(screenshot) && { tiles: screenshot.length }),
           duration,
           format,
         },
@@ -166,23 +589,1001 @@ class ScreenshotService {
         },
         'Failed to capture screenshot'
       );
+      throw this.toCaptureError(error, session);
+    } finally {
+      removeAbortListener();
+      await this.closePage(session);
+    }
+  }
+
+  /**
+   * Capture several viewports of the same URL.
+   * Viewports with the same user agent and mobile/touch emulation share one
+   * navigation and are captured by resizing the page; others navigate again.
+   * @param {Object} options - Screenshot options as for captureScreenshot (no clip, scroll or tiling)
+   * @param {Array<Object>} options.viewports - Viewports {name, width, height, device, deviceScaleFactor, isMobile, hasTouch}
+   * @returns {Promise<Array<Object>>} Outputs {viewport, buffer} in the order of options.viewports
+   */
+  async captureViewports(options) {
+    const {
+      viewports,
+      format = config.screenshot.format,
+      waitForSelector,
+      waitForFunction,
+      headers,
+      cookies,
+      basicAuth,
+      blockAds = config.screenshot.blockAds,
+    } = options;
+
+    const url = this.normalizeUrl(options.url);
+    await this.assertUrlAllowed(url);
+
+    // Group viewports that can be captured from the same navigation
+    const captures = viewports.map((entry, index) => {
+      const { viewport, userAgent } = this.resolveEmulation({ ...options, ...entry });
+      return {
+        index,
+        entry,
+        viewport,
+        userAgent,
+        navigationKey: JSON.stringify([userAgent, !!viewport.isMobile, !!viewport.hasTouch]),
+      };
+    });
+    const navigationOrder = [...new Set(captures.map((capture) => capture.navigationKey))];
+    const ordered = [...captures].sort(
+      (a, b) => navigationOrder.indexOf(a.navigationKey) - navigationOrder.indexOf(b.navigationKey)
+    );
+
+    const startTime = Date.now();
+    logger.info(
+      { url, viewports: viewports.length, navigations: navigationOrder.length, format },
+      'Capturing viewports'
+    );
+
+    const session = await this.openPage({
+      persistentProfile: options.persistentProfile,
+      signal: options.signal,
+    });
+    const { page } = session;
+    const removeAbortListener = this.abortOnSignal(session, options.signal);
+
+    try {
+      options.signal?.throwIfAborted();
+      await this.applyCredentials(page, url, { headers, cookies, basicAuth });
+      const requestFilter = await this.setupRequestInterception(page, { blockAds });
+
+      const outputs = new Array(captures.length);
+      let loadedKey = null;
+
+      for (const { index, entry, viewport, userAgent, navigationKey } of ordered) {
+        if (navigationKey === loadedKey) {
+          // Same emulation: resize and let responsive images and layout settle
+          await page.setViewport(viewport);
+          await this.scrollPage(page, { x: 0, y: 0 });
+          await this.waitForViewportSettle(page, options.timeout);
+          await this.waitForPageReady(page, {
+            waitForSelector,
+            waitForFunction,
+            delayMs: 0,
+            timeout: options.timeout,
+          });
+        } else {
+          await page.setUserAgent(userAgent);
+          await page.setViewport(viewport);
+          await this.loadPage(page, url, options, requestFilter);
+          loadedKey = navigationKey;
+        }
+
+        const buffer = await this.capturePage(page, session, viewport, options);
+
+        outputs[index] = {
+          viewport: {
+            ...(entry.name && { name: entry.name }),
+            ...(entry.device && { device: entry.device }),
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor,
+          },
+          buffer,
+        };
+      }
+
+      logger.info(
+        {
+          url,
+          viewports: outputs.length,
+          size: outputs.reduce((total, output) => total + output.buffer.length, 0),
+          duration: Date.now() - startTime,
+          format,
+        },
+        'Viewports captured successfully'
+      );
+
+      return outputs;
+    } catch (error) {
+      logger.error(
+        { err: error, url, duration: Date.now() - startTime, format },
+        'Failed to capture viewports'
+      );
+      throw this.toCaptureError(error, session);
+    } finally {
+      removeAbortListener();
+      await this.closePage(session);
+    }
+  }
+
+  /**
+   * Normalize a URL - add protocol if missing
+   * @param {string} rawUrl - URL from the request
+   * @returns {string} URL with protocol
+   */
+  normalizeUrl(rawUrl) {
+    let url = rawUrl.trim();
+    if (!url.match(/^https?:\/\//i)) {
+      url = `https://${url}`;
+      logger.debug({ rawUrl, normalizedUrl: url }, 'Added protocol to URL');
+    }
+
+    return url;
+  }
+
+  /**
+   * Refuse target URLs that point at private, loopback, link-local or metadata addresses
+   * @param {string} url - Normalized URL
+   * @throws {Error} UrlNotAllowedError if the URL must not be fetched
+   */
+  async assertUrlAllowed(url) {
+    const { allowed, reason } = await urlSafety.checkUrl(url, this.urlPolicy);
+
+    if (!allowed) {
+      logger.warn({ url, reason }, 'Refusing to capture URL');
+      throw urlSafety.createUrlNotAllowedError(reason);
+    }
+  }
+
+  /**
+   * Navigate to the URL and prepare the page for capture
+   * (wait strategy, cookie banners and injections)
+   * @param {Page} page - Puppeteer page
+   * @param {string} url - Normalized URL
+   * @param {Object} options - Screenshot options (see captureScreenshot)
+   * @param {Object} requestFilter - State of the page's request filter (see setupRequestInterception)
+   */
+  async loadPage(page, url, options, requestFilter) {
+    const {
+      waitUntil = config.screenshot.waitUntil,
+      timeout = config.screenshot.timeout,
+      waitForSelector,
+      waitForFunction,
+      delayMs = config.screenshot.delayMs,
+      injectCss,
+      injectScript,
+      hideSelectors,
+      dismissCookieBanners = config.screenshot.dismissCookieBanners,
+      failOnHttpError = config.screenshot.failOnHttpError,
+      acceptedStatusCodes = DEFAULT_ACCEPTED_STATUS_CODES,
+      onNavigation,
+    } = options;
+
+    // Navigate to URL with timeout
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil, timeout });
+    } catch (error) {
+      // A redirect to a refused URL surfaces as a generic navigation error
+      if (requestFilter && requestFilter.blockedNavigation) {
+        throw requestFilter.blockedNavigation.error;
+      }
+      throw error;
+    }
+
+    // Report the response before deciding on it, so failed captures are recorded too
+    const navigation = this.describeNavigation(url, response);
+    if (onNavigation) {
+      onNavigation(navigation);
+    }
+
+    if (
+      failOnHttpError &&
+      navigation.statusCode !== null &&
+      !isAcceptedStatus(navigation.statusCode, acceptedStatusCodes)
+    ) {
+      throw createHttpError(navigation);
+    }
+
+    // Wait for dynamic content before capturing
+    await this.waitForPageReady(page, { waitForSelector, waitForFunction, delayMs, timeout });
+
+    // Dismiss consent dialogs before customizations so hideSelectors can clean up leftovers
+    if (dismissCookieBanners) {
+      await this.dismissCookieBanners(page);
+    }
+
+    // Apply page customizations (hide widgets, freeze animations, set app state)
+    await this.applyInjections(page, { injectCss, injectScript, hideSelectors });
+  }
+
+  /**
+   * Summarize the main document response of a navigation
+   * @param {string} url - Requested URL
+   * @param {HTTPResponse|null} response - Response returned by page.goto
+   * @returns {Object} { statusCode, finalUrl, redirectChain: [{url, statusCode}] }
+   */
+  describeNavigation(url, response) {
+    // page.goto resolves to null for same-document navigations
+    if (!response) {
+      return { statusCode: null, finalUrl: url, redirectChain: [] };
+    }
+
+    const redirectChain = response
+      .request()
+      .redirectChain()
+      .map((request) => ({
+        url: request.url(),
+        statusCode: request.response() ? request.response().status() : null,
+      }));
+
+    return { statusCode: response.status(), finalUrl: response.url(), redirectChain };
+  }
+
+  /**
+   * Capture the loaded page as PDF, tiles or a single image
+   * @param {Page} page - Puppeteer page (already loaded)
+   * @param {Object} session - Session from openPage() (used for stitching tiles)
+   * @param {Object} viewport - Current viewport
+   * @param {Object} options - Screenshot options (see captureScreenshot)
+   * @returns {Promise<Buffer|Array<Object>>} Screenshot buffer, or tiles for "separate" tiling
+   */
+  async capturePage(page, session, viewport, options) {
+    const {
+      format = config.screenshot.format,
+      quality = 80,
+      fullPage = false,
+      autoScroll = true,
+      tiling,
+      pdf = {},
+      selector,
+      selectorPadding = 0,
+      clip,
+      scroll,
+      timeout = config.screenshot.timeout,
+    } = options;
+
+    // Load lazy content below the fold before a full-page capture
+    if (autoScroll && fullPage && format !== 'pdf' && !selector && !clip) {
+      await this.autoScroll(page);
+    }
+
+    if (format === 'pdf') {
+      // Render page as PDF
+      return page.pdf(this.buildPdfOptions(pdf, timeout));
+    }
+
+    if (tiling && fullPage && !selector && !clip) {
+      // Capture tall pages in viewport-height segments instead of one oversized frame
+      const tiles = await this.captureTiles(page, {
+        format,
+        quality,
+        maxHeight:
+          tiling === 'stitch'
+            ? Math.min(
+                config.screenshot.tiling.maxHeight,
+                Math.floor(MAX_CANVAS_DIMENSION / (viewport.deviceScaleFactor || 1))
+              )
+            : config.screenshot.tiling.maxHeight,
+      });
+
+      return tiling === 'stitch' ? this.stitchTiles(session, tiles, { format, quality }) : tiles;
+    }
+
+    // Take screenshot
+    const screenshotOptions = {
+      type: format,
+      fullPage,
+    };
+
+    // Capture only the selected element (clip and fullPage are mutually exclusive)
+    if (selector) {
+      screenshotOptions.fullPage = false;
+      screenshotOptions.clip = await this.getElementClip(page, selector, selectorPadding, timeout);
+    } else if (clip || scroll) {
+      const offset = scroll ? await this.scrollPage(page, scroll) : { x: 0, y: 0 };
+
+      // Clip is relative to the (scrolled) viewport, the screenshot clip is relative to the page
+      if (clip) {
+        screenshotOptions.fullPage = false;
+        screenshotOptions.clip = {
+          x: clip.x + offset.x,
+          y: clip.y + offset.y,
+          width: clip.width,
+          height: clip.height,
+        };
+      }
+    }
+
+    // png is lossless, quality only applies to lossy formats
+    if (format === 'jpeg' || format === 'webp') {
+      screenshotOptions.quality = quality;
+    }
+
+    return page.screenshot(screenshotOptions);
+  }
+
+  /**
+   * Wait for network activity triggered by a viewport resize (responsive images, media queries)
+   * A page that never goes idle is captured anyway.
+   * @param {Page} page - Puppeteer page
+   * @param {number} timeout - Maximum wait in milliseconds
+   */
+  async waitForViewportSettle(page, timeout = config.screenshot.timeout) {
+    try {
+      await page.waitForNetworkIdle({
+        idleTime: VIEWPORT_SETTLE_MS,
+        timeout,
+      });
+    } catch (error) {
+      if (error.name !== 'TimeoutError') {
+        throw error;
+      }
+      logger.warn('Network did not go idle after viewport resize, capturing anyway');
+    }
+  }
+
+  /**
+   * Apply extra headers, cookies and basic auth credentials to a page
+   * @param {Page} page - Puppeteer page
+   * @param {string} url - Target URL (used for cookies without a domain)
+   * @param {Object} credentials - { headers, cookies, basicAuth }
+   */
+  async applyCredentials(page, url, { headers, cookies, basicAuth }) {
+    if (headers && Object.keys(headers).length > 0) {
+      await page.setExtraHTTPHeaders(headers);
+    }
+
+    if (cookies && cookies.length > 0) {
+      // Puppeteer needs either a domain or a URL to scope each cookie
+      await page.setCookie(
+        ...cookies.map(({ name, value, domain, path }) => ({
+          name,
+          value,
+          ...(domain ? { domain } : { url }),
+          ...(path && { path }),
+        }))
+      );
+    }
+
+    if (basicAuth) {
+      await page.authenticate({
+        username: basicAuth.username,
+        password: basicAuth.password,
+      });
+    }
+
+    logger.debug(
+      {
+        headerNames: headers ? Object.keys(headers) : [],
+        cookieNames: cookies ? cookies.map((cookie) => cookie.name) : [],
+        basicAuth: Boolean(basicAuth),
+      },
+      'Applied request credentials'
+    );
+  }
+
+  /**
+   * Intercept the page's requests: refuse redirects and subresources that point at
+   * private, loopback, link-local or metadata addresses, refuse main frame navigations
+   * to domains denied by the domain policy, and optionally drop ads
+   * @param {Page} page - Puppeteer page
+   * @param {Object} filters - Request filters
+   * @param {boolean} filters.blockAds - Drop requests to hosts on the bundled filter list
+   * @returns {Promise<Object>} Filter state { blockedNavigation: {url, error} | null }
+   */
+  async setupRequestInterception(page, { blockAds }) {
+    const requestFilter = { blockedNavigation: null };
+    // One check per origin and page, most pages load many resources from few hosts
+    const originChecks = new Map();
+    let blockedCount = 0;
+    let refusedCount = 0;
+
+    await page.setRequestInterception(true);
+
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled()) {
+        return;
+      }
+
+      const requestUrl = request.url();
+
+      if (blockAds && contentBlocker.isBlockedUrl(requestUrl)) {
+        blockedCount++;
+        request.abort('blockedbyclient');
+        return;
+      }
+
+      const isMainNavigation =
+        request.isNavigationRequest() && request.frame() === page.mainFrame();
+
+      // The submitted URL was checked by the consumer, redirects must not leave the policy
+      if (isMainNavigation) {
+        const domainPolicy = resolveDomainPolicy(requestUrl, config.domainPolicies);
+        if (domainPolicy.denied) {
+          refusedCount++;
+          requestFilter.blockedNavigation = {
+            url: requestUrl,
+            error: createDomainDeniedError(domainPolicy.reason),
+          };
+          logger.warn(
+            { url: requestUrl, reason: domainPolicy.reason },
+            'Refused navigation to denied domain'
+          );
+          request.abort('accessdenied');
+          return;
+        }
+      }
+
+      let origin;
+      try {
+        origin = new URL(requestUrl).origin;
+      } catch {
+        origin = requestUrl;
+      }
+      // Opaque origins (data:, blob:) are checked by URL
+      const checkKey = origin === 'null' ? requestUrl : origin;
+
+      if (!originChecks.has(checkKey)) {
+        originChecks.set(checkKey, urlSafety.checkRequestUrl(requestUrl, this.urlPolicy));
+      }
+      const { allowed, reason } = await originChecks.get(checkKey);
+
+      if (!allowed) {
+        refusedCount++;
+        if (isMainNavigation) {
+          requestFilter.blockedNavigation = {
+            url: requestUrl,
+            error: urlSafety.createUrlNotAllowedError(reason),
+          };
+        }
+        logger.warn({ url: requestUrl, reason }, 'Refused request to disallowed URL');
+        request.abort('accessdenied');
+        return;
+      }
+
+      request.continue();
+    });
+
+    page.once('close', () => {
+      logger.debug({ blockedCount, refusedCount }, 'Filtered page requests');
+    });
+
+    return requestFilter;
+  }
+
+  /**
+   * Click known consent "accept" buttons to dismiss cookie banners
+   * Failures are logged and never fail the capture.
+   * @param {Page} page - Puppeteer page
+   * @returns {Promise<Array<string>>} Selectors that were clicked
+   */
+  async dismissCookieBanners(page) {
+    try {
+      const clicked = await page.evaluate((selectors) => {
+        const clickedSelectors = [];
+
+        selectors.forEach((selector) => {
+          const element = document.querySelector(selector);
+          // getClientRects() is empty for hidden elements (works for position: fixed too)
+          if (element && element.getClientRects().length > 0) {
+            element.click();
+            clickedSelectors.push(selector);
+          }
+        });
+
+        return clickedSelectors;
+      }, contentBlocker.getConsentSelectors());
+
+      if (clicked.length > 0) {
+        logger.debug({ clicked }, 'Dismissed cookie banner');
+        await new Promise((resolve) => setTimeout(resolve, CONSENT_SETTLE_MS));
+      }
+
+      return clicked;
+    } catch (error) {
+      logger.warn({ err: error }, 'Failed to dismiss cookie banners, continuing');
+      return [];
+    }
+  }
+
+  /**
+   * Inject CSS and JavaScript into the page
+   * @param {Page} page - Puppeteer page
+   * @param {Object} injections - { injectCss, injectScript, hideSelectors }
+   */
+  async applyInjections(page, { injectCss, injectScript, hideSelectors }) {
+    const styles = [];
+
+    if (hideSelectors && hideSelectors.length > 0) {
+      styles.push(`${hideSelectors.join(',\n')} { display: none !important; }`);
+    }
+
+    if (injectCss) {
+      styles.push(injectCss);
+    }
+
+    if (styles.length > 0) {
+      await page.addStyleTag({ content: styles.join('\n') });
+    }
+
+    if (injectScript) {
+      try {
+        await page.evaluate(injectScript);
+      } catch (error) {
+        throw new Error(`Injected script failed: ${error.message}`);
+      }
+    }
+
+    if (styles.length > 0 || injectScript) {
+      logger.debug(
+        {
+          injectCss: Boolean(injectCss),
+          injectScript: Boolean(injectScript),
+          hideSelectors: hideSelectors || [],
+        },
+        'Applied page injections'
+      );
+    }
+  }
+
+  /**
+   * Wait for the page to be ready for capture
+   * Every wait is bounded by the screenshot timeout.
+   * @param {Page} page - Puppeteer page
+   * @param {Object} options - Wait options
+   * @param {string} options.waitForSelector - CSS selector to wait for
+   * @param {string} options.waitForFunction - JS predicate to wait for
+   * @param {number} options.delayMs - Extra delay in milliseconds
+   * @param {number} options.timeout - Timeout of each wait (default SCREENSHOT_TIMEOUT)
+   */
+  async waitForPageReady(
+    page,
+    { waitForSelector, waitForFunction, delayMs, timeout = config.screenshot.timeout }
+  ) {
+    if (waitForSelector) {
+      try {
+        await page.waitForSelector(waitForSelector, { timeout });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new Error(`Timed out waiting for selector: ${waitForSelector}`);
+        }
+        throw error;
+      }
+    }
+
+    if (waitForFunction) {
+      try {
+        await page.waitForFunction(waitForFunction, { timeout });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw new Error('Timed out waiting for function to return true');
+        }
+        throw error;
+      }
+    }
+
+    const delay = Math.min(delayMs, timeout);
+    if (delay < delayMs) {
+      logger.warn({ delayMs, timeout }, 'Delay exceeds screenshot timeout, capping');
+    }
+
+    if (delay > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Resolve viewport and user agent from device preset and explicit overrides
+   * @param {Object} options - Screenshot options (see captureScreenshot)
+   * @returns {Object} { viewport, userAgent } for page.setViewport() / page.setUserAgent()
+   */
+  resolveEmulation(options) {
+    const { device, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = options;
+
+    let preset = null;
+    if (device) {
+      preset = puppeteer.KnownDevices[device];
+      if (!preset) {
+        throw new Error(`Unknown device: ${device}`);
+      }
+    }
+
+    const viewport = {
+      width: width ?? preset?.viewport.width ?? config.screenshot.defaultWidth,
+      height: height ?? preset?.viewport.height ?? config.screenshot.defaultHeight,
+      deviceScaleFactor: deviceScaleFactor ?? preset?.viewport.deviceScaleFactor ?? 1,
+    };
+
+    // Only pass mobile/touch/landscape flags when emulating, Puppeteer defaults them to false
+    const mobileFlags = {
+      isMobile: isMobile ?? preset?.viewport.isMobile,
+      hasTouch: hasTouch ?? preset?.viewport.hasTouch,
+      isLandscape: preset?.viewport.isLandscape,
+    };
+    Object.entries(mobileFlags).forEach(([key, value]) => {
+      if (value !== undefined) {
+        viewport[key] = value;
+      }
+    });
+
+    return {
+      viewport,
+      userAgent: userAgent || preset?.userAgent || DEFAULT_USER_AGENT,
+    };
+  }
+
+  /**
+   * Wait for an element and compute the clip rectangle around it
+   * @param {Page} page - Puppeteer page
+   * @param {string} selector - CSS selector of the element
+   * @param {number} padding - Padding in pixels around the element
+   * @param {number} timeout - Maximum wait for the element in milliseconds
+   * @returns {Promise<Object>} Clip rectangle in page coordinates
+   */
+  async getElementClip(page, selector, padding = 0, timeout = config.screenshot.timeout) {
+    let element;
+
+    try {
+      element = await page.waitForSelector(selector, {
+        visible: true,
+        timeout,
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Selector not found: ${selector}`);
+      }
       throw error;
+    }
+
+    await element.scrollIntoView();
+
+    const box = await element.boundingBox();
+    if (!box || box.width === 0 || box.height === 0) {
+      throw new Error(`Selector not found: ${selector} (element is not visible)`);
+    }
+
+    // boundingBox() is relative to the viewport, the screenshot clip is relative to the page
+    const [scrollX, scrollY] = await page.evaluate(() => [window.scrollX, window.scrollY]);
+
+    const x = Math.max(0, box.x + scrollX - padding);
+    const y = Math.max(0, box.y + scrollY - padding);
+
+    return {
+      x,
+      y,
+      width: box.x + scrollX + box.width + padding - x,
+      height: box.y + scrollY + box.height + padding - y,
+    };
+  }
+
+  /**
+   * Scroll through the page in viewport steps until its height stabilizes,
+   * then return to the top and wait for images to decode.
+   * Bounded by config.screenshot.autoScroll maxHeight and maxTimeMs.
+   * @param {Page} page - Puppeteer page
+   * @returns {Promise<Object>} { height, timedOut, reachedMaxHeight }
+   */
+  async autoScroll(page) {
+    const { maxHeight, maxTimeMs, stepDelayMs, imageTimeoutMs } = config.screenshot.autoScroll;
+    const startTime = Date.now();
+
+    const result = await page.evaluate(
+      async (limits) => {
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        const pageHeight = () => document.documentElement.scrollHeight;
+        const deadline = Date.now() + limits.maxTimeMs;
+
+        let position = 0;
+        let height = pageHeight();
+        let timedOut = false;
+
+        while (position < limits.maxHeight) {
+          if (Date.now() >= deadline) {
+            timedOut = true;
+            break;
+          }
+
+          position += window.innerHeight;
+          window.scrollTo(0, position);
+          await sleep(limits.stepDelayMs);
+
+          // Stop once the bottom is reached and no new content was appended
+          const newHeight = pageHeight();
+          if (position + window.innerHeight >= newHeight && newHeight === height) {
+            break;
+          }
+          height = newHeight;
+        }
+
+        window.scrollTo(0, 0);
+
+        return {
+          height: pageHeight(),
+          timedOut,
+          reachedMaxHeight: position >= limits.maxHeight,
+        };
+      },
+      { maxHeight, maxTimeMs, stepDelayMs }
+    );
+
+    // Wait for images that started loading during the scroll (broken images are ignored)
+    await page.evaluate(async (timeoutMs) => {
+      const pending = Array.from(document.images).map((image) => image.decode().catch(() => {}));
+      await Promise.race([
+        Promise.all(pending),
+        new Promise((resolve) => setTimeout(resolve, timeoutMs)),
+      ]);
+    }, imageTimeoutMs);
+
+    logger.debug({ ...result, duration: Date.now() - startTime }, 'Auto-scroll completed');
+
+    if (result && (result.timedOut || result.reachedMaxHeight)) {
+      logger.warn(result, 'Auto-scroll stopped early, lazy content below may be missing');
+    }
+
+    return result;
+  }
+
+  /**
+   * Capture the page as overlapping viewport-height tiles, top to bottom.
+   * Each tile is a viewport screenshot taken at its own scroll position so
+   * Chromium never renders a frame taller than the viewport.
+   * @param {Page} page - Puppeteer page
+   * @param {Object} options - { format, quality, maxHeight }
+   * @returns {Promise<Array<Object>>} Tiles {index, y, height, buffer} with y relative to the page
+   */
+  async captureTiles(page, { format, quality, maxHeight }) {
+    const { overlap } = config.screenshot.tiling;
+
+    const dimensions = await page.evaluate(() => ({
+      scrollHeight: document.documentElement.scrollHeight,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+    }));
+    const { scrollHeight, viewportWidth, viewportHeight } = dimensions;
+
+    const totalHeight = Math.min(scrollHeight, maxHeight);
+    if (scrollHeight > maxHeight) {
+      logger.warn({ scrollHeight, maxHeight }, 'Page is taller than the tiling limit, truncating');
+    }
+
+    // Tile positions step by (viewport - overlap); the last tile is aligned to the bottom
+    const step = Math.max(viewportHeight - overlap, 1);
+    const positions = [];
+    for (let y = 0; y + viewportHeight < totalHeight; y += step) {
+      positions.push(y);
+    }
+    positions.push(Math.max(totalHeight - viewportHeight, 0));
+
+    const tiles = [];
+    for (const [index, position] of positions.entries()) {
+      const offset = await this.scrollPage(page, { x: 0, y: position });
+      const tileHeight = Math.min(viewportHeight, totalHeight - offset.y);
+
+      const screenshotOptions = {
+        type: format,
+        clip: { x: offset.x, y: offset.y, width: viewportWidth, height: tileHeight },
+        captureBeyondViewport: false,
+      };
+
+      if (format === 'jpeg' || format === 'webp') {
+        screenshotOptions.quality = quality;
+      }
+
+      const buffer = await page.screenshot(screenshotOptions);
+      tiles.push({ index, y: offset.y, height: tileHeight, buffer: Buffer.from(buffer) });
+    }
+
+    logger.debug(
+      { tiles: tiles.length, totalHeight, viewportHeight, overlap },
+      'Captured page tiles'
+    );
+
+    return tiles;
+  }
+
+  /**
+   * Stitch page tiles into a single image on a canvas in a scratch page.
+   * Later tiles are drawn over the overlap of earlier ones.
+   * The scratch page is opened in the job's own browser context, so it counts
+   * against the job's page pool slot and is closed with the job's context.
+   * @param {Object} session - Session from openPage()
+   * @param {Array<Object>} tiles - Tiles from captureTiles
+   * @param {Object} options - { format, quality }
+   * @returns {Promise<Buffer>} Stitched image buffer
+   */
+  async stitchTiles(session, tiles, { format, quality }) {
+    const lastTile = tiles[tiles.length - 1];
+    const page = await session.context.newPage();
+
+    try {
+      const dataUrl = await page.evaluate(
+        async (input) => {
+          const images = await Promise.all(
+            input.tiles.map(
+              (tile) =>
+                new Promise((resolve, reject) => {
+                  const image = new Image();
+                  image.onload = () => resolve(image);
+                  image.onerror = () => reject(new Error(`Failed to decode tile ${tile.index}`));
+                  image.src = `data:${input.mimeType};base64,${tile.data}`;
+                })
+            )
+          );
+
+          // Tiles are in device pixels, positions are in CSS pixels
+          const scale = images[0].naturalHeight / input.tiles[0].height;
+          const canvas = document.createElement('canvas');
+          canvas.width = images[0].naturalWidth;
+          canvas.height = Math.round(input.totalHeight * scale);
+
+          const context = canvas.getContext('2d');
+          images.forEach((image, i) => {
+            context.drawImage(image, 0, Math.round(input.tiles[i].y * scale));
+          });
+
+          return canvas.toDataURL(input.mimeType, input.quality);
+        },
+        {
+          tiles: tiles.map(({ index, y, height, buffer }) => ({
+            index,
+            y,
+            height,
+            data: buffer.toString('base64'),
+          })),
+          totalHeight: lastTile.y + lastTile.height,
+          mimeType: `image/${format}`,
+          quality: quality / 100,
+        }
+      );
+
+      // An empty data URL means the canvas was too large to encode
+      const [, data] = dataUrl.split(',');
+      if (!data) {
+        throw new Error('Failed to stitch tiles (image too large)');
+      }
+
+      return Buffer.from(data, 'base64');
     } finally {
       await page.close();
     }
   }
 
   /**
-   * Close browser
+   * Scroll the page to a position
+   * @param {Page} page - Puppeteer page
+   * @param {Object} scroll - Scroll position {x, y}
+   * @returns {Promise<Object>} Actual scroll position {x, y} (clamped by the browser to the page size)
+   */
+  async scrollPage(page, scroll) {
+    const { x = 0, y = 0 } = scroll;
+
+    const [scrollX, scrollY] = await page.evaluate(
+      (left, top) => {
+        window.scrollTo(left, top);
+        return [window.scrollX, window.scrollY];
+      },
+      x,
+      y
+    );
+
+    if (scrollX !== x || scrollY !== y) {
+      logger.debug(
+        { requested: { x, y }, actual: { x: scrollX, y: scrollY } },
+        'Scroll position clamped to page size'
+      );
+    }
+
+    return { x: scrollX, y: scrollY };
+  }
+
+  /**
+   * Build Puppeteer page.pdf() options from request PDF options
+   * @param {Object} pdf - PDF options from the request
+   * @param {string} pdf.paperFormat - Paper size (A4, Letter, ...)
+   * @param {boolean} pdf.landscape - Landscape orientation
+   * @param {boolean} pdf.printBackground - Print background graphics
+   * @param {Object} pdf.margin - Page margins (top/right/bottom/left)
+   * @param {string} pdf.headerTemplate - HTML template for the page header
+   * @param {string} pdf.footerTemplate - HTML template for the page footer
+   * @param {number} timeout - Maximum rendering time in milliseconds
+   * @returns {Object} Puppeteer PDF options
+   */
+  buildPdfOptions(pdf = {}, timeout = config.screenshot.timeout) {
+    const {
+      paperFormat = DEFAULT_PDF_PAPER_FORMAT,
+      landscape = false,
+      printBackground = true,
+      margin,
+      headerTemplate,
+      footerTemplate,
+    } = pdf;
+
+    const pdfOptions = {
+      format: paperFormat,
+      landscape,
+      printBackground,
+      timeout,
+    };
+
+    if (margin) {
+      pdfOptions.margin = margin;
+    }
+
+    // Header/footer are only rendered when at least one template is given.
+    // Chromium falls back to its default (date/title) template for the other
+    // one, so replace it with an empty element.
+    if (headerTemplate || footerTemplate) {
+      pdfOptions.displayHeaderFooter = true;
+      pdfOptions.headerTemplate = headerTemplate || '<span></span>';
+      pdfOptions.footerTemplate = footerTemplate || '<span></span>';
+    }
+
+    return pdfOptions;
+  }
+
+  /**
+   * Close browser (and any retired browsers still finishing captures)
    */
   async closeBrowser() {
-    if (this.browser) {
-      logger.info('Closing Puppeteer browser...');
-      await this.browser.close();
-      this.browser = null;
-      logger.info('Puppeteer browser closed');
+    const browsers = [...this.browserStates.keys()];
+    if (this.browser && !browsers.includes(this.browser)) {
+      browsers.push(this.browser);
+    }
+
+    if (browsers.length === 0) {
+      return;
+    }
+
+    logger.info('Closing Puppeteer browser...');
+    for (const browser of browsers) {
+      const state = this.browserStates.get(browser);
+      if (state) {
+        state.closing = true;
+      }
+      await browser.close();
     }
+
+    this.browserStates.clear();
+    this.browser = null;
+    this.profiles.clear();
+    logger.info('Puppeteer browser closed');
   }
 }
 
+/**
+ * Check a status code against accepted statuses
+ * @param {number} statusCode - HTTP status code
+ * @param {Array<number|string>} acceptedStatusCodes - Status codes or "min-max" ranges
+ * @returns {boolean} Whether the status is accepted
+ */
+function isAcceptedStatus(statusCode, acceptedStatusCodes) {
+  return acceptedStatusCodes.some((entry) => {
+    const [min, max = min] = String(entry)
+      .split('-')
+      .map((value) => parseInt(value, 10));
+    return statusCode >= min && statusCode <= max;
+  });
+}
+
+/**
+ * Create the error raised when the main document status is not accepted
+ * @param {Object} navigation - { statusCode, finalUrl }
+ * @returns {Error} Error named HttpError with the status code
+ */
+function createHttpError({ statusCode, finalUrl }) {
+  const error = new Error(`Page responded with HTTP ${statusCode}: ${finalUrl}`);
+  error.name = 'HttpError';
+  error.statusCode = statusCode;
+  return error;
+}
+
 module.exports = new ScreenshotService();
@@ -1,10 +1,227 @@
 const { Consumer } = require('sqs-consumer');
+const { SendMessageCommand } = require('@aws-sdk/client-sqs');
 const config = require('../config');
 const { sqsClient } = require('../config/aws');
 const screenshotService = require('../services/screenshotService');
 const s3Service = require('../services/s3Service');
 const dynamodbService = require('../services/dynamodbService');
+const hostRateLimiter = require('../services/hostRateLimiter');
 const logger = require('../utils/logger');
+const {
+  classifyError,
+  createInvalidRequestError,
+  createJobDeadlineError,
+  createDeferralLimitError,
+} = require('../utils/errorClassifier');
+const { resolveDomainPolicy, createDomainDeniedError } = require('../utils/domainPolicy');
+
+// Output formats the consumer can produce
+const SUPPORTED_FORMATS = ['png', 'jpeg', 'webp', 'pdf'];
+
+// Errors that say nothing about the job itself: the job goes back to 'processing' and a
+// delayed copy of the message is queued (see deferMessage)
+const REQUEUED_ERROR_CODES = ['POOL_EXHAUSTED', 'BROWSER_CRASH'];
+
+// Tiled full-page capture modes
+const TILING_MODES = ['stitch', 'separate'];
+
+// Message attribute counting how often a message was deferred (host budget, re-queued errors)
+const DEFERRAL_COUNT_ATTRIBUTE = 'DeferralCount';
+
+// Longest delay SQS accepts for a message
+const MAX_DELAY_SECONDS = 900;
+
+/**
+ * Build the record of page injections applied to a capture
+ * @param {Object} injections - { injectCss, injectScript, hideSelectors }
+ * @returns {Object|null} Applied injections, or null if none were requested
+ */
+function buildInjectionsRecord({ injectCss, injectScript, hideSelectors }) {
+  const record = {};
+
+  if (injectCss) {
+    record.injectCss = injectCss;
+  }
+
+  if (injectScript) {
+    record.injectScript = injectScript;
+  }
+
+  if (hideSelectors && hideSelectors.length > 0) {
+    record.hideSelectors = hideSelectors;
+  }
+
+  return Object.keys(record).length > 0 ? record : null;
+}
+
+/**
+ * Build the record of the main document response
+ * @param {Object|null} navigation - { statusCode, finalUrl, redirectChain } reported by ScreenshotService
+ * @returns {Object} { httpStatusCode, finalUrl, redirectChain } without unknown values, empty if the page was never reached
+ */
+function buildNavigationRecord(navigation) {
+  if (!navigation) {
+    return {};
+  }
+
+  const record = {
+    httpStatusCode: navigation.statusCode,
+    finalUrl: navigation.finalUrl,
+    redirectChain: navigation.redirectChain,
+  };
+  // Unknown values would overwrite what is recorded with null
+  return Object.fromEntries(
+    Object.entries(record).filter(([, value]) => value !== null && value !== undefined)
+  );
+}
+
+/**
+ * Label a viewport for its S3 sub-key: its name, device or size, made unique by position
+ * @param {Object} viewport - Captured viewport {name, device, width, height}
+ * @param {number} index - Position in the viewports list
+ * @param {Set<string>} usedLabels - Labels already assigned in this capture
+ * @returns {string} Viewport label
+ */
+function getViewportLabel(viewport, index, usedLabels) {
+  let label = viewport.name || viewport.device || `${viewport.width}x${viewport.height}`;
+
+  if (usedLabels.has(label)) {
+    label = `${label}-${index + 1}`;
+  }
+  usedLabels.add(label);
+
+  return label;
+}
+
+/**
+ * Run one stage of a job, retrying transient failures with exponential backoff
+ * Permanent failures and a full page pool are thrown straight away: waiting here
+ * for a page would hold the message without freeing anything. Nothing is retried
+ * once the job's deadline has passed.
+ * @param {Function} operation - Async function to run
+ * @param {Object} context - { screenshotId, url, stage, signal } for logging, classification and the job deadline
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withRetry(operation, { screenshotId, url, stage, signal }) {
+  const { retryDelayMs, maxRetryDelayMs } = config.screenshot;
+  const maxRetries = Math.max(config.screenshot.maxRetries, 1);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      // Report the deadline rather than whatever the abort broke
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      const { errorCode, retryable } = classifyError(error, stage);
+
+      if (!retryable || errorCode === 'POOL_EXHAUSTED') {
+        throw error;
+      }
+
+      if (attempt >= maxRetries) {
+        logger.error(
+          { screenshotId, url, attempt, maxRetries, errorCode, err: error },
+          `Screenshot ${stage} failed after all retries`
+        );
+        throw error;
+      }
+
+      // Exponential backoff: 1s, 2s, 4s (capped at maxRetryDelayMs)
+      const delayMs = Math.min(retryDelayMs * Math.pow(2, attempt - 1), maxRetryDelayMs);
+      logger.warn(
+        { screenshotId, url, attempt, maxRetries, errorCode, delayMs, err: error },
+        `Screenshot ${stage} failed (attempt ${attempt}/${maxRetries})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Start the deadline of a job
+ * @param {number} deadlineMs - Time the job may take in milliseconds (0 disables)
+ * @returns {Object} { signal, clear } - signal aborts with a JobDeadlineExceededError, clear() stops the timer
+ */
+function startJobDeadline(deadlineMs) {
+  const controller = new AbortController();
+  if (deadlineMs <= 0) {
+    return { signal: controller.signal, clear: () => {} };
+  }
+
+  const timer = setTimeout(() => controller.abort(createJobDeadlineError(deadlineMs)), deadlineMs);
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Track how long a job spends in each phase
+ * Starting a phase ends the current one, durations of a phase run more than once
+ * (in-process retries, one page per viewport) are summed.
+ * @returns {Object} { start(phase), end(), durations } - durations in milliseconds by phase
+ */
+function createPhaseTimer() {
+  const durations = {};
+  let current = null;
+  let startedAt = 0;
+
+  const end = () => {
+    if (current) {
+      durations[current] = (durations[current] || 0) + (Date.now() - startedAt);
+      current = null;
+    }
+  };
+
+  return {
+    durations,
+    start(phase) {
+      end();
+      current = phase;
+      startedAt = Date.now();
+    },
+    end,
+  };
+}
+
+/**
+ * Whether a message may be deferred once more (see config.sqs.maxDeferrals)
+ * @param {Object} message - SQS message
+ * @returns {boolean} False once the message was deferred maxDeferrals times
+ */
+function canDefer(message) {
+  const attributes = message.MessageAttributes || {};
+  const deferrals = parseInt(attributes[DEFERRAL_COUNT_ATTRIBUTE]?.StringValue || '0', 10);
+  return config.sqs.maxDeferrals <= 0 || deferrals < config.sqs.maxDeferrals;
+}
+
+/**
+ * Put a delayed copy of a message back in the queue, without counting it as a failure
+ * Every receive of a message counts towards maxReceiveCount of the redrive policy, so
+ * hiding the message itself would send often-deferred jobs to the DLQ untried. The copy
+ * is a new message; the original is deleted once the handler returns.
+ * @param {Object} message - SQS message
+ * @param {number} delaySeconds - Delay before the copy can be received, in seconds
+ * @returns {Promise<number>} Number of times the message has now been deferred
+ */
+async function deferMessage(message, delaySeconds) {
+  const attributes = message.MessageAttributes || {};
+  const deferrals = parseInt(attributes[DEFERRAL_COUNT_ATTRIBUTE]?.StringValue || '0', 10) + 1;
+
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: config.sqs.queueUrl,
+      MessageBody: message.Body,
+      DelaySeconds: Math.min(delaySeconds, MAX_DELAY_SECONDS),
+      MessageAttributes: {
+        ...attributes,
+        [DEFERRAL_COUNT_ATTRIBUTE]: { DataType: 'Number', StringValue: String(deferrals) },
+      },
+    })
+  );
+
+  return deferrals;
+}
 
 /**
  * Process screenshot message
@@ -12,30 +229,53 @@ const logger = require('../utils/logger');
  * Flow:
  * 1. Parse message body and extract screenshot parameters
  * 2. Check if screenshot already exists and is successful (skip if already processed)
- * 3. Check if screenshot is being processed (not stale) by another instance (skip)
- * 4. Update DynamoDB record to 'consumerProcessing' status - consumer is actively working
- * 5. Capture screenshot using Puppeteer
- * 6. Upload screenshot to S3
+ * 3. Take the target host's concurrency slot and rate token (re-queue the message with a
+ *    delay if exhausted)
+ * 4. Claim the job with a conditional write to 'consumerProcessing' (skip if another
+ *    worker holds an unexpired lease on it)
+ * 5. Capture screenshot using Puppeteer (transient failures retried in-process)
+ * 6. Upload screenshot to S3 (transient failures retried in-process)
  * 7. Update DynamoDB with 'success' status
  * 8. Return success (message will be automatically deleted from SQS)
  *
+ * Every attempt of a claimed job (worker, timing per phase, outcome and error) is
+ * appended to the record's attempt history.
+ *
  * Note: The initial 'processing' record is created when message is sent to SQS
  *
  * Status flow:
  * - processing: Message sent to SQS, waiting for consumer
- * - consumerProcessing: Consumer actively processing the request
+ * - consumerProcessing: Consumer actively processing the request (claimed with a lease)
  * - success: Screenshot captured and uploaded successfully
  * - failed: Error occurred during processing
  *
- * On error:
- * - Update DynamoDB with 'failed' status
- * - Re-throw error to let SQS retry (message not deleted)
+ * On error (classified by utils/errorClassifier):
+ * - Permanent error: update DynamoDB with 'failed' status and errorCode, delete the message
+ * - Transient error: update DynamoDB with 'failed' status and errorCode, re-throw to let SQS retry
+ * - Full page pool or crashed browser: back to 'processing', re-throw to let SQS retry
+ *
+ * A host over its budget is not an error: a copy of the message is sent back with a
+ * delay until the budget frees up and the original is deleted, the record stays 'processing'.
  *
  * @param {Object} message - SQS message
  */
 async function handleMessage(message) {
   let screenshotId = null;
+  let url = null;
+  // Stage of the job, so errors can be attributed to Puppeteer, S3 or DynamoDB
+  let stage = 'database';
+  // Main document response of the latest capture attempt (first navigation for multi-viewport captures)
+  let navigation = null;
+  // Concurrency slot of the target host, held until the capture is done
+  let hostLease = null;
+  // Attempt of a claimed job, added to the record's attempt history once the job ends
+  let attempt = null;
+  // Once claimed, every status write is conditioned on this worker still holding the claim
+  let claimed = false;
+  const phases = createPhaseTimer();
   const startTime = Date.now();
+  // The capture is aborted once the deadline passes, uploads are not started after it
+  const deadline = startJobDeadline(config.screenshot.jobDeadlineMs);
 
   try {
     const body = JSON.parse(message.Body);
@@ -49,15 +289,91 @@ async function handleMessage(message) {
     );
 
     // Extract screenshot parameters from message
-    const { url, width, height, format = 'png', quality = 80, fullPage = false, requestId } = body;
+    const {
+      width,
+      height,
+      format = 'png',
+      quality = 80,
+      fullPage = false,
+      autoScroll,
+      tiling,
+      viewports,
+      pdf,
+      selector,
+      selectorPadding,
+      clip,
+      scroll,
+      device,
+      deviceScaleFactor,
+      isMobile,
+      hasTouch,
+      userAgent,
+      waitUntil,
+      waitForSelector,
+      waitForFunction,
+      delayMs,
+      headers,
+      cookies,
+      basicAuth,
+      injectCss,
+      injectScript,
+      hideSelectors,
+      blockAds,
+      dismissCookieBanners,
+      failOnHttpError,
+      acceptedStatusCodes,
+      persistentProfile,
+      requestId,
+    } = body;
+    url = body.url;
 
     // Validate required fields
     if (!url) {
-      throw new Error('URL is required in message body');
+      throw createInvalidRequestError('URL is required in message body');
     }
 
     screenshotId = requestId;
 
+    // Validate output options (messages may not come through the Lambda)
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw createInvalidRequestError(
+        `Unsupported format: ${format} (must be one of ${SUPPORTED_FORMATS.join(', ')})`
+      );
+    }
+
+    if (typeof quality !== 'number' || quality < 0 || quality > 100) {
+      throw createInvalidRequestError('Quality must be a number between 0 and 100');
+    }
+
+    if (viewports !== undefined && (!Array.isArray(viewports) || viewports.length === 0)) {
+      throw createInvalidRequestError('Viewports must be a non-empty array');
+    }
+
+    if (tiling !== undefined && !TILING_MODES.includes(tiling)) {
+      throw createInvalidRequestError(
+        `Unsupported tiling mode: ${tiling} (must be one of ${TILING_MODES.join(', ')})`
+      );
+    }
+
+    if (
+      persistentProfile !== undefined &&
+      !config.screenshot.persistentProfiles.includes(persistentProfile)
+    ) {
+      throw createInvalidRequestError(`Persistent profile is not allowed: ${persistentProfile}`);
+    }
+
+    // Denied domains are also checked here, messages may not come through the Lambda
+    const domainPolicy = resolveDomainPolicy(url, config.domainPolicies);
+    if (domainPolicy.denied) {
+      throw createDomainDeniedError(domainPolicy.reason);
+    }
+    if (domainPolicy.domain) {
+      logger.debug(
+        { screenshotId, url, domain: domainPolicy.domain, options: domainPolicy.options },
+        'Applying domain policy'
+      );
+    }
+
     // Check if this screenshot already exists and is successful
     const existingScreenshot = await dynamodbService.getScreenshot(screenshotId);
 
@@ -78,6 +394,7 @@ async function handleMessage(message) {
         width: width || config.screenshot.defaultWidth,
         height: height || config.screenshot.defaultHeight,
         format,
+        pdf,
       });
     } else if (existingScreenshot.status === 'success') {
       logger.info(
@@ -92,70 +409,200 @@ async function handleMessage(message) {
       return;
     }
 
-    // If already being actively processed by consumer (consumerProcessing), check if stale
-    if (existingScreenshot && existingScreenshot.status === 'consumerProcessing') {
-      // Check if processing has been going on for too long (stale record)
-      const processingStartTime = new Date(
-        existingScreenshot.updatedAt || existingScreenshot.createdAt
-      );
-      const now = new Date();
-      const processingDurationMs = now - processingStartTime;
-      const maxProcessingTimeMs = 10 * 60 * 1000; // 10 minutes
-
-      if (processingDurationMs > maxProcessingTimeMs) {
-        logger.warn(
-          {
-            screenshotId,
-            url,
-            processingDurationMs,
-            maxProcessingTimeMs,
-            startedAt: processingStartTime.toISOString(),
-            currentStatus: existingScreenshot.status,
-          },
-          'Screenshot processing appears stale, will retry'
-        );
-        // Continue processing (don't skip)
-      } else {
-        logger.info(
-          {
-            screenshotId,
-            url,
-            status: existingScreenshot.status,
-            processingDurationMs,
-          },
-          'Screenshot is being actively processed by another consumer, skipping'
-        );
-        return;
+    // Respect the per-host budget shared by all workers
+    hostLease = await hostRateLimiter.acquire(url);
+    if (!hostLease.acquired) {
+      // A host that stays over budget must not keep the job circling forever
+      if (!canDefer(message)) {
+        throw createDeferralLimitError(config.sqs.maxDeferrals);
       }
+
+      const deferrals = await deferMessage(message, hostLease.retryAfterSeconds);
+      logger.info(
+        {
+          screenshotId,
+          url,
+          host: hostLease.host,
+          reason: hostLease.reason,
+          retryAfterSeconds: hostLease.retryAfterSeconds,
+          deferrals,
+          messageId: message.MessageId,
+        },
+        'Host budget exhausted, deferring message (original will be deleted)'
+      );
+      return;
     }
 
-    // Update DynamoDB to 'consumerProcessing' status
-    // This shows this consumer instance is now actively handling the request
-    await dynamodbService.updateScreenshotStatus(screenshotId, 'consumerProcessing', {
-      width: width || config.screenshot.defaultWidth,
-      height: height || config.screenshot.defaultHeight,
-      format,
+    // Claim the job: move it to 'consumerProcessing' unless another worker holds an
+    // unexpired lease on it (a duplicate delivery) or it has succeeded in the meantime
+    const claim = await dynamodbService.claimScreenshot(screenshotId, {
+      workerId: config.worker.id,
+      leaseMs: config.worker.leaseMs,
     });
+    if (!claim.claimed) {
+      // Nothing is captured here, so this delivery does not count against the host
+      await hostRateLimiter.cancel(hostLease);
+      hostLease = null;
+      logger.info(
+        { screenshotId, url, workerId: config.worker.id, messageId: message.MessageId },
+        'Screenshot is claimed by another consumer or already done, skipping (message will be deleted)'
+      );
+      return;
+    }
+    claimed = true;
+    attempt = {
+      attempt: (claim.item?.attempts?.length ?? 0) + 1,
+      workerId: config.worker.id,
+      startedAt: new Date().toISOString(),
+    };
 
-    // Capture screenshot
-    const screenshot = await screenshotService.captureScreenshot({
+    // Capture screenshot (one image per viewport for multi-viewport requests)
+    // Domain policy options are defaults, request parameters take precedence
+    const domainOptions = domainPolicy.options;
+    const captureOptions = {
       url,
       width,
       height,
       format,
       quality,
       fullPage,
-    });
+      autoScroll,
+      tiling,
+      pdf,
+      selector,
+      selectorPadding,
+      clip,
+      scroll,
+      device,
+      deviceScaleFactor,
+      isMobile,
+      hasTouch,
+      userAgent: userAgent ?? domainOptions.userAgent,
+      waitUntil: waitUntil ?? domainOptions.waitUntil,
+      timeout: domainOptions.timeout,
+      waitForSelector,
+      waitForFunction,
+      delayMs: delayMs ?? domainOptions.delayMs,
+      headers,
+      cookies,
+      basicAuth,
+      injectCss,
+      injectScript,
+      hideSelectors,
+      blockAds,
+      dismissCookieBanners,
+      failOnHttpError,
+      acceptedStatusCodes,
+      persistentProfile,
+      onNavigation: (response) => {
+        navigation = navigation || response;
+        phases.start('capture');
+      },
+      signal: deadline.signal,
+    };
+    stage = 'capture';
+    let screenshot;
+    try {
+      screenshot = await withRetry(
+        () => {
+          navigation = null;
+          phases.start('navigate');
+          return viewports
+            ? screenshotService.captureViewports({ ...captureOptions, viewports })
+            : screenshotService.captureScreenshot(captureOptions);
+        },
+        { screenshotId, url, stage, signal: deadline.signal }
+      );
+    } finally {
+      phases.end();
+      // The host is no longer loaded once the page is captured
+      await hostRateLimiter.release(hostLease);
+      hostLease = null;
+    }
 
     // Generate S3 key and upload
+    stage = 'upload';
+    deadline.signal.throwIfAborted();
+    phases.start('upload');
     const s3Key = s3Service.generateScreenshotKey(url, screenshotId, format);
-    const uploadResult = await s3Service.uploadFile(screenshot, s3Key, `image/${format}`);
+    const contentType = s3Service.getContentType(format);
+
+    let uploadResult;
+    let tiles = null;
+    let outputs = null;
+
+    if (viewports) {
+      // Each viewport is uploaded under its own sub-key, the first one doubles as the main image
+      outputs = [];
+      const usedLabels = new Set();
+      for (const [index, output] of screenshot.entries()) {
+        const label = getViewportLabel(output.viewport, index, usedLabels);
+        const outputUpload = await withRetry(
+          () =>
+            s3Service.uploadFile(
+              output.buffer,
+              s3Service.generateViewportKey(s3Key, label),
+              contentType
+            ),
+          { screenshotId, url, stage }
+        );
+        outputs.push({
+          viewport: output.viewport,
+          s3Key: outputUpload.key,
+          s3Url: outputUpload.url,
+          size: output.buffer.length,
+        });
+      }
+      uploadResult = { url: outputs[0].s3Url, key: outputs[0].s3Key };
+    } else if (Array.isArray(screenshot)) {
+      // Separate tiles are uploaded as numbered objects, the first one doubles as the main image
+      tiles = [];
+      for (const tile of screenshot) {
+        const tileUpload = await withRetry(
+          () =>
+            s3Service.uploadFile(
+              tile.buffer,
+              s3Service.generateTileKey(s3Key, tile.index),
+              contentType
+            ),
+          { screenshotId, url, stage }
+        );
+        tiles.push({
+          index: tile.index,
+          y: tile.y,
+          height: tile.height,
+          s3Key: tileUpload.key,
+          s3Url: tileUpload.url,
+        });
+      }
+      uploadResult = { url: tiles[0].s3Url, key: tiles[0].s3Key };
+    } else {
+      uploadResult = await withRetry(() => s3Service.uploadFile(screenshot, s3Key, contentType), {
+        screenshotId,
+        url,
+        stage,
+      });
+    }
 
     // Update DynamoDB with success status
-    await dynamodbService.updateScreenshotStatus(screenshotId, 'success', {
-      s3Url: uploadResult.url,
-      s3Key: uploadResult.key,
-    });
+    // Injections are recorded so the capture can be reproduced
+    phases.end();
+    stage = 'database';
+    const injections = buildInjectionsRecord({ injectCss, injectScript, hideSelectors });
+    await dynamodbService.updateScreenshotStatus(
+      screenshotId,
+      'success',
+      {
+        s3Url: uploadResult.url,
+        s3Key: uploadResult.key,
+        ...buildNavigationRecord(navigation),
+        ...(injections && { injections }),
+        ...(tiles && { tiles }),
+        ...(outputs && { outputs }),
+      },
+      { expectedStatus: 'consumerProcessing', workerId: config.worker.id }
+    );
+    attempt.outcome = 'success';
 
     const duration = Date.now() - startTime;
     logger.info(
@@ -170,22 +617,62 @@ async function handleMessage(message) {
     );
   } catch (error) {
     const duration = Date.now() - startTime;
+    const { errorCode, retryable } = classifyError(error, stage);
+    // Past the deferral limit, a re-queued error fails the job like any other
+    const requeue =
+      Boolean(screenshotId) && REQUEUED_ERROR_CODES.includes(errorCode) && canDefer(message);
+    if (attempt) {
+      Object.assign(attempt, {
+        outcome: requeue ? 'requeued' : 'failed',
+        errorCode,
+        errorMessage: error.message,
+      });
+    }
     logger.error(
       {
         err: error,
         messageId: message.MessageId,
         screenshotId,
+        url,
+        errorCode,
+        retryable,
         duration,
       },
       'Failed to process message'
     );
 
     // Update DynamoDB with failure status if we have an ID
-    if (screenshotId) {
+    // A full page pool or a crashed browser is not a failure of the job: hand it back
+    // to 'processing' so the re-queued copy is picked up again
+    // A record that moved on without this worker (finished or taken over) is left alone
+    // Before the claim, the record may belong to another worker: only a record that is
+    // not being processed is marked failed
+    const writeOptions = claimed
+      ? { expectedStatus: 'consumerProcessing', workerId: config.worker.id }
+      : { expectedStatus: ['processing', 'failed'] };
+    if (screenshotId && errorCode !== 'INVALID_STATUS_TRANSITION') {
       try {
-        await dynamodbService.updateScreenshotStatus(screenshotId, 'failed', {
-          errorMessage: error.message,
-        });
+        if (requeue) {
+          if (claimed) {
+            await dynamodbService.updateScreenshotStatus(
+              screenshotId,
+              'processing',
+              {},
+              writeOptions
+            );
+          }
+        } else {
+          await dynamodbService.updateScreenshotStatus(
+            screenshotId,
+            'failed',
+            {
+              errorMessage: error.message,
+              errorCode,
+              ...buildNavigationRecord(navigation),
+            },
+            writeOptions
+          );
+        }
       } catch (dbError) {
         logger.error(
           {
@@ -197,8 +684,57 @@ async function handleMessage(message) {
       }
     }
 
+    // Re-queue a delayed copy instead of re-throwing, a redelivery would count towards
+    // maxReceiveCount and busy workers would send healthy jobs to the DLQ
+    if (requeue) {
+      try {
+        const deferrals = await deferMessage(message, config.screenshot.requeueDelaySeconds);
+        logger.warn(
+          { screenshotId, url, errorCode, deferrals, messageId: message.MessageId },
+          'Re-queued message for another attempt (original will be deleted)'
+        );
+        return;
+      } catch (deferError) {
+        logger.error(
+          { err: deferError, screenshotId, messageId: message.MessageId },
+          'Failed to re-queue message, leaving it to SQS'
+        );
+        throw error;
+      }
+    }
+
+    // Permanent failures are recorded, redelivering the message would only fail again
+    // Messages without a request ID are re-thrown so they end up in the DLQ for inspection
+    if (!retryable && screenshotId) {
+      logger.warn(
+        { screenshotId, url, errorCode, messageId: message.MessageId },
+        'Permanent failure, not retrying (message will be deleted)'
+      );
+      return;
+    }
+
     // Re-throw error to let SQS handle retry
     throw error;
+  } finally {
+    deadline.clear();
+    // Still held if the job failed before the capture started
+    await hostRateLimiter.release(hostLease);
+
+    // Every attempt of a claimed job is kept, not only the last error
+    if (attempt) {
+      phases.end();
+      const endedAt = Date.now();
+      try {
+        await dynamodbService.recordAttempt(screenshotId, {
+          ...attempt,
+          endedAt: new Date(endedAt).toISOString(),
+          durationMs: endedAt - Date.parse(attempt.startedAt),
+          phaseDurationsMs: phases.durations,
+        });
+      } catch (attemptError) {
+        logger.error({ err: attemptError, screenshotId }, 'Failed to record attempt in DynamoDB');
+      }
+    }
   }
 }
 
@@ -206,13 +742,46 @@ async function handleMessage(message) {
  * Create and configure SQS consumer
  */
 function createConsumer() {
+  // Messages of a batch are handled in parallel; the page pool runs up to maxConcurrency
+  // captures and queues the rest, anything beyond its queue is released back to SQS
+  const { maxConcurrency, maxQueued } = config.screenshot.pool;
+  if (config.sqs.batchSize > maxConcurrency + maxQueued) {
+    logger.warn(
+      { batchSize: config.sqs.batchSize, maxConcurrency, maxQueued },
+      'SQS batch size exceeds page pool capacity, excess messages will be retried'
+    );
+  }
+
+  // Without a heartbeat, a job running past the visibility timeout is redelivered to another worker
+  const { visibilityTimeout, heartbeatInterval } = config.sqs;
+  const { jobDeadlineMs } = config.screenshot;
+  if (!heartbeatInterval && (!jobDeadlineMs || jobDeadlineMs > visibilityTimeout * 1000)) {
+    logger.warn(
+      { visibilityTimeout, jobDeadlineMs },
+      'Job deadline exceeds SQS visibility timeout and heartbeat is disabled, long jobs may be redelivered'
+    );
+  }
+
+  // A job still running when its lease expires may be claimed by a second worker
+  const { leaseMs } = config.worker;
+  if (!jobDeadlineMs || jobDeadlineMs >= leaseMs) {
+    logger.warn(
+      { leaseMs, jobDeadlineMs },
+      'Job deadline is not below the worker lease, long jobs may be processed twice'
+    );
+  }
+
   const consumer = Consumer.create({
     queueUrl: config.sqs.queueUrl,
     handleMessage,
     sqs: sqsClient,
     batchSize: config.sqs.batchSize,
-    visibilityTimeout: config.sqs.visibilityTimeout,
+    visibilityTimeout,
+    // Extend the visibility of messages being processed, so long captures are not redelivered
+    heartbeatInterval: heartbeatInterval > 0 ? heartbeatInterval : undefined,
     waitTimeSeconds: config.sqs.waitTimeSeconds,
+    // Kept on deferred copies of a message, with the deferral count
+    messageAttributeNames: ['All'],
     // Automatically delete messages after successful processing
     shouldDeleteMessages: true,
   });
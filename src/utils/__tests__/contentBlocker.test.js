@@ -0,0 +1,46 @@
+const { describe, it, expect } = require('@jest/globals');
+const contentBlocker = require('../contentBlocker');
+
+describe('contentBlocker', () => {
+  describe('isBlockedHost', () => {
+    it('should block hosts on the filter list', () => {
+      expect(contentBlocker.isBlockedHost('doubleclick.net')).toBe(true);
+      expect(contentBlocker.isBlockedHost('googletagmanager.com')).toBe(true);
+    });
+
+    it('should block subdomains of listed hosts', () => {
+      expect(contentBlocker.isBlockedHost('stats.g.doubleclick.net')).toBe(true);
+      expect(contentBlocker.isBlockedHost('CDN.Taboola.com')).toBe(true);
+    });
+
+    it('should not block unlisted hosts', () => {
+      expect(contentBlocker.isBlockedHost('example.com')).toBe(false);
+      expect(contentBlocker.isBlockedHost('notdoubleclick.net')).toBe(false);
+      expect(contentBlocker.isBlockedHost('net')).toBe(false);
+    });
+  });
+
+  describe('isBlockedUrl', () => {
+    it('should check the URL hostname', () => {
+      expect(
+        contentBlocker.isBlockedUrl('https://securepubads.g.doubleclick.net/tag/js/gpt.js')
+      ).toBe(true);
+      expect(contentBlocker.isBlockedUrl('https://example.com/doubleclick.net.js')).toBe(false);
+    });
+
+    it('should never block data URLs or malformed URLs', () => {
+      expect(contentBlocker.isBlockedUrl('data:image/png;base64,AAAA')).toBe(false);
+      expect(contentBlocker.isBlockedUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('getConsentSelectors', () => {
+    it('should return the bundled consent selectors', () => {
+      const selectors = contentBlocker.getConsentSelectors();
+
+      expect(selectors.length).toBeGreaterThan(0);
+      expect(selectors).toContain('#onetrust-accept-btn-handler');
+      selectors.forEach((selector) => expect(typeof selector).toBe('string'));
+    });
+  });
+});
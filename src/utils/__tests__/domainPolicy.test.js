@@ -0,0 +1,112 @@
+const { describe, it, expect } = require('@jest/globals');
+const path = require('path');
+const {
+  parseDomainPolicies,
+  loadDomainPolicies,
+  resolveDomainPolicy,
+  createDomainDeniedError,
+} = require('../domainPolicy');
+
+describe('domainPolicy', () => {
+  describe('parseDomainPolicies', () => {
+    it('should default to no policies', () => {
+      expect(parseDomainPolicies({})).toEqual({ allow: [], deny: [], domains: {} });
+    });
+
+    it('should lowercase domains', () => {
+      const policies = parseDomainPolicies({
+        deny: ['Blocked.Example.com'],
+        domains: { 'Slow.Example.com': { timeout: 60000 } },
+      });
+
+      expect(policies.deny).toEqual(['blocked.example.com']);
+      expect(policies.domains).toEqual({ 'slow.example.com': { timeout: 60000 } });
+    });
+
+    it('should reject invalid policies', () => {
+      expect(() => parseDomainPolicies([])).toThrow(
+        'Invalid domain policy: policy must be an object'
+      );
+      expect(() => parseDomainPolicies({ deny: 'example.com' })).toThrow(
+        'deny must be an array of domains'
+      );
+      expect(() => parseDomainPolicies({ domains: { 'example.com': { fullPage: true } } })).toThrow(
+        'domains.example.com.fullPage is not supported'
+      );
+      expect(() =>
+        parseDomainPolicies({ domains: { 'example.com': { waitUntil: 'forever' } } })
+      ).toThrow('domains.example.com.waitUntil is invalid');
+      expect(() => parseDomainPolicies({ domains: { 'example.com': { timeout: -1 } } })).toThrow(
+        'domains.example.com.timeout is invalid'
+      );
+    });
+  });
+
+  describe('loadDomainPolicies', () => {
+    it('should load the bundled policy file', () => {
+      expect(loadDomainPolicies(path.join(__dirname, '../../config/domain-policies.json'))).toEqual(
+        { allow: [], deny: [], domains: {} }
+      );
+    });
+
+    it('should fail on a missing file', () => {
+      expect(() => loadDomainPolicies('/nonexistent/domain-policies.json')).toThrow(
+        'Invalid domain policy: cannot read /nonexistent/domain-policies.json'
+      );
+    });
+  });
+
+  describe('resolveDomainPolicy', () => {
+    const policies = parseDomainPolicies({
+      deny: ['blocked.example.com'],
+      domains: {
+        'example.com': { waitUntil: 'load' },
+        'slow.example.com': { timeout: 60000, userAgent: 'PolicyBot/1.0' },
+      },
+    });
+
+    it('should deny a domain and its subdomains', () => {
+      expect(resolveDomainPolicy('https://blocked.example.com/page', policies)).toEqual({
+        denied: true,
+        reason: 'domain blocked.example.com is denied',
+        options: {},
+      });
+      expect(resolveDomainPolicy('http://WWW.Blocked.Example.com', policies).denied).toBe(true);
+      expect(resolveDomainPolicy('https://notblocked.example.com', policies).denied).toBe(false);
+    });
+
+    it('should use the most specific domain options', () => {
+      expect(resolveDomainPolicy('https://app.slow.example.com', policies)).toEqual({
+        denied: false,
+        domain: 'slow.example.com',
+        options: { timeout: 60000, userAgent: 'PolicyBot/1.0' },
+      });
+      expect(resolveDomainPolicy('https://www.example.com', policies).options).toEqual({
+        waitUntil: 'load',
+      });
+      expect(resolveDomainPolicy('https://example.org', policies).options).toEqual({});
+    });
+
+    it('should assume https for URLs without a scheme', () => {
+      expect(resolveDomainPolicy('blocked.example.com/page', policies).denied).toBe(true);
+    });
+
+    it('should deny domains missing from a non-empty allowlist', () => {
+      const allowlist = parseDomainPolicies({ allow: ['example.com'] });
+
+      expect(resolveDomainPolicy('https://docs.example.com', allowlist).denied).toBe(false);
+      expect(resolveDomainPolicy('https://example.org', allowlist)).toEqual({
+        denied: true,
+        reason: 'example.org is not on the allowlist',
+        options: {},
+      });
+    });
+  });
+
+  it('should create a named error', () => {
+    const error = createDomainDeniedError('domain blocked.example.com is denied');
+
+    expect(error.name).toBe('DomainDeniedError');
+    expect(error.message).toBe('Domain is not allowed: domain blocked.example.com is denied');
+  });
+});
@@ -0,0 +1,214 @@
+const { describe, it, expect } = require('@jest/globals');
+const { classifyError, createInvalidRequestError } = require('../errorClassifier');
+
+const namedError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const awsError = (name, { fault = 'client', httpStatusCode = 400, retryable } = {}) => {
+  const error = namedError(name, name);
+  error.$fault = fault;
+  error.$metadata = { httpStatusCode };
+  if (retryable) {
+    error.$retryable = retryable;
+  }
+  return error;
+};
+
+describe('errorClassifier', () => {
+  describe('classifyError', () => {
+    it('should treat invalid requests as permanent', () => {
+      expect(classifyError(createInvalidRequestError('Unsupported format: gif'))).toEqual({
+        errorCode: 'INVALID_REQUEST',
+        retryable: false,
+      });
+      expect(classifyError(new Error('Unknown device: Nokia 3310'))).toEqual({
+        errorCode: 'INVALID_REQUEST',
+        retryable: false,
+      });
+    });
+
+    it('should treat refused URLs as permanent', () => {
+      expect(
+        classifyError(namedError('UrlNotAllowedError', 'URL is not allowed: port 22'))
+      ).toEqual({
+        errorCode: 'URL_NOT_ALLOWED',
+        retryable: false,
+      });
+    });
+
+    it('should treat denied domains as permanent', () => {
+      expect(classifyError(namedError('DomainDeniedError', 'Domain is not allowed'))).toEqual({
+        errorCode: 'DOMAIN_DENIED',
+        retryable: false,
+      });
+    });
+
+    it('should not retry jobs whose record moved on', () => {
+      const error = namedError(
+        'InvalidStatusTransitionError',
+        'Screenshot x is not consumerProcessing'
+      );
+
+      expect(classifyError(error, 'database')).toEqual({
+        errorCode: 'INVALID_STATUS_TRANSITION',
+        retryable: false,
+      });
+    });
+
+    it('should retry jobs that ran past their deadline', () => {
+      const error = namedError('JobDeadlineExceededError', 'Job exceeded its deadline of 1000ms');
+
+      expect(classifyError(error)).toEqual({ errorCode: 'DEADLINE_EXCEEDED', retryable: true });
+      expect(classifyError(error, 'upload')).toEqual({
+        errorCode: 'DEADLINE_EXCEEDED',
+        retryable: true,
+      });
+    });
+
+    it('should hand jobs deferred too often to SQS', () => {
+      const error = namedError('DeferralLimitExceededError', 'Job was deferred more than 50 times');
+
+      expect(classifyError(error)).toEqual({
+        errorCode: 'DEFERRAL_LIMIT_EXCEEDED',
+        retryable: true,
+      });
+    });
+
+    it('should classify Chromium network errors', () => {
+      const cases = [
+        ['net::ERR_NAME_NOT_RESOLVED at https://nope.invalid', 'DNS_FAILURE', false],
+        ['net::ERR_INVALID_URL at htp://bad', 'INVALID_URL', false],
+        ['net::ERR_CERT_DATE_INVALID at https://expired.example', 'TLS_ERROR', false],
+        ['net::ERR_TOO_MANY_REDIRECTS at https://loop.example', 'NAVIGATION_ERROR', false],
+        ['net::ERR_CONNECTION_REFUSED at https://down.example', 'NETWORK_ERROR', true],
+        ['net::ERR_CONNECTION_RESET at https://flaky.example', 'NETWORK_ERROR', true],
+      ];
+
+      for (const [message, errorCode, retryable] of cases) {
+        expect(classifyError(new Error(message))).toEqual({ errorCode, retryable });
+      }
+    });
+
+    it('should classify main document HTTP errors by status', () => {
+      const httpError = (statusCode) => Object.assign(new Error('HTTP error'), { statusCode });
+
+      expect(classifyError(httpError(404))).toEqual({
+        errorCode: 'HTTP_CLIENT_ERROR',
+        retryable: false,
+      });
+      expect(classifyError(httpError(403))).toEqual({
+        errorCode: 'HTTP_CLIENT_ERROR',
+        retryable: false,
+      });
+      expect(classifyError(httpError(429))).toEqual({
+        errorCode: 'HTTP_RATE_LIMITED',
+        retryable: true,
+      });
+      expect(classifyError(httpError(503))).toEqual({
+        errorCode: 'HTTP_SERVER_ERROR',
+        retryable: true,
+      });
+    });
+
+    it('should retry timeouts', () => {
+      expect(
+        classifyError(namedError('TimeoutError', 'Navigation timeout of 30000 ms exceeded'))
+      ).toEqual({ errorCode: 'TIMEOUT', retryable: true });
+      expect(classifyError(new Error('Timed out waiting for selector: #app'))).toEqual({
+        errorCode: 'TIMEOUT',
+        retryable: true,
+      });
+    });
+
+    it('should treat capture errors of the page itself as permanent', () => {
+      expect(classifyError(new Error('Selector not found: #missing'))).toEqual({
+        errorCode: 'SELECTOR_NOT_FOUND',
+        retryable: false,
+      });
+      expect(classifyError(new Error('Injected script failed: x is not defined'))).toEqual({
+        errorCode: 'INJECTION_FAILED',
+        retryable: false,
+      });
+      expect(classifyError(new Error('Failed to stitch tiles (image too large)'))).toEqual({
+        errorCode: 'RENDER_ERROR',
+        retryable: false,
+      });
+    });
+
+    it('should retry browser crashes and a full page pool', () => {
+      expect(
+        classifyError(namedError('BrowserDisconnectedError', 'Browser disconnected during capture'))
+      ).toEqual({ errorCode: 'BROWSER_CRASH', retryable: true });
+      expect(classifyError(new Error('Protocol error (Page.navigate): Target closed'))).toEqual({
+        errorCode: 'BROWSER_CRASH',
+        retryable: true,
+      });
+      expect(classifyError(namedError('PagePoolExhaustedError', 'Page pool exhausted'))).toEqual({
+        errorCode: 'POOL_EXHAUSTED',
+        retryable: true,
+      });
+    });
+
+    it('should retry S3 errors unless the request itself is invalid', () => {
+      // Missing permissions are fixed in IAM, the job must not fail for good meanwhile
+      expect(classifyError(awsError('AccessDenied', { httpStatusCode: 403 }), 'upload')).toEqual({
+        errorCode: 'S3_ERROR',
+        retryable: true,
+      });
+      expect(classifyError(awsError('NoSuchBucket', { httpStatusCode: 404 }), 'upload')).toEqual({
+        errorCode: 'S3_ERROR',
+        retryable: true,
+      });
+      expect(classifyError(awsError('EntityTooLarge', { httpStatusCode: 400 }), 'upload')).toEqual({
+        errorCode: 'S3_ERROR',
+        retryable: false,
+      });
+      expect(
+        classifyError(awsError('InternalError', { fault: 'server', httpStatusCode: 500 }), 'upload')
+      ).toEqual({ errorCode: 'S3_ERROR', retryable: true });
+      expect(classifyError(awsError('SlowDown', { httpStatusCode: 503 }), 'upload')).toEqual({
+        errorCode: 'S3_ERROR',
+        retryable: true,
+      });
+      // Never reached S3
+      expect(
+        classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'upload')
+      ).toEqual({ errorCode: 'S3_ERROR', retryable: true });
+    });
+
+    it('should retry DynamoDB errors unless the request itself is invalid', () => {
+      expect(classifyError(awsError('ValidationException'), 'database')).toEqual({
+        errorCode: 'DYNAMODB_ERROR',
+        retryable: false,
+      });
+      expect(
+        classifyError(
+          awsError('ConditionalCheckFailedException', { httpStatusCode: 400 }),
+          'database'
+        )
+      ).toEqual({ errorCode: 'DYNAMODB_ERROR', retryable: false });
+      expect(
+        classifyError(awsError('ResourceNotFoundException', { httpStatusCode: 400 }), 'database')
+      ).toEqual({ errorCode: 'DYNAMODB_ERROR', retryable: true });
+      expect(
+        classifyError(awsError('AccessDeniedException', { httpStatusCode: 400 }), 'database')
+      ).toEqual({ errorCode: 'DYNAMODB_ERROR', retryable: true });
+      expect(
+        classifyError(
+          awsError('ProvisionedThroughputExceededException', { retryable: { throttling: true } }),
+          'database'
+        )
+      ).toEqual({ errorCode: 'DYNAMODB_ERROR', retryable: true });
+    });
+
+    it('should retry unknown errors', () => {
+      expect(classifyError(new Error('Something odd happened'))).toEqual({
+        errorCode: 'UNKNOWN_ERROR',
+        retryable: true,
+      });
+    });
+  });
+});
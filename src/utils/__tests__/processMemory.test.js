@@ -0,0 +1,49 @@
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+const fs = require('fs');
+const { getProcessTreeRssMb } = require('../processMemory');
+
+const mockStatus = (ppid, rssKb) =>
+  `Name:\tchrome\nPPid:\t${ppid}\n${rssKb === undefined ? '' : `VmRSS:\t ${rssKb} kB\n`}`;
+
+describe('processMemory', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getProcessTreeRssMb', () => {
+    it('should sum the RSS of a process and its descendants', async () => {
+      const statuses = {
+        100: mockStatus(1, 204800), // browser
+        101: mockStatus(100, 102400), // renderer
+        102: mockStatus(101, 51200), // grandchild
+        103: mockStatus(100), // zombie without VmRSS
+        200: mockStatus(1, 999999), // unrelated process
+      };
+      jest
+        .spyOn(fs.promises, 'readdir')
+        .mockResolvedValue([...Object.keys(statuses), 'self', 'meminfo']);
+      jest.spyOn(fs.promises, 'readFile').mockImplementation(async (path) => {
+        const pid = path.split('/')[2];
+        if (!statuses[pid]) {
+          throw new Error('ENOENT');
+        }
+        return statuses[pid];
+      });
+
+      await expect(getProcessTreeRssMb(100)).resolves.toBe(350);
+    });
+
+    it('should return null when the process is not running', async () => {
+      jest.spyOn(fs.promises, 'readdir').mockResolvedValue(['1']);
+      jest.spyOn(fs.promises, 'readFile').mockResolvedValue(mockStatus(0, 1024));
+
+      await expect(getProcessTreeRssMb(100)).resolves.toBeNull();
+    });
+
+    it('should return null without /proc', async () => {
+      jest.spyOn(fs.promises, 'readdir').mockRejectedValue(new Error('ENOENT'));
+
+      await expect(getProcessTreeRssMb(100)).resolves.toBeNull();
+    });
+  });
+});
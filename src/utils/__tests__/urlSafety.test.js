@@ -0,0 +1,175 @@
+const { describe, it, expect } = require('@jest/globals');
+const {
+  isBlockedAddress,
+  createUrlPolicy,
+  checkUrl,
+  checkRequestUrl,
+  createUrlNotAllowedError,
+} = require('../urlSafety');
+
+const resolvesTo =
+  (...addresses) =>
+  async () =>
+    addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+const failingLookup = async () => {
+  throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+};
+
+describe('urlSafety', () => {
+  const policy = createUrlPolicy();
+
+  describe('isBlockedAddress', () => {
+    it('should block private, loopback, link-local and metadata addresses', () => {
+      [
+        '10.1.2.3',
+        '172.16.0.1',
+        '192.168.1.1',
+        '127.0.0.1',
+        '169.254.169.254',
+        '169.254.170.2',
+        '0.0.0.0',
+        '100.64.0.1',
+        '::1',
+        'fd00:ec2::254',
+        'fe80::1',
+        '::ffff:169.254.169.254',
+        '64:ff9b::a9fe:a9fe',
+      ].forEach((address) => expect(isBlockedAddress(address)).toBe(true));
+    });
+
+    it('should allow public addresses', () => {
+      ['93.184.215.14', '8.8.8.8', '2606:2800:21f:cb07:6820:80da:af6b:8b2c'].forEach((address) =>
+        expect(isBlockedAddress(address)).toBe(false)
+      );
+    });
+  });
+
+  describe('checkUrl', () => {
+    it('should allow public hosts', async () => {
+      await expect(
+        checkUrl('https://example.com/page', policy, { lookup: resolvesTo('93.184.215.14') })
+      ).resolves.toEqual({ allowed: true });
+    });
+
+    it('should refuse hosts resolving to a private address', async () => {
+      const result = await checkUrl('https://intranet.example.com', policy, {
+        lookup: resolvesTo('93.184.215.14', '10.0.0.5'),
+      });
+
+      expect(result).toEqual({
+        allowed: false,
+        reason: 'intranet.example.com resolves to a private or reserved address (10.0.0.5)',
+      });
+    });
+
+    it('should refuse IP literals in blocked ranges without resolving', async () => {
+      const lookup = jest.fn();
+
+      const metadata = await checkUrl('http://169.254.169.254/latest/meta-data/', policy, {
+        lookup,
+      });
+      // Decimal and IPv4-mapped forms are normalized by the URL parser
+      const decimal = await checkUrl('http://2130706433/', policy, { lookup });
+      const mapped = await checkUrl('http://[::ffff:127.0.0.1]/', policy, { lookup });
+      // NAT64 addresses reach the embedded IPv4 address
+      const nat64 = await checkUrl('http://[64:ff9b::a9fe:a9fe]/', policy, { lookup });
+
+      expect(metadata.allowed).toBe(false);
+      expect(decimal.allowed).toBe(false);
+      expect(mapped.allowed).toBe(false);
+      expect(nat64.allowed).toBe(false);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('should refuse localhost names', async () => {
+      const lookup = resolvesTo('93.184.215.14');
+
+      await expect(checkUrl('http://localhost:8080', policy, { lookup })).resolves.toEqual({
+        allowed: false,
+        reason: 'host localhost is not allowed',
+      });
+      await expect(checkUrl('http://admin.localhost./', policy, { lookup })).resolves.toEqual({
+        allowed: false,
+        reason: 'host admin.localhost is not allowed',
+      });
+      await expect(
+        checkUrl('http://metadata.google.internal/', policy, { lookup })
+      ).resolves.toMatchObject({ allowed: false });
+    });
+
+    it('should refuse other schemes and ports', async () => {
+      const lookup = resolvesTo('93.184.215.14');
+
+      await expect(checkUrl('file:///etc/passwd', policy, { lookup })).resolves.toEqual({
+        allowed: false,
+        reason: 'scheme file: is not allowed',
+      });
+      await expect(checkUrl('https://example.com:6379', policy, { lookup })).resolves.toEqual({
+        allowed: false,
+        reason: 'port 6379 is not allowed',
+      });
+      await expect(checkUrl('not a url', policy, { lookup })).resolves.toEqual({
+        allowed: false,
+        reason: 'invalid URL',
+      });
+    });
+
+    it('should leave unresolvable hosts to the browser', async () => {
+      await expect(
+        checkUrl('https://nope.invalid', policy, { lookup: failingLookup })
+      ).resolves.toEqual({ allowed: true });
+    });
+
+    it('should allow allowlisted hosts, addresses and subnets', async () => {
+      const allowlistPolicy = createUrlPolicy({
+        allowlist: ['*.corp.example.com', 'staging.example.com', '10.20.0.0/16', '192.168.1.10'],
+        allowedPorts: [443],
+      });
+      const lookup = resolvesTo('10.0.0.5');
+
+      await expect(
+        checkUrl('https://wiki.corp.example.com:8443', allowlistPolicy, { lookup })
+      ).resolves.toEqual({ allowed: true });
+      await expect(
+        checkUrl('https://staging.example.com', allowlistPolicy, { lookup })
+      ).resolves.toEqual({ allowed: true });
+      await expect(
+        checkUrl('https://app.example.com', allowlistPolicy, { lookup: resolvesTo('10.20.3.4') })
+      ).resolves.toEqual({ allowed: true });
+      await expect(checkUrl('https://192.168.1.10', allowlistPolicy, { lookup })).resolves.toEqual({
+        allowed: true,
+      });
+      await expect(
+        checkUrl('https://other.example.com', allowlistPolicy, { lookup })
+      ).resolves.toMatchObject({ allowed: false });
+    });
+  });
+
+  describe('checkRequestUrl', () => {
+    it('should allow subresources that never leave the browser', async () => {
+      const lookup = jest.fn();
+
+      await expect(
+        checkRequestUrl('data:image/png;base64,iVBORw0KGgo=', policy, { lookup })
+      ).resolves.toEqual({ allowed: true });
+      await expect(
+        checkRequestUrl('blob:https://example.com/0b8c', policy, { lookup })
+      ).resolves.toEqual({ allowed: true });
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it('should check network subresources like target URLs', async () => {
+      await expect(
+        checkRequestUrl('http://169.254.170.2/v2/credentials', policy)
+      ).resolves.toMatchObject({ allowed: false });
+    });
+  });
+
+  it('should create a named error', () => {
+    const error = createUrlNotAllowedError('port 22 is not allowed');
+
+    expect(error.name).toBe('UrlNotAllowedError');
+    expect(error.message).toBe('URL is not allowed: port 22 is not allowed');
+  });
+});
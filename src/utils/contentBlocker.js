@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const consentSelectors = require('../data/consent-selectors.json');
+
+// Bundled ad/tracker host filter list (one host per line, "#" comments)
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'data', 'blocklist-hosts.txt');
+
+let blockedHosts = null;
+
+/**
+ * Load the bundled host filter list (cached after the first call)
+ * @returns {Set<string>} Blocked hosts
+ */
+function loadBlockedHosts() {
+  if (!blockedHosts) {
+    blockedHosts = new Set(
+      fs
+        .readFileSync(BLOCKLIST_PATH, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+
+  return blockedHosts;
+}
+
+/**
+ * Check if a hostname (or one of its parent domains) is on the filter list
+ * @param {string} hostname - Hostname to check
+ * @returns {boolean} True if the host is blocked
+ */
+function isBlockedHost(hostname) {
+  const hosts = loadBlockedHosts();
+  const labels = hostname.toLowerCase().split('.');
+
+  // ads.example.com is blocked by ads.example.com or example.com (but not by "com")
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (hosts.has(labels.slice(i).join('.'))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check if a request URL should be blocked
+ * @param {string} url - Request URL
+ * @returns {boolean} True if the request should be blocked
+ */
+function isBlockedUrl(url) {
+  try {
+    return isBlockedHost(new URL(url).hostname);
+  } catch {
+    // data:, blob: and malformed URLs are never blocked by the host list
+    return false;
+  }
+}
+
+/**
+ * Get the bundled list of known consent "accept" button selectors
+ * @returns {Array<string>} CSS selectors
+ */
+function getConsentSelectors() {
+  return consentSelectors;
+}
+
+module.exports = {
+  isBlockedHost,
+  isBlockedUrl,
+  getConsentSelectors,
+};
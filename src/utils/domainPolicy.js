@@ -0,0 +1,188 @@
+/**
+ * Per-domain capture policies: domains that may never be captured, an optional
+ * allowlist, and capture defaults (timeout, wait strategy, user agent) for
+ * specific domains.
+ *
+ * Policy file format (JSON):
+ * {
+ *   "allow": ["example.com"],         // optional, only these domains may be captured
+ *   "deny": ["internal.example.com"], // domains that are never captured
+ *   "domains": {                      // capture defaults, request parameters take precedence
+ *     "slow.example.com": { "timeout": 60000, "waitUntil": "networkidle2", "delayMs": 0, "userAgent": "..." }
+ *   }
+ * }
+ *
+ * A domain also matches its subdomains, the most specific entry wins.
+ *
+ * Shared by the createScreenshot Lambda and the worker: the Lambda package
+ * gets a copy of this file and of the policy file (lambda/build.sh), so it
+ * must only depend on Node.js built-ins.
+ */
+const fs = require('fs');
+const { URL } = require('url');
+
+// Capture options a domain policy may set
+const POLICY_WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const POLICY_OPTIONS = {
+  timeout: (value) => Number.isInteger(value) && value > 0,
+  waitUntil: (value) => POLICY_WAIT_UNTIL.includes(value),
+  delayMs: (value) => Number.isInteger(value) && value >= 0,
+  userAgent: (value) => typeof value === 'string' && value.length > 0,
+};
+
+const EMPTY_POLICIES = { allow: [], deny: [], domains: {} };
+
+/**
+ * Create the error raised for an invalid policy file
+ * @param {string} message - What is wrong
+ * @returns {Error} Error named DomainPolicyError
+ */
+function createDomainPolicyError(message) {
+  const error = new Error(`Invalid domain policy: ${message}`);
+  error.name = 'DomainPolicyError';
+  return error;
+}
+
+/**
+ * Validate a list of domains and lowercase it
+ * @param {*} list - Value from the policy file
+ * @param {string} field - Field name for error messages
+ * @returns {Array<string>} Domains
+ */
+function parseDomainList(list = [], field) {
+  if (!Array.isArray(list) || list.some((domain) => typeof domain !== 'string' || !domain)) {
+    throw createDomainPolicyError(`${field} must be an array of domains`);
+  }
+
+  return list.map((domain) => domain.toLowerCase());
+}
+
+/**
+ * Validate a parsed policy document
+ * @param {Object} document - Parsed policy file
+ * @returns {Object} Policies { allow, deny, domains }
+ */
+function parseDomainPolicies(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw createDomainPolicyError('policy must be an object');
+  }
+
+  const { domains: domainOptions = {} } = document;
+  if (typeof domainOptions !== 'object' || Array.isArray(domainOptions)) {
+    throw createDomainPolicyError('domains must be an object');
+  }
+
+  const domains = {};
+  Object.entries(domainOptions).forEach(([domain, options]) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw createDomainPolicyError(`domains.${domain} must be an object`);
+    }
+
+    Object.entries(options).forEach(([key, value]) => {
+      if (!POLICY_OPTIONS[key]) {
+        throw createDomainPolicyError(
+          `domains.${domain}.${key} is not supported (must be one of ${Object.keys(POLICY_OPTIONS).join(', ')})`
+        );
+      }
+      if (!POLICY_OPTIONS[key](value)) {
+        throw createDomainPolicyError(`domains.${domain}.${key} is invalid`);
+      }
+    });
+
+    domains[domain.toLowerCase()] = { ...options };
+  });
+
+  return {
+    allow: parseDomainList(document.allow, 'allow'),
+    deny: parseDomainList(document.deny, 'deny'),
+    domains,
+  };
+}
+
+/**
+ * Load and validate a policy file
+ * @param {string} filePath - Path of the JSON policy file (no policies if empty)
+ * @returns {Object} Policies { allow, deny, domains }
+ */
+function loadDomainPolicies(filePath) {
+  if (!filePath) {
+    return EMPTY_POLICIES;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createDomainPolicyError(`cannot read ${filePath}: ${error.message}`);
+  }
+
+  return parseDomainPolicies(document);
+}
+
+/**
+ * Find the most specific domain that matches a hostname
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Domains, each also matching its subdomains
+ * @returns {string|undefined} Matching domain
+ */
+function findMatchingDomain(hostname, domains) {
+  const labels = hostname.split('.');
+
+  // shop.example.com is matched by shop.example.com first, then example.com
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (domains.includes(candidate)) {
+      return candidate;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Resolve the policy for a target URL
+ * @param {string} rawUrl - Target URL (https:// is assumed if the scheme is missing)
+ * @param {Object} policies - Policies from loadDomainPolicies
+ * @returns {Object} { denied, reason, domain, options }
+ */
+function resolveDomainPolicy(rawUrl, policies) {
+  let hostname;
+  try {
+    hostname = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`).hostname
+      .replace(/\.$/, '')
+      .toLowerCase();
+  } catch {
+    // Invalid URLs are reported by URL validation
+    return { denied: false, options: {} };
+  }
+
+  const deniedDomain = findMatchingDomain(hostname, policies.deny);
+  if (deniedDomain) {
+    return { denied: true, reason: `domain ${deniedDomain} is denied`, options: {} };
+  }
+
+  if (policies.allow.length > 0 && !findMatchingDomain(hostname, policies.allow)) {
+    return { denied: true, reason: `${hostname} is not on the allowlist`, options: {} };
+  }
+
+  const domain = findMatchingDomain(hostname, Object.keys(policies.domains));
+  return { denied: false, domain, options: domain ? policies.domains[domain] : {} };
+}
+
+/**
+ * Create the error raised when the target domain is denied
+ * @param {string} reason - Why the domain was denied
+ * @returns {Error} Error named DomainDeniedError
+ */
+function createDomainDeniedError(reason) {
+  const error = new Error(`Domain is not allowed: ${reason}`);
+  error.name = 'DomainDeniedError';
+  return error;
+}
+
+module.exports = {
+  parseDomainPolicies,
+  loadDomainPolicies,
+  resolveDomainPolicy,
+  createDomainDeniedError,
+};
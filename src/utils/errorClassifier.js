@@ -0,0 +1,199 @@
+/**
+ * Sort job errors into permanent failures and transient ones worth retrying.
+ *
+ * Each error maps to a machine-readable errorCode stored on the DynamoDB item,
+ * so clients can tell "this URL does not exist" from "try again later".
+ */
+
+// Chromium network errors that will not go away by retrying the same URL
+const PERMANENT_NET_ERRORS = {
+  ERR_NAME_NOT_RESOLVED: 'DNS_FAILURE',
+  ERR_INVALID_URL: 'INVALID_URL',
+  ERR_UNKNOWN_URL_SCHEME: 'INVALID_URL',
+  ERR_DISALLOWED_URL_SCHEME: 'INVALID_URL',
+  ERR_TOO_MANY_REDIRECTS: 'NAVIGATION_ERROR',
+  ERR_UNSAFE_REDIRECT: 'NAVIGATION_ERROR',
+  ERR_BLOCKED_BY_CLIENT: 'NAVIGATION_ERROR',
+  ERR_BLOCKED_BY_RESPONSE: 'NAVIGATION_ERROR',
+};
+
+// AWS SDK error names caused by the request itself, sending it again fails the same way.
+// Anything else (throttling, 5xx, missing permissions or resources) is an infrastructure or
+// configuration problem that is retried and ends up in the DLQ once fixed or exhausted.
+const AWS_REQUEST_ERRORS = [
+  'ConditionalCheckFailedException',
+  'ValidationException',
+  'SerializationException',
+  'InvalidArgument',
+  'InvalidRequest',
+  'EntityTooLarge',
+  'KeyTooLongError',
+  'MalformedXML',
+  'BadDigest',
+  'InvalidDigest',
+];
+
+// Messages of errors raised by ScreenshotService for requests that can never succeed
+const PERMANENT_CAPTURE_ERRORS = [
+  { pattern: /^Unknown device:/, errorCode: 'INVALID_REQUEST' },
+  { pattern: /^Selector not found:/, errorCode: 'SELECTOR_NOT_FOUND' },
+  { pattern: /^Injected script failed:/, errorCode: 'INJECTION_FAILED' },
+  { pattern: /^Failed to (stitch|decode) tile/, errorCode: 'RENDER_ERROR' },
+  { pattern: /Cannot navigate to invalid URL/, errorCode: 'INVALID_URL' },
+];
+
+// Messages Puppeteer uses when the page or browser went away under a capture
+const BROWSER_CRASH_PATTERN = /Target closed|Session closed|Page crashed|browser has disconnected/i;
+
+/**
+ * Classify an HTTP status of the main document
+ * @param {number} statusCode - HTTP status code
+ * @returns {Object} { errorCode, retryable }
+ */
+function classifyHttpStatus(statusCode) {
+  // Rate limits and request timeouts clear up on their own
+  if (statusCode === 429 || statusCode === 408) {
+    return { errorCode: 'HTTP_RATE_LIMITED', retryable: true };
+  }
+
+  if (statusCode >= 500) {
+    return { errorCode: 'HTTP_SERVER_ERROR', retryable: true };
+  }
+
+  return { errorCode: 'HTTP_CLIENT_ERROR', retryable: false };
+}
+
+/**
+ * Classify an error raised by S3 or DynamoDB
+ * @param {Error} error - AWS SDK or network error
+ * @param {string} errorCode - Code to report for this service
+ * @returns {Object} { errorCode, retryable }
+ */
+function classifyAwsError(error, errorCode) {
+  return { errorCode, retryable: !AWS_REQUEST_ERRORS.includes(error.name) };
+}
+
+/**
+ * Classify an error raised while processing a screenshot job
+ * @param {Error} error - Error to classify
+ * @param {string} stage - Where the error was raised: 'capture', 'upload' or 'database'
+ * @returns {Object} { errorCode, retryable }
+ */
+function classifyError(error, stage = 'capture') {
+  const message = error.message || '';
+
+  if (error.name === 'InvalidRequestError' || error instanceof SyntaxError) {
+    return { errorCode: 'INVALID_REQUEST', retryable: false };
+  }
+
+  if (error.name === 'UrlNotAllowedError') {
+    return { errorCode: 'URL_NOT_ALLOWED', retryable: false };
+  }
+
+  if (error.name === 'DomainDeniedError') {
+    return { errorCode: 'DOMAIN_DENIED', retryable: false };
+  }
+
+  // The record was finished or taken over by another worker, the job is not ours anymore
+  if (error.name === 'InvalidStatusTransitionError') {
+    return { errorCode: 'INVALID_STATUS_TRANSITION', retryable: false };
+  }
+
+  // A slow site may load in time on the next delivery
+  if (error.name === 'JobDeadlineExceededError') {
+    return { errorCode: 'DEADLINE_EXCEEDED', retryable: true };
+  }
+
+  // Re-thrown so SQS moves the message to the DLQ, where it can be redriven
+  if (error.name === 'DeferralLimitExceededError') {
+    return { errorCode: 'DEFERRAL_LIMIT_EXCEEDED', retryable: true };
+  }
+
+  if (stage === 'upload') {
+    return classifyAwsError(error, 'S3_ERROR');
+  }
+
+  if (stage === 'database') {
+    return classifyAwsError(error, 'DYNAMODB_ERROR');
+  }
+
+  if (error.name === 'PagePoolExhaustedError') {
+    return { errorCode: 'POOL_EXHAUSTED', retryable: true };
+  }
+
+  if (
+    error.name === 'BrowserDisconnectedError' ||
+    error.name === 'TargetCloseError' ||
+    BROWSER_CRASH_PATTERN.test(message)
+  ) {
+    return { errorCode: 'BROWSER_CRASH', retryable: true };
+  }
+
+  if (typeof error.statusCode === 'number') {
+    return classifyHttpStatus(error.statusCode);
+  }
+
+  const netError = message.match(/net::(ERR_[A-Z_]+)/);
+  if (netError) {
+    const errorCode = PERMANENT_NET_ERRORS[netError[1]];
+    if (errorCode) {
+      return { errorCode, retryable: false };
+    }
+    if (/^ERR_(CERT|SSL)_/.test(netError[1])) {
+      return { errorCode: 'TLS_ERROR', retryable: false };
+    }
+    return { errorCode: 'NETWORK_ERROR', retryable: true };
+  }
+
+  const captureError = PERMANENT_CAPTURE_ERRORS.find(({ pattern }) => pattern.test(message));
+  if (captureError) {
+    return { errorCode: captureError.errorCode, retryable: false };
+  }
+
+  if (error.name === 'TimeoutError' || /timeout|timed out/i.test(message)) {
+    return { errorCode: 'TIMEOUT', retryable: true };
+  }
+
+  // Unknown errors keep the old behaviour of being retried
+  return { errorCode: 'UNKNOWN_ERROR', retryable: true };
+}
+
+/**
+ * Create the error raised for a job whose parameters can never be processed
+ * @param {string} message - Error message
+ * @returns {Error} Error named InvalidRequestError
+ */
+function createInvalidRequestError(message) {
+  const error = new Error(message);
+  error.name = 'InvalidRequestError';
+  return error;
+}
+
+/**
+ * Create the error raised when a job runs past its deadline
+ * @param {number} deadlineMs - Deadline of the job in milliseconds
+ * @returns {Error} Error named JobDeadlineExceededError
+ */
+function createJobDeadlineError(deadlineMs) {
+  const error = new Error(`Job exceeded its deadline of ${deadlineMs}ms`);
+  error.name = 'JobDeadlineExceededError';
+  return error;
+}
+
+/**
+ * Create the error raised when a message was deferred too often
+ * @param {number} maxDeferrals - Deferrals allowed per message
+ * @returns {Error} Error named DeferralLimitExceededError
+ */
+function createDeferralLimitError(maxDeferrals) {
+  const error = new Error(`Job was deferred more than ${maxDeferrals} times`);
+  error.name = 'DeferralLimitExceededError';
+  return error;
+}
+
+module.exports = {
+  classifyError,
+  createInvalidRequestError,
+  createJobDeadlineError,
+  createDeferralLimitError,
+};
@@ -30,6 +30,18 @@ const logger = pino({
   },
   // Timestamp
   timestamp: pino.stdTimeFunctions.isoTime,
+  // Never log request credentials (headers, cookies, basic auth) in plain text
+  redact: {
+    paths: [
+      'headers.*',
+      '*.headers.*',
+      'cookies[*].value',
+      '*.cookies[*].value',
+      'basicAuth.password',
+      '*.basicAuth.password',
+    ],
+    censor: '[REDACTED]',
+  },
 });
 
 module.exports = logger;
@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+/**
+ * Parse PPid and VmRSS from a /proc/<pid>/status file
+ * @param {string} status - File contents
+ * @returns {Object} { ppid, rssKb }
+ */
+function parseProcStatus(status) {
+  const ppid = status.match(/^PPid:\s+(\d+)/m);
+  const rss = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+
+  return {
+    ppid: ppid ? parseInt(ppid[1], 10) : null,
+    // Kernel threads and zombies have no VmRSS line
+    rssKb: rss ? parseInt(rss[1], 10) : 0,
+  };
+}
+
+/**
+ * Get the resident memory of a process and all of its descendants.
+ * Chromium runs renderers, GPU and utility work in child processes, so the
+ * browser process alone says little about how much memory it holds.
+ * Linux only (reads /proc).
+ * @param {number} rootPid - Process ID of the root process
+ * @returns {Promise<number|null>} Total RSS in MB, or null if it cannot be measured
+ */
+async function getProcessTreeRssMb(rootPid) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir('/proc');
+  } catch {
+    return null;
+  }
+
+  const processes = new Map();
+  await Promise.all(
+    entries
+      .filter((entry) => /^\d+$/.test(entry))
+      .map(async (entry) => {
+        try {
+          const status = await fs.promises.readFile(`/proc/${entry}/status`, 'utf8');
+          processes.set(parseInt(entry, 10), parseProcStatus(status));
+        } catch {
+          // Process exited while scanning
+        }
+      })
+  );
+
+  if (!processes.has(rootPid)) {
+    return null;
+  }
+
+  // Walk the tree from the root process
+  let totalKb = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    totalKb += processes.get(pid).rssKb;
+
+    for (const [childPid, { ppid }] of processes) {
+      if (ppid === pid) {
+        pending.push(childPid);
+      }
+    }
+  }
+
+  return Math.round(totalKb / 1024);
+}
+
+module.exports = {
+  getProcessTreeRssMb,
+};
@@ -0,0 +1,220 @@
+/**
+ * URL safety checks against server-side request forgery (SSRF).
+ *
+ * Shared by the createScreenshot Lambda and the worker: the Lambda package
+ * gets a copy of this file (lambda/build.sh), so it must only depend on
+ * Node.js built-ins.
+ *
+ * Checks are done on resolved addresses, but Chromium resolves hostnames
+ * again when it connects. A host that changes its DNS answer in between
+ * (DNS rebinding) is not caught here; the worker's network should still deny
+ * access to internal ranges.
+ */
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+// Schemes a target URL may use
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// Schemes of subresources that never leave the browser
+const LOCAL_PROTOCOLS = ['data:', 'blob:', 'about:'];
+
+// Ports a target URL may use unless listed in the allowlist
+const DEFAULT_ALLOWED_PORTS = [80, 443, 8080, 8443];
+
+// Private, loopback, link-local, metadata and other reserved ranges
+// (BlockList matches IPv4-mapped IPv6 addresses against the IPv4 ranges)
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, cloud instance and ECS task metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.0.2.0', 24, 'ipv4'], // documentation
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['198.51.100.0', 24, 'ipv4'], // documentation
+  ['203.0.113.0', 24, 'ipv4'], // documentation
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // well-known NAT64, embeds an IPv4 address such as 169.254.169.254
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['100::', 64, 'ipv6'], // discard
+  ['2001:db8::', 32, 'ipv6'], // documentation
+  ['fc00::', 7, 'ipv6'], // unique local, includes the EC2 IPv6 metadata endpoint
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'], // multicast
+];
+
+// Names that point at the machine itself or at metadata services without DNS
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal', 'instance-data'];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) =>
+  blockedAddresses.addSubnet(network, prefix, type)
+);
+
+/**
+ * Get the BlockList family of an IP address
+ * @param {string} address - IP address
+ * @returns {string} 'ipv4' or 'ipv6'
+ */
+function getAddressType(address) {
+  return net.isIPv6(address) ? 'ipv6' : 'ipv4';
+}
+
+/**
+ * Check if an IP address is in a private, loopback, link-local or reserved range
+ * @param {string} address - IP address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, getAddressType(address));
+}
+
+/**
+ * Build a URL policy from configuration
+ * @param {Object} options - Policy options
+ * @param {Array<string>} options.allowlist - Hostnames ("*.example.com" for subdomains), IPs or CIDRs that may be fetched
+ * @param {Array<number>} options.allowedPorts - Ports target URLs may use
+ * @returns {Object} Policy { allowedHosts, allowedAddresses, allowedPorts }
+ */
+function createUrlPolicy({ allowlist = [], allowedPorts = DEFAULT_ALLOWED_PORTS } = {}) {
+  const allowedHosts = [];
+  const allowedAddresses = new net.BlockList();
+
+  allowlist.forEach((entry) => {
+    const [network, prefix] = entry.split('/');
+
+    if (net.isIP(network) && prefix !== undefined) {
+      allowedAddresses.addSubnet(network, parseInt(prefix, 10), getAddressType(network));
+    } else if (net.isIP(entry)) {
+      allowedAddresses.addAddress(entry, getAddressType(entry));
+    } else {
+      allowedHosts.push(entry.toLowerCase());
+    }
+  });
+
+  return { allowedHosts, allowedAddresses, allowedPorts };
+}
+
+/**
+ * Check if a hostname matches an allowlisted host
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} allowedHosts - Hostnames, "*.example.com" matches subdomains
+ * @returns {boolean} True if allowlisted
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  return allowedHosts.some((host) =>
+    host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host
+  );
+}
+
+/**
+ * Check whether a URL may be fetched
+ * @param {string} rawUrl - URL to check
+ * @param {Object} policy - Policy from createUrlPolicy
+ * @param {Object} [resolver] - Resolver options
+ * @param {Function} [resolver.lookup] - dns.promises.lookup compatible function
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+async function checkUrl(rawUrl, policy, { lookup = dns.promises.lookup } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return { allowed: false, reason: 'invalid URL' };
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+    return { allowed: false, reason: `scheme ${url.protocol} is not allowed` };
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname, FQDNs may end with a dot
+  const hostname = url.hostname
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/\.$/, '')
+    .toLowerCase();
+
+  if (isAllowedHost(hostname, policy.allowedHosts)) {
+    return { allowed: true };
+  }
+
+  const port = url.port ? parseInt(url.port, 10) : url.protocol === 'https:' ? 443 : 80;
+  if (!policy.allowedPorts.includes(port)) {
+    return { allowed: false, reason: `port ${port} is not allowed` };
+  }
+
+  if (BLOCKED_HOSTNAMES.includes(hostname) || hostname.endsWith('.localhost')) {
+    return { allowed: false, reason: `host ${hostname} is not allowed` };
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true, verbatim: true })).map(
+        (entry) => entry.address
+      );
+    } catch {
+      // Unresolvable hosts cannot be fetched either, the browser reports the DNS failure
+      return { allowed: true };
+    }
+  }
+
+  const blocked = addresses.find(
+    (address) =>
+      isBlockedAddress(address) && !policy.allowedAddresses.check(address, getAddressType(address))
+  );
+  if (blocked) {
+    return {
+      allowed: false,
+      reason: `${hostname} resolves to a private or reserved address (${blocked})`,
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Check whether a subresource request may be fetched
+ * Non-network schemes (data:, blob:, about:) are always allowed.
+ * @param {string} rawUrl - Request URL
+ * @param {Object} policy - Policy from createUrlPolicy
+ * @param {Object} [resolver] - Resolver options (see checkUrl)
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+async function checkRequestUrl(rawUrl, policy, resolver) {
+  const protocol = rawUrl.slice(0, rawUrl.indexOf(':') + 1).toLowerCase();
+  if (LOCAL_PROTOCOLS.includes(protocol)) {
+    return { allowed: true };
+  }
+
+  return checkUrl(rawUrl, policy, resolver);
+}
+
+/**
+ * Create the error raised when a target URL is refused
+ * @param {string} reason - Why the URL was refused
+ * @returns {Error} Error named UrlNotAllowedError
+ */
+function createUrlNotAllowedError(reason) {
+  const error = new Error(`URL is not allowed: ${reason}`);
+  error.name = 'UrlNotAllowedError';
+  return error;
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_PORTS,
+  isBlockedAddress,
+  createUrlPolicy,
+  checkUrl,
+  checkRequestUrl,
+  createUrlNotAllowedError,
+};